@@ -1,6 +1,7 @@
 // backend/config/database.js
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Define path to database file
 const dbPath = path.join(__dirname, '..', 'database', 'DegreeDashDatabase_new.db');
@@ -55,9 +56,28 @@ const initializeTables = () => {
 // Run initialization
 initializeTables();
 
+// Run statements in the order they are issued, so a statement issued before a
+// transaction begins cannot end up inside it
+db.serialize();
+
+// Transactions share the one connection, so they run one at a time through
+// transactionQueue. Code inside a transaction runs in transactionContext, any
+// other statement waits until no transaction is open and is never committed
+// or rolled back with another request's work
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
+let transactionOpen = false;
+
+const outsideTransactions = async (statement) => {
+    while (transactionOpen && !transactionContext.getStore()) {
+        await transactionQueue;
+    }
+    return statement();
+};
+
 // Promise wrapper for SQLite methods
 const runAsync = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return outsideTransactions(() => new Promise((resolve, reject) => {
         db.run(sql, params, function(err) {
             if (err) {
                 reject(err);
@@ -68,11 +88,11 @@ const runAsync = (sql, params = []) => {
                 });
             }
         });
-    });
+    }));
 };
 
 const getAsync = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return outsideTransactions(() => new Promise((resolve, reject) => {
         db.get(sql, params, (err, result) => {
             if (err) {
                 reject(err);
@@ -80,11 +100,11 @@ const getAsync = (sql, params = []) => {
                 resolve(result);
             }
         });
-    });
+    }));
 };
 
 const allAsync = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return outsideTransactions(() => new Promise((resolve, reject) => {
         db.all(sql, params, (err, rows) => {
             if (err) {
                 reject(err);
@@ -92,7 +112,68 @@ const allAsync = (sql, params = []) => {
                 resolve(rows);
             }
         });
-    });
+    }));
+};
+
+// Run fn in a transaction, committed when it resolves and rolled back when it throws
+// Calls made inside a transaction join it instead of starting another
+const withTransaction = (fn) => {
+    if (transactionContext.getStore()) {
+        return fn();
+    }
+
+    const transaction = transactionQueue.then(() => transactionContext.run(true, async () => {
+        transactionOpen = true;
+        try {
+            await runAsync('BEGIN TRANSACTION');
+            try {
+                const result = await fn();
+                await runAsync('COMMIT');
+                return result;
+            } catch (error) {
+                await runAsync('ROLLBACK');
+                throw error;
+            }
+        } finally {
+            transactionOpen = false;
+        }
+    }));
+    transactionQueue = transaction.catch(() => {});
+    return transaction;
+};
+
+// Iterate over query results one row at a time (for await ... of)
+// Each call to get() on the prepared statement steps to the next row,
+// so large exports never hold the whole result in memory
+const iterateAsync = async function* (sql, params = []) {
+    const statement = await outsideTransactions(() => new Promise((resolve, reject) => {
+        const stmt = db.prepare(sql, params, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(stmt);
+            }
+        });
+    }));
+
+    try {
+        while (true) {
+            const row = await outsideTransactions(() => new Promise((resolve, reject) => {
+                statement.get((err, result) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            }));
+            if (row === undefined) return;
+            yield row;
+        }
+    } finally {
+        // Release the statement even when the consumer stops early
+        await new Promise((resolve) => statement.finalize(() => resolve()));
+    }
 };
 
 // Close database connection (for graceful shutdown)
@@ -114,5 +195,7 @@ module.exports = {
     runAsync,
     getAsync,
     allAsync,
+    iterateAsync,
+    withTransaction,
     closeDb
 };
@@ -1,4 +1,5 @@
 const MicrosoftStrategy = require('passport-microsoft').Strategy
+const User = require('../models/User')
 
 module.exports = function(passport) {
   console.log('🔧 Configuring Passport...')
@@ -31,7 +32,11 @@ module.exports = function(passport) {
         async function(accessToken, refreshToken, profile, done) {
           try {
             console.log('Microsoft profile received:', profile.displayName)
+            // keep the database id in the session so routes can use req.user.id
+            const dbUser = await User.findOrCreateFromMicrosoft(profile)
             const user = {
+              id: dbUser.id,
+              role: dbUser.role,
               microsoftId: profile.id,
               email: profile.emails?.[0]?.value || '',
               name: profile.displayName,
@@ -14,7 +14,7 @@ if (!fs.existsSync(dbDir)) {
 }
 
 // Complete schema with IF NOT EXISTS for all tables
-const schema = `
+const tables = `
 -- Enable foreign key support
 PRAGMA foreign_keys = ON;
 
@@ -26,15 +26,17 @@ CREATE TABLE IF NOT EXISTS users (
     name TEXT NOT NULL,
     avatar_url TEXT,
     user_type TEXT DEFAULT 'current' CHECK (user_type IN ('current', 'alumni')),
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'instructor', 'admin')),
     graduation_year INTEGER,
     major TEXT,
     enrollment_year INTEGER,
+    calendar_token TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     last_login DATETIME,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- Courses table
+-- Courses table (catalog data only, term data lives in course_offerings)
 CREATE TABLE IF NOT EXISTS courses (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     course_code TEXT UNIQUE NOT NULL,
@@ -43,11 +45,7 @@ CREATE TABLE IF NOT EXISTS courses (
     credits INTEGER NOT NULL DEFAULT 3,
     description TEXT,
     prerequisites TEXT,
-    schedule TEXT,
-    semester TEXT,
-    year INTEGER,
-    capacity INTEGER DEFAULT 30,
-    enrolled INTEGER DEFAULT 0,
+    archived_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -61,6 +59,7 @@ CREATE TABLE IF NOT EXISTS professors (
     office TEXT,
     bio TEXT,
     website TEXT,
+    archived_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(name, department)
@@ -78,11 +77,84 @@ CREATE TABLE IF NOT EXISTS course_professors (
     UNIQUE(course_id, professor_id)
 );
 
+-- Structured course requirements
+-- Rows sharing a group_number are alternatives (OR), separate groups are all required (AND)
+CREATE TABLE IF NOT EXISTS course_prerequisites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    prerequisite_id INTEGER NOT NULL,
+    group_number INTEGER NOT NULL DEFAULT 1,
+    relation_type TEXT DEFAULT 'prerequisite' CHECK (relation_type IN ('prerequisite', 'corequisite')),
+    min_grade TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (prerequisite_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE(course_id, prerequisite_id, group_number)
+);
+
+-- Links between courses that count as the same or exclude each other
+-- Each pair is stored once with the lower id in course_id
+CREATE TABLE IF NOT EXISTS course_relations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    related_course_id INTEGER NOT NULL,
+    relation_type TEXT NOT NULL CHECK (relation_type IN ('cross_listed', 'equivalent', 'anti_requisite')),
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (related_course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE(course_id, related_course_id),
+    CHECK (course_id < related_course_id)
+);
+
+-- A course taught in a specific term
+CREATE TABLE IF NOT EXISTS course_offerings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    semester TEXT NOT NULL CHECK (semester IN ('Winter', 'Summer', 'Fall')),
+    year INTEGER NOT NULL,
+    section TEXT NOT NULL DEFAULT 'A01',
+    schedule TEXT,
+    capacity INTEGER DEFAULT 30,
+    enrolled INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE(course_id, semester, year, section)
+);
+
+-- Instructors assigned to an offering
+CREATE TABLE IF NOT EXISTS offering_instructors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    offering_id INTEGER NOT NULL,
+    professor_id INTEGER NOT NULL,
+    role TEXT DEFAULT 'Instructor',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (offering_id) REFERENCES course_offerings(id) ON DELETE CASCADE,
+    FOREIGN KEY (professor_id) REFERENCES professors(id) ON DELETE CASCADE,
+    UNIQUE(offering_id, professor_id)
+);
+
+-- Meeting times parsed from course_offerings.schedule, one row per day
+-- Days use single letters: M T W R(Thursday) F S U(Sunday)
+DROP TABLE IF EXISTS course_meeting_times;
+CREATE TABLE IF NOT EXISTS offering_meeting_times (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    offering_id INTEGER NOT NULL,
+    day TEXT NOT NULL CHECK (day IN ('M', 'T', 'W', 'R', 'F', 'S', 'U')),
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    location TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (offering_id) REFERENCES course_offerings(id) ON DELETE CASCADE
+);
+
 -- Enrollments table
 CREATE TABLE IF NOT EXISTS enrollments (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     course_id INTEGER NOT NULL,
+    offering_id INTEGER,
     enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     status TEXT DEFAULT 'enrolled' CHECK (status IN ('enrolled', 'dropped', 'completed', 'auditing')),
     grade TEXT,
@@ -90,9 +162,64 @@ CREATE TABLE IF NOT EXISTS enrollments (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (offering_id) REFERENCES course_offerings(id) ON DELETE SET NULL,
     UNIQUE(user_id, course_id)
 );
 
+-- Students waiting for a seat in a full offering, served in id order
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    offering_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (offering_id) REFERENCES course_offerings(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(offering_id, user_id)
+);
+
+-- In-app notifications
+CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    link TEXT,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Degree plans (a student's layout of future terms)
+CREATE TABLE IF NOT EXISTS degree_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL DEFAULT 'My Plan',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS plan_terms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    plan_id INTEGER NOT NULL,
+    semester TEXT NOT NULL CHECK (semester IN ('Winter', 'Summer', 'Fall')),
+    year INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_id) REFERENCES degree_plans(id) ON DELETE CASCADE,
+    UNIQUE(plan_id, semester, year)
+);
+
+CREATE TABLE IF NOT EXISTS plan_courses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    plan_term_id INTEGER NOT NULL,
+    course_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (plan_term_id) REFERENCES plan_terms(id) ON DELETE CASCADE,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    UNIQUE(plan_term_id, course_id)
+);
+
 -- Alumni network table
 CREATE TABLE IF NOT EXISTS alumni_network (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -108,11 +235,32 @@ CREATE TABLE IF NOT EXISTS alumni_network (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Full-text search indexes, rowid is the course/professor id
+-- Kept in sync by the triggers defined in searchIndex below
+CREATE VIRTUAL TABLE IF NOT EXISTS courses_fts USING fts5(
+    course_code,
+    code_compact,
+    course_name,
+    description,
+    instructors,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3 4'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS professors_fts USING fts5(
+    name,
+    department,
+    courses,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3 4'
+);
+
 -- Reviews table
 CREATE TABLE IF NOT EXISTS reviews (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     course_id INTEGER NOT NULL,
+    offering_id INTEGER,
     professor_id INTEGER,
     semester_taken TEXT,
     year_taken INTEGER,
@@ -120,73 +268,281 @@ CREATE TABLE IF NOT EXISTS reviews (
     difficulty INTEGER CHECK (difficulty >= 1 AND difficulty <= 5),
     comment TEXT,
     would_recommend BOOLEAN DEFAULT 1,
+    hours_per_week INTEGER CHECK (hours_per_week >= 0 AND hours_per_week <= 80),
+    hidden_at DATETIME,
+    hidden_reason TEXT,
+    hidden_note TEXT,
+    screening_flags TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (offering_id) REFERENCES course_offerings(id) ON DELETE SET NULL,
     FOREIGN KEY (professor_id) REFERENCES professors(id) ON DELETE SET NULL,
     UNIQUE(user_id, course_id, professor_id, semester_taken, year_taken)
 );
 
+-- Versioned history of catalog edits, one row per change to a course or professor
+-- snapshot is the full record after the change (JSON), changes the field-level before/after
+CREATE TABLE IF NOT EXISTS catalog_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('course', 'professor')),
+    entity_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'import', 'revert')),
+    changed_by INTEGER,
+    reverted_from INTEGER,
+    changes TEXT NOT NULL DEFAULT '[]',
+    snapshot TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(entity_type, entity_id, version)
+);
+
+-- Edit history of reviews, one row per change, written like catalog_revisions
+-- The first edit of a review also stores what it said before as a 'baseline'
+CREATE TABLE IF NOT EXISTS review_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('baseline', 'update')),
+    changes TEXT NOT NULL DEFAULT '[]',
+    snapshot TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    UNIQUE(review_id, version)
+);
+
+-- Helpful (1) or not helpful (-1) votes on reviews, one per user and review
+CREATE TABLE IF NOT EXISTS review_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    vote INTEGER NOT NULL CHECK (vote IN (1, -1)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(review_id, user_id)
+);
+
+-- Reports of abusive or off-topic reviews, one per user and review
+-- Open reports make up the moderation queue until a moderator acts on the review
+CREATE TABLE IF NOT EXISTS review_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    reason TEXT NOT NULL CHECK (reason IN ('spam', 'abusive', 'off_topic', 'personal_info', 'other')),
+    details TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    FOREIGN KEY (review_id) REFERENCES reviews(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(review_id, user_id)
+);
+
+-- Moderator decisions on reviews with their notes
+-- review_id has no foreign key so the log outlives deleted reviews
+CREATE TABLE IF NOT EXISTS review_moderation_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    moderator_id INTEGER,
+    action TEXT NOT NULL CHECK (action IN ('hide', 'restore', 'dismiss', 'delete')),
+    reason TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Precomputed "students who took this also took" scores, rebuilt by
+-- database/rebuildRecommendations.js. One row per direction of each course pair
+CREATE TABLE IF NOT EXISTS course_similarities (
+    course_id INTEGER NOT NULL,
+    related_course_id INTEGER NOT NULL,
+    co_count INTEGER NOT NULL,
+    score REAL NOT NULL,
+    computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (course_id, related_course_id),
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (related_course_id) REFERENCES courses(id) ON DELETE CASCADE
+);
+
+-- Syllabi, outlines and other files for a course, or for one offering when offering_id is set
+CREATE TABLE IF NOT EXISTS course_materials (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    course_id INTEGER NOT NULL,
+    offering_id INTEGER,
+    kind TEXT NOT NULL DEFAULT 'syllabus' CHECK (kind IN ('syllabus', 'outline', 'other')),
+    title TEXT NOT NULL,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+    FOREIGN KEY (offering_id) REFERENCES course_offerings(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Every uploaded file of a material, the highest version is the current one
+-- The file itself is stored on disk once per content hash (see utils/fileStorage.js)
+CREATE TABLE IF NOT EXISTS material_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    material_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    file_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    uploaded_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (material_id) REFERENCES course_materials(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(material_id, version)
+);
+`;
+
+// Indexes, created after migrations so they can use migrated columns
+const indexes = `
 -- Indexes (CREATE INDEX IF NOT EXISTS)
 CREATE INDEX IF NOT EXISTS idx_users_microsoft ON users(microsoft_id);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_type ON users(user_type);
 CREATE INDEX IF NOT EXISTS idx_users_graduation ON users(graduation_year);
 CREATE INDEX IF NOT EXISTS idx_users_major ON users(major);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token);
 CREATE INDEX IF NOT EXISTS idx_courses_code ON courses(course_code);
 CREATE INDEX IF NOT EXISTS idx_courses_department ON courses(department);
-CREATE INDEX IF NOT EXISTS idx_courses_semester ON courses(semester, year);
+CREATE INDEX IF NOT EXISTS idx_courses_archived ON courses(archived_at);
+CREATE INDEX IF NOT EXISTS idx_offerings_course ON course_offerings(course_id);
+CREATE INDEX IF NOT EXISTS idx_offerings_term ON course_offerings(semester, year);
+CREATE INDEX IF NOT EXISTS idx_offering_instructors_offering ON offering_instructors(offering_id);
+CREATE INDEX IF NOT EXISTS idx_offering_instructors_professor ON offering_instructors(professor_id);
 CREATE INDEX IF NOT EXISTS idx_course_professors_course ON course_professors(course_id);
 CREATE INDEX IF NOT EXISTS idx_course_professors_professor ON course_professors(professor_id);
+CREATE INDEX IF NOT EXISTS idx_course_prerequisites_course ON course_prerequisites(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_prerequisites_prerequisite ON course_prerequisites(prerequisite_id);
+CREATE INDEX IF NOT EXISTS idx_course_relations_related ON course_relations(related_course_id);
+CREATE INDEX IF NOT EXISTS idx_meeting_times_offering ON offering_meeting_times(offering_id);
+CREATE INDEX IF NOT EXISTS idx_meeting_times_day ON offering_meeting_times(day, start_time);
 CREATE INDEX IF NOT EXISTS idx_enrollments_user ON enrollments(user_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_course ON enrollments(course_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_status ON enrollments(status);
+CREATE INDEX IF NOT EXISTS idx_enrollments_offering ON enrollments(offering_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offering ON waitlist_entries(offering_id, id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_user ON waitlist_entries(user_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);
+CREATE INDEX IF NOT EXISTS idx_course_similarities_score ON course_similarities(course_id, score DESC);
+CREATE INDEX IF NOT EXISTS idx_course_materials_course ON course_materials(course_id, offering_id);
+CREATE INDEX IF NOT EXISTS idx_material_versions_sha ON material_versions(sha256);
 CREATE INDEX IF NOT EXISTS idx_reviews_course ON reviews(course_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_professor ON reviews(professor_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_user ON reviews(user_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_offering ON reviews(offering_id);
+CREATE INDEX IF NOT EXISTS idx_review_votes_user ON review_votes(user_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_hidden ON reviews(hidden_at);
+CREATE INDEX IF NOT EXISTS idx_review_reports_status ON review_reports(status, review_id);
+CREATE INDEX IF NOT EXISTS idx_review_moderation_log_review ON review_moderation_log(review_id);
 CREATE INDEX IF NOT EXISTS idx_professors_name ON professors(name);
 CREATE INDEX IF NOT EXISTS idx_professors_department ON professors(department);
+CREATE INDEX IF NOT EXISTS idx_professors_archived ON professors(archived_at);
+CREATE INDEX IF NOT EXISTS idx_degree_plans_user ON degree_plans(user_id);
+CREATE INDEX IF NOT EXISTS idx_plan_terms_plan ON plan_terms(plan_id);
+CREATE INDEX IF NOT EXISTS idx_plan_courses_term ON plan_courses(plan_term_id);
 CREATE INDEX IF NOT EXISTS idx_alumni_industry ON alumni_network(industry);
 CREATE INDEX IF NOT EXISTS idx_alumni_mentorship ON alumni_network(mentorship_available);
+`;
 
--- Views (CREATE VIEW IF NOT EXISTS)
-CREATE VIEW IF NOT EXISTS course_stats AS
+// Views are dropped and recreated so definition changes reach existing databases
+const views = `
+DROP VIEW IF EXISTS course_stats;
+CREATE VIEW course_stats AS
 SELECT 
     c.id,
     c.course_code,
     c.course_name,
     c.department,
     c.credits,
-    c.capacity,
-    c.enrolled,
-    (c.capacity - c.enrolled) as seats_available,
-    c.schedule,
-    c.semester,
-    c.year,
-    GROUP_CONCAT(DISTINCT p.name, ', ') as instructors,
+    (SELECT COUNT(*) FROM course_offerings o WHERE o.course_id = c.id) as offering_count,
+    (SELECT COALESCE(SUM(o.capacity), 0) FROM course_offerings o WHERE o.course_id = c.id) as capacity,
+    (SELECT COALESCE(SUM(o.enrolled), 0) FROM course_offerings o WHERE o.course_id = c.id) as enrolled,
+    (SELECT COALESCE(SUM(o.capacity - o.enrolled), 0) FROM course_offerings o WHERE o.course_id = c.id) as seats_available,
+    REPLACE(GROUP_CONCAT(DISTINCT p.name), ',', ', ') as instructors,
     COUNT(DISTINCT cp.professor_id) as instructor_count,
     COUNT(DISTINCT r.id) as review_count,
     AVG(r.rating) as avg_rating,
     AVG(r.difficulty) as avg_difficulty,
-    SUM(CASE WHEN r.would_recommend THEN 1 ELSE 0 END) * 1.0 / NULLIF(COUNT(r.id), 0) as recommend_rate
+    SUM(CASE WHEN r.would_recommend THEN 1 ELSE 0 END) * 1.0 / NULLIF(COUNT(r.id), 0) as recommend_rate,
+    AVG(r.hours_per_week) as avg_hours_per_week,
+    COUNT(DISTINCT CASE WHEN r.hours_per_week IS NOT NULL THEN r.id END) as hours_report_count
 FROM courses c
 LEFT JOIN course_professors cp ON c.id = cp.course_id
 LEFT JOIN professors p ON cp.professor_id = p.id
-LEFT JOIN reviews r ON c.id = r.course_id
+LEFT JOIN reviews r ON c.id = r.course_id AND r.hidden_at IS NULL
 GROUP BY c.id;
 
-CREATE VIEW IF NOT EXISTS course_details AS
+-- Per-term statistics, reviews count towards the offering they were written for
+DROP VIEW IF EXISTS offering_stats;
+CREATE VIEW offering_stats AS
+SELECT 
+    o.id,
+    o.course_id,
+    c.course_code,
+    c.course_name,
+    c.department,
+    c.credits,
+    c.archived_at as course_archived_at,
+    o.semester,
+    o.year,
+    o.section,
+    o.schedule,
+    o.capacity,
+    o.enrolled,
+    (o.capacity - o.enrolled) as seats_available,
+    REPLACE(GROUP_CONCAT(DISTINCT p.name), ',', ', ') as instructors,
+    COUNT(DISTINCT oi.professor_id) as instructor_count,
+    COUNT(DISTINCT r.id) as review_count,
+    AVG(r.rating) as avg_rating,
+    AVG(r.difficulty) as avg_difficulty,
+    SUM(CASE WHEN r.would_recommend THEN 1 ELSE 0 END) * 1.0 / NULLIF(COUNT(r.id), 0) as recommend_rate
+FROM course_offerings o
+JOIN courses c ON o.course_id = c.id
+LEFT JOIN offering_instructors oi ON o.id = oi.offering_id
+LEFT JOIN professors p ON oi.professor_id = p.id
+LEFT JOIN reviews r ON o.id = r.offering_id AND r.hidden_at IS NULL
+GROUP BY o.id;
+
+-- Review aggregates per professor, used to sort professor listings
+DROP VIEW IF EXISTS professor_stats;
+CREATE VIEW professor_stats AS
+SELECT 
+    p.id,
+    p.name,
+    p.department,
+    (SELECT COUNT(*) FROM course_professors cp WHERE cp.professor_id = p.id) as course_count,
+    COUNT(r.id) as review_count,
+    AVG(r.rating) as avg_rating,
+    AVG(r.difficulty) as avg_difficulty,
+    SUM(CASE WHEN r.would_recommend THEN 1 ELSE 0 END) * 1.0 / NULLIF(COUNT(r.id), 0) as recommend_rate
+FROM professors p
+LEFT JOIN reviews r ON p.id = r.professor_id AND r.hidden_at IS NULL
+GROUP BY p.id;
+
+DROP VIEW IF EXISTS course_details;
+CREATE VIEW course_details AS
 SELECT 
     c.*,
-    GROUP_CONCAT(DISTINCT p.name, ', ') as instructors,
-    COUNT(DISTINCT cp.professor_id) as instructor_count
+    REPLACE(GROUP_CONCAT(DISTINCT p.name), ',', ', ') as instructors,
+    COUNT(DISTINCT cp.professor_id) as instructor_count,
+    (SELECT COUNT(*) FROM course_offerings o WHERE o.course_id = c.id) as offering_count,
+    (SELECT COALESCE(SUM(o.capacity - o.enrolled), 0) FROM course_offerings o WHERE o.course_id = c.id) as seats_available
 FROM courses c
 LEFT JOIN course_professors cp ON c.id = cp.course_id
 LEFT JOIN professors p ON cp.professor_id = p.id
 GROUP BY c.id;
 
-CREATE VIEW IF NOT EXISTS user_enrollments AS
+DROP VIEW IF EXISTS user_enrollments;
+CREATE VIEW user_enrollments AS
 SELECT 
     u.id as user_id,
     u.email,
@@ -198,14 +554,19 @@ SELECT
     c.course_code,
     c.course_name,
     c.department,
+    e.offering_id,
+    o.semester,
+    o.year,
     e.enrolled_at,
     e.status,
     e.grade
 FROM users u
 JOIN enrollments e ON u.id = e.user_id
-JOIN courses c ON e.course_id = c.id;
+JOIN courses c ON e.course_id = c.id
+LEFT JOIN course_offerings o ON e.offering_id = o.id;
 
-CREATE VIEW IF NOT EXISTS alumni_directory AS
+DROP VIEW IF EXISTS alumni_directory;
+CREATE VIEW alumni_directory AS
 SELECT 
     u.id,
     u.name,
@@ -222,7 +583,8 @@ LEFT JOIN alumni_network a ON u.id = a.user_id
 WHERE u.user_type = 'alumni'
 ORDER BY u.graduation_year DESC, u.name;
 
-CREATE VIEW IF NOT EXISTS user_stats AS
+DROP VIEW IF EXISTS user_stats;
+CREATE VIEW user_stats AS
 SELECT 
     user_type,
     COUNT(*) as user_count,
@@ -234,7 +596,8 @@ FROM users
 WHERE user_type IS NOT NULL
 GROUP BY user_type;
 
-CREATE VIEW IF NOT EXISTS alumni_stats AS
+DROP VIEW IF EXISTS alumni_stats;
+CREATE VIEW alumni_stats AS
 SELECT 
     COUNT(*) as total_alumni,
     COUNT(DISTINCT major) as distinct_majors,
@@ -247,6 +610,259 @@ LEFT JOIN alumni_network a ON u.id = a.user_id
 WHERE u.user_type = 'alumni';
 `;
 
+// Search index rows, built from the live tables for the courses/professors matching a WHERE clause.
+// Course codes are indexed as written and compacted ("COMP2140") so "comp2140" finds them too
+const courseSearchRows = (where) => `
+    DELETE FROM courses_fts WHERE rowid IN (SELECT c.id FROM courses c WHERE ${where});
+    INSERT INTO courses_fts (rowid, course_code, code_compact, course_name, description, instructors)
+    SELECT c.id, c.course_code, REPLACE(c.course_code, ' ', ''), c.course_name, COALESCE(c.description, ''),
+        COALESCE((
+            SELECT GROUP_CONCAT(p.name, ' ')
+            FROM course_professors cp JOIN professors p ON p.id = cp.professor_id
+            WHERE cp.course_id = c.id
+        ), '')
+    FROM courses c WHERE ${where};
+`;
+
+const professorSearchRows = (where) => `
+    DELETE FROM professors_fts WHERE rowid IN (SELECT p.id FROM professors p WHERE ${where});
+    INSERT INTO professors_fts (rowid, name, department, courses)
+    SELECT p.id, p.name, COALESCE(p.department, ''),
+        COALESCE((
+            SELECT GROUP_CONCAT(c.course_code || ' ' || REPLACE(c.course_code, ' ', ''), ' ')
+            FROM course_professors cp JOIN courses c ON c.id = cp.course_id
+            WHERE cp.professor_id = p.id
+        ), '')
+    FROM professors p WHERE ${where};
+`;
+
+// Triggers are recreated like views, then both indexes are rebuilt so rows written
+// before the triggers existed are searchable
+const searchIndex = `
+DROP TRIGGER IF EXISTS courses_search_insert;
+CREATE TRIGGER courses_search_insert AFTER INSERT ON courses BEGIN
+    ${courseSearchRows('c.id = new.id')}
+END;
+
+DROP TRIGGER IF EXISTS courses_search_update;
+CREATE TRIGGER courses_search_update AFTER UPDATE OF course_code, course_name, description ON courses BEGIN
+    ${courseSearchRows('c.id = new.id')}
+    ${professorSearchRows('p.id IN (SELECT professor_id FROM course_professors WHERE course_id = new.id)')}
+END;
+
+DROP TRIGGER IF EXISTS courses_search_delete;
+CREATE TRIGGER courses_search_delete AFTER DELETE ON courses BEGIN
+    DELETE FROM courses_fts WHERE rowid = old.id;
+END;
+
+DROP TRIGGER IF EXISTS professors_search_insert;
+CREATE TRIGGER professors_search_insert AFTER INSERT ON professors BEGIN
+    ${professorSearchRows('p.id = new.id')}
+END;
+
+DROP TRIGGER IF EXISTS professors_search_update;
+CREATE TRIGGER professors_search_update AFTER UPDATE OF name, department ON professors BEGIN
+    ${professorSearchRows('p.id = new.id')}
+    ${courseSearchRows('c.id IN (SELECT course_id FROM course_professors WHERE professor_id = new.id)')}
+END;
+
+DROP TRIGGER IF EXISTS professors_search_delete;
+CREATE TRIGGER professors_search_delete AFTER DELETE ON professors BEGIN
+    DELETE FROM professors_fts WHERE rowid = old.id;
+END;
+
+DROP TRIGGER IF EXISTS course_professors_search_insert;
+CREATE TRIGGER course_professors_search_insert AFTER INSERT ON course_professors BEGIN
+    ${courseSearchRows('c.id = new.course_id')}
+    ${professorSearchRows('p.id = new.professor_id')}
+END;
+
+DROP TRIGGER IF EXISTS course_professors_search_delete;
+CREATE TRIGGER course_professors_search_delete AFTER DELETE ON course_professors BEGIN
+    ${courseSearchRows('c.id = old.course_id')}
+    ${professorSearchRows('p.id = old.professor_id')}
+END;
+
+DELETE FROM courses_fts;
+DELETE FROM professors_fts;
+${courseSearchRows('1 = 1')}
+${professorSearchRows('1 = 1')}
+`;
+
+// Promise helpers for the migration steps below
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, changes: this.changes });
+    });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+    });
+});
+
+const exec = (sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+    });
+});
+
+const columnExists = async (table, column) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    return columns.some(c => c.name === column);
+};
+
+const addColumnIfMissing = async (table, column, definition) => {
+    if (!(await columnExists(table, column))) {
+        await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`  Added ${table}.${column}`);
+    }
+};
+
+// Upgrades for databases created by an older version of this script.
+// Every step checks the current shape first, so it is a no-op on fresh databases
+// and safe to run again. Views are dropped before these run and recreated after.
+const migrations = [
+    {
+        name: 'Link enrollments and reviews to course offerings',
+        up: async () => {
+            await addColumnIfMissing('enrollments', 'offering_id', 'INTEGER REFERENCES course_offerings(id) ON DELETE SET NULL');
+            await addColumnIfMissing('reviews', 'offering_id', 'INTEGER REFERENCES course_offerings(id) ON DELETE SET NULL');
+        }
+    },
+    {
+        name: 'Move term data from courses into course_offerings',
+        up: async () => {
+            if (!(await columnExists('courses', 'semester'))) return;
+
+            const result = await run(`
+                INSERT OR IGNORE INTO course_offerings (course_id, semester, year, schedule, capacity, enrolled)
+                SELECT id, semester, year, schedule, COALESCE(capacity, 30), COALESCE(enrolled, 0)
+                FROM courses
+                WHERE semester IN ('Winter', 'Summer', 'Fall') AND year IS NOT NULL
+            `);
+            console.log(`  Created ${result.changes} offerings from existing courses`);
+
+            await run(`
+                INSERT OR IGNORE INTO offering_instructors (offering_id, professor_id, role)
+                SELECT o.id, cp.professor_id, cp.role
+                FROM course_offerings o
+                JOIN course_professors cp ON cp.course_id = o.course_id
+            `);
+            await run(`
+                UPDATE enrollments SET offering_id = (
+                    SELECT o.id FROM course_offerings o
+                    WHERE o.course_id = enrollments.course_id
+                    ORDER BY o.year DESC LIMIT 1
+                )
+                WHERE offering_id IS NULL
+            `);
+            await run(`
+                UPDATE reviews SET offering_id = (
+                    SELECT o.id FROM course_offerings o
+                    WHERE o.course_id = reviews.course_id
+                      AND o.semester = reviews.semester_taken
+                      AND o.year = reviews.year_taken
+                    LIMIT 1
+                )
+                WHERE offering_id IS NULL
+            `);
+
+            await run('DROP INDEX IF EXISTS idx_courses_semester');
+            for (const column of ['semester', 'year', 'schedule', 'capacity', 'enrolled']) {
+                await run(`ALTER TABLE courses DROP COLUMN ${column}`);
+            }
+            console.log('  Removed term columns from courses (run backfill.js to rebuild meeting times)');
+        }
+    },
+    {
+        name: 'Add user roles',
+        up: async () => {
+            await addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'instructor', 'admin'))");
+        }
+    },
+    {
+        name: 'Sync offering enrollment counters with enrollment rows',
+        up: async () => {
+            // Counters were never updated by a route, so recount every seat holder once
+            const result = await run(`
+                UPDATE course_offerings SET enrolled = (
+                    SELECT COUNT(*) FROM enrollments e
+                    WHERE e.offering_id = course_offerings.id AND e.status != 'dropped'
+                )
+                WHERE enrolled != (
+                    SELECT COUNT(*) FROM enrollments e
+                    WHERE e.offering_id = course_offerings.id AND e.status != 'dropped'
+                )
+            `);
+            if (result.changes > 0) {
+                console.log(`  Corrected enrolled counts on ${result.changes} offerings`);
+            }
+        }
+    },
+    {
+        name: 'Add calendar subscription tokens',
+        up: async () => {
+            await addColumnIfMissing('users', 'calendar_token', 'TEXT');
+        }
+    },
+    {
+        name: 'Add self-reported weekly hours to reviews',
+        up: async () => {
+            await addColumnIfMissing('reviews', 'hours_per_week', 'INTEGER CHECK (hours_per_week >= 0 AND hours_per_week <= 80)');
+        }
+    },
+    {
+        name: 'Archive courses and professors instead of deleting them',
+        up: async () => {
+            await addColumnIfMissing('courses', 'archived_at', 'DATETIME');
+            await addColumnIfMissing('professors', 'archived_at', 'DATETIME');
+        }
+    },
+    {
+        name: 'Let moderators hide reported reviews',
+        up: async () => {
+            await addColumnIfMissing('reviews', 'hidden_at', 'DATETIME');
+            await addColumnIfMissing('reviews', 'hidden_reason', 'TEXT');
+            await addColumnIfMissing('reviews', 'hidden_note', 'TEXT');
+        }
+    },
+    {
+        name: 'Flag reviews caught by comment screening',
+        up: async () => {
+            await addColumnIfMissing('reviews', 'screening_flags', 'TEXT');
+        }
+    }
+];
+
+const migrate = async () => {
+    await exec(tables);
+
+    const existingViews = await all("SELECT name FROM sqlite_master WHERE type = 'view'");
+    for (const view of existingViews) {
+        await run(`DROP VIEW IF EXISTS ${view.name}`);
+    }
+
+    for (const migration of migrations) {
+        await run('BEGIN TRANSACTION');
+        try {
+            await migration.up();
+            await run('COMMIT');
+        } catch (error) {
+            await run('ROLLBACK');
+            throw new Error(`Migration "${migration.name}" failed: ${error.message}`);
+        }
+    }
+
+    await exec(indexes);
+    await exec(views);
+    await exec(searchIndex);
+};
+
 // DON'T delete the old database - keep existing data
 console.log('Initializing database schema (preserving existing data)...');
 
@@ -258,14 +874,15 @@ const db = new sqlite3.Database(dbPath, (err) => {
     }
     console.log(' Connected to database successfully');
     
-    // Execute schema
-    db.exec(schema, (err) => {
-        if (err) {
-            console.error(' Error creating schema:', err);
-        } else {
+    // Execute schema, migrations, indexes and views in order
+    migrate()
+        .then(() => {
             console.log(' Database schema verified/created successfully!');
-        }
-        
-        db.close();
-    });
+        })
+        .catch((err) => {
+            console.error(' Error creating schema:', err);
+        })
+        .finally(() => {
+            db.close();
+        });
 });
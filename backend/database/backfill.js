@@ -0,0 +1,35 @@
+// backfill.js
+// Parses the free-text course columns into their structured tables:
+//   courses.prerequisites     -> course_prerequisites
+//   course_offerings.schedule -> offering_meeting_times
+// Run after InitializeDatabase.js (and seed.js on a fresh database).
+const Prerequisite = require('../models/Prerequisite');
+const MeetingTime = require('../models/MeetingTime');
+const { closeDb } = require('../config/database');
+
+const reportSkipped = (skipped) => {
+    skipped.forEach(({ course_code, reason }) => {
+        console.log(`  Skipped part of ${course_code}: ${reason}`);
+    });
+};
+
+async function backfill() {
+    try {
+        console.log('Parsing free-text prerequisites...');
+        const prerequisites = await Prerequisite.backfillFromText();
+        console.log(` Linked prerequisites for ${prerequisites.linked} courses`);
+        reportSkipped(prerequisites.skipped);
+
+        console.log('\nParsing course schedules...');
+        const meetings = await MeetingTime.backfillFromSchedule();
+        console.log(` Stored meeting times for ${meetings.scheduled} offerings`);
+        reportSkipped(meetings.skipped);
+    } catch (error) {
+        console.error(' Error running backfill:', error);
+        process.exitCode = 1;
+    } finally {
+        await closeDb();
+    }
+}
+
+backfill();
@@ -0,0 +1,62 @@
+// exportCatalog.js
+// Streams courses, professors or anonymized reviews to a file.
+//   node database/exportCatalog.js <courses|professors|reviews> [--format csv|json|ndjson] [--output file]
+//     [--search text] [--department name] [--semester Fall] [--year 2024]
+//     [--credits 3] [--minRating 4] [--hasSeats true|false] [--includeArchived true]
+//
+// The filters are the same as GET /api/courses. Without --output the file is
+// written to the current directory as <dataset>-<date>.<format>
+const fs = require('fs');
+const CatalogExport = require('../models/CatalogExport');
+const { closeDb } = require('../config/database');
+const { EXPORT_FORMATS, writeExport } = require('../utils/export');
+const { parseCourseFilters } = require('../utils/courseFilters');
+
+// Read "--name value" pairs into an object
+const parseOptions = (args) => {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return options;
+};
+
+async function exportCatalog() {
+    const [dataset, ...args] = process.argv.slice(2);
+    const options = parseOptions(args);
+    const format = options.format || 'csv';
+
+    try {
+        if (!dataset || dataset.startsWith('--')) {
+            console.log('Usage: node database/exportCatalog.js <courses|professors|reviews> [--format csv|json|ndjson] [--output file] [filters]');
+            process.exitCode = 1;
+            return;
+        }
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const columns = CatalogExport.columns(dataset);
+        const date = new Date().toISOString().slice(0, 10);
+        const output = options.output || `${dataset}-${date}.${EXPORT_FORMATS[format].extension}`;
+
+        const stream = fs.createWriteStream(output);
+        const count = await writeExport(stream, CatalogExport.iterate(dataset, parseCourseFilters(options)), { format, columns });
+        await new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.end(resolve);
+        });
+
+        console.log(` Exported ${count} ${dataset} to ${output}`);
+    } catch (error) {
+        console.error(' Error exporting catalog:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await closeDb();
+    }
+}
+
+exportCatalog();
@@ -0,0 +1,101 @@
+// importCatalog.js
+// Upserts courses, professors, course roles and offerings from a catalog file.
+//   node database/importCatalog.js <file.csv|file.json> [--dry-run] [--format csv|json]
+//
+// CSV columns: course_code, course_name, department, credits, description, prerequisites,
+//   instructors ("Dr. Emily Brown (Statistics): Primary Instructor; Dr. Lisa Martinez"),
+//   and optionally semester, year, section, schedule, capacity for an offering.
+//   Repeat a course's row to list more offerings. Empty cells keep the current value.
+// JSON: { professors: [...], courses: [...] } as described in models/CatalogImport.js
+//
+// The diff is always printed first, the import then runs in a single transaction.
+const fs = require('fs');
+const path = require('path');
+const CatalogImport = require('../models/CatalogImport');
+const { closeDb } = require('../config/database');
+
+const formatValue = (value) => value === undefined || value === null || value === '' ? '(empty)' : JSON.stringify(value);
+
+const printChanges = (changes) => {
+    changes.forEach(({ field, from, to }) => {
+        if (field === 'instructor') {
+            console.log(from === null ? `      + instructor ${to}` : to === null ? `      - instructor ${from}` : `      ~ instructor ${from} -> ${to}`);
+        } else {
+            console.log(`      ${field}: ${formatValue(from)} -> ${formatValue(to)}`);
+        }
+    });
+};
+
+const printPlan = (plan) => {
+    console.log('Professors:');
+    plan.professors.filter(professor => professor.action !== 'unchanged').forEach(professor => {
+        const label = professor.data.department ? `${professor.data.name} (${professor.data.department})` : professor.data.name;
+        console.log(`  ${professor.action === 'create' ? '+' : '~'} ${label}`);
+        printChanges(professor.changes);
+    });
+
+    console.log('\nCourses:');
+    plan.courses.filter(course => course.action !== 'unchanged').forEach(course => {
+        console.log(`  ${course.action === 'create' ? '+' : '~'} ${course.course_code} ${course.data.course_name}`);
+        if (course.action === 'create' && course.instructors) {
+            course.instructors.forEach(instructor => console.log(`      + instructor ${instructor.name}: ${instructor.role}`));
+        }
+        printChanges(course.changes);
+
+        course.offerings.filter(offering => offering.action !== 'unchanged').forEach(offering => {
+            console.log(`      ${offering.action === 'create' ? '+' : '~'} offering ${offering.semester} ${offering.year} ${offering.section}`);
+            offering.changes.forEach(({ field, from, to }) => {
+                console.log(`          ${field}: ${formatValue(from)} -> ${formatValue(to)}`);
+            });
+        });
+    });
+
+    const { professors, courses, offerings } = plan.summary;
+    console.log(`\nProfessors: ${professors.create} new, ${professors.update} updated, ${professors.unchanged} unchanged`);
+    console.log(`Courses: ${courses.create} new, ${courses.update} updated, ${courses.unchanged} unchanged`);
+    console.log(`Offerings: ${offerings.create} new, ${offerings.update} updated`);
+};
+
+async function importCatalog() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const formatIndex = args.indexOf('--format');
+    const file = args.find((arg, index) => !arg.startsWith('--') && (formatIndex < 0 || index !== formatIndex + 1));
+
+    try {
+        if (!file) {
+            console.log('Usage: node database/importCatalog.js <file.csv|file.json> [--dry-run] [--format csv|json]');
+            process.exitCode = 1;
+            return;
+        }
+
+        const format = formatIndex >= 0 ? args[formatIndex + 1] : path.extname(file).slice(1).toLowerCase();
+        const catalog = CatalogImport.parse(fs.readFileSync(file, 'utf8'), format);
+        const plan = await CatalogImport.plan(catalog);
+
+        printPlan(plan);
+
+        if (plan.errors.length > 0) {
+            console.log('\nErrors:');
+            plan.errors.forEach(error => console.log(`  ${error}`));
+            console.log('\nNothing was imported.');
+            process.exitCode = 1;
+            return;
+        }
+
+        if (dryRun) {
+            console.log('\nDry run, nothing was written.');
+            return;
+        }
+
+        await CatalogImport.apply(plan);
+        console.log('\n Catalog imported');
+    } catch (error) {
+        console.error(' Error importing catalog:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await closeDb();
+    }
+}
+
+importCatalog();
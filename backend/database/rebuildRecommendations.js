@@ -0,0 +1,20 @@
+// rebuildRecommendations.js
+// Recomputes course_similarities from enrollments and reviews.
+// Run periodically (e.g. nightly from cron), requests only read the precomputed table.
+const Recommendation = require('../models/Recommendation');
+const { closeDb } = require('../config/database');
+
+async function rebuildRecommendations() {
+    try {
+        console.log('Rebuilding course recommendations...');
+        const { pairs, computed_at } = await Recommendation.rebuild();
+        console.log(` Stored ${pairs} related course pairs (computed ${computed_at})`);
+    } catch (error) {
+        console.error(' Error rebuilding recommendations:', error);
+        process.exitCode = 1;
+    } finally {
+        await closeDb();
+    }
+}
+
+rebuildRecommendations();
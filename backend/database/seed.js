@@ -60,17 +60,23 @@ async function seedDatabase() {
 
         const courseStmt = db.prepare(`
             INSERT INTO courses 
-            (course_code, course_name, department, credits, description, 
-             prerequisites, schedule, semester, year, capacity)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            (course_code, course_name, department, credits, description, prerequisites)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        // Term data goes on the offering, not the catalog course
+        const offeringStmt = db.prepare(`
+            INSERT OR IGNORE INTO course_offerings (course_id, semester, year, schedule, capacity)
+            SELECT id, ?, ?, ?, ? FROM courses WHERE course_code = ?
         `);
         
-        const courseIds = [];
         courses.forEach(c => {
-            courseStmt.run(c[0], c[1], c[2], c[3], c[4], c[5], c[6], c[7], c[8], c[9]);
-            console.log(`  Added course: ${c[0]} - ${c[1]}`);
+            courseStmt.run(c[0], c[1], c[2], c[3], c[4], c[5]);
+            offeringStmt.run(c[7], c[8], c[6], c[9], c[0]);
+            console.log(`  Added course: ${c[0]} - ${c[1]} (${c[7]} ${c[8]})`);
         });
         courseStmt.finalize();
+        offeringStmt.finalize();
 
         // Get course IDs for linking professors
         db.all('SELECT id, course_code FROM courses', (err, courseRows) => {
@@ -136,6 +142,14 @@ async function seedDatabase() {
                 }
 
                 linkStmt.finalize();
+
+                // Everyone linked to a course teaches its seeded offering
+                db.run(`
+                    INSERT OR IGNORE INTO offering_instructors (offering_id, professor_id, role)
+                    SELECT o.id, cp.professor_id, cp.role
+                    FROM course_professors cp
+                    JOIN course_offerings o ON o.course_id = cp.course_id
+                `);
                 console.log('  Professor-course links complete!');
 
                 // Insert a test user
@@ -161,13 +175,17 @@ async function seedDatabase() {
 
                     const reviewStmt = db.prepare(`
                         INSERT INTO reviews 
-                        (user_id, course_id, professor_id, semester_taken, year_taken, 
+                        (user_id, course_id, offering_id, professor_id, semester_taken, year_taken, 
                          rating, difficulty, comment, would_recommend)
-                        VALUES (?, ?, ?, 'Fall', 2024, ?, ?, ?, ?)
+                        VALUES (?, ?, (
+                            SELECT id FROM course_offerings
+                            WHERE course_id = ? AND semester = 'Fall' AND year = 2024
+                            ORDER BY section LIMIT 1
+                        ), ?, 'Fall', 2024, ?, ?, ?, ?)
                     `);
 
                     reviews.forEach(review => {
-                        reviewStmt.run(user.id, courseMap['COMP 3030'], professorMap['Stephane Durocher'], 
+                        reviewStmt.run(user.id, courseMap['COMP 3030'], courseMap['COMP 3030'], professorMap['Stephane Durocher'], 
                                      review[0], review[1], review[2], review[3]);
                     });
                     
@@ -179,6 +197,9 @@ async function seedDatabase() {
                         db.get('SELECT COUNT(*) as count FROM courses', (err, row) => {
                             console.log(`\nTotal courses: ${row.count}`);
                         })
+                        db.get('SELECT COUNT(*) as count FROM course_offerings', (err, row) => {
+                            console.log(` Total offerings: ${row.count}`);
+                        });
                         db.get('SELECT COUNT(*) as count FROM professors', (err, row) => {
                             console.log(` Total professors: ${row.count}`);
                         });
@@ -61,7 +61,17 @@ require('./config/passport')(passport)
 // import routes
 app.use('/auth', require('./routes/auth'))
 app.use('/api/courses', require('./routes/courses'))
-// app.use('/api/professors', require('./routes/professors'))
+app.use('/api/enrollments', require('./routes/enrollments'))
+app.use('/api/waitlists', require('./routes/waitlists'))
+app.use('/api/notifications', require('./routes/notifications'))
+app.use('/api/offerings', require('./routes/offerings'))
+app.use('/api/plans', require('./routes/plans'))
+app.use('/api/professors', require('./routes/professor'))
+app.use('/api/exports', require('./routes/exports'))
+app.use('/api/me', require('./routes/me'))
+app.use('/api/calendar', require('./routes/calendar'))
+app.use('/api/materials', require('./routes/materials'))
+app.use('/api/moderation', require('./routes/moderation'))
 
 // error handling middleware
 app.use((err, req, res, next) => {
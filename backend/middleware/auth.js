@@ -5,5 +5,23 @@ module.exports = {
         return next()
       }
       res.status(401).json({ message: 'Please log in to access this resource' })
+    },
+    ensureAdmin: function(req, res, next) {
+      if (!req.isAuthenticated()) {
+        return res.status(401).json({ message: 'Please log in to access this resource' })
+      }
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Admin access required' })
+      }
+      next()
+    },
+    ensureInstructor: function(req, res, next) {
+      if (!req.isAuthenticated()) {
+        return res.status(401).json({ message: 'Please log in to access this resource' })
+      }
+      if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Instructor access required' })
+      }
+      next()
     }
   }
\ No newline at end of file
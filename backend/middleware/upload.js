@@ -0,0 +1,25 @@
+// backend/middleware/upload.js
+const multer = require('multer')
+const { MAX_FILE_SIZE } = require('../utils/fileTypes')
+
+// Files are kept in memory so they can be hashed and type-checked before being stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+})
+
+module.exports = {
+  // Parse a multipart/form-data request with one file in the "file" field
+  // and answer upload errors (too large, wrong field) as JSON
+  uploadFile: function(req, res, next) {
+    upload.single('file')(req, res, (err) => {
+      if (!err) {
+        return next()
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `Files can be at most ${MAX_FILE_SIZE / 1024 / 1024} MB` })
+      }
+      res.status(400).json({ message: err.message })
+    })
+  }
+}
@@ -0,0 +1,71 @@
+// backend/models/Calendar.js
+const { allAsync } = require('../config/database');
+const MeetingTime = require('./MeetingTime');
+const { termDates } = require('../utils/terms');
+const { firstMeetingDate, formatCalendar } = require('../utils/ical');
+
+class Calendar {
+
+    /**
+     * Weekly class events for a user's active enrollments
+     * Every meeting time of an offering becomes one event repeating on its days
+     * from the first class of the term until the last day of classes
+     */
+    static async getEvents(userId) {
+        try {
+            const offerings = await allAsync(`
+                SELECT e.offering_id, e.status, c.course_code, c.course_name,
+                       o.semester, o.year, o.section
+                FROM enrollments e
+                JOIN courses c ON e.course_id = c.id
+                JOIN course_offerings o ON e.offering_id = o.id
+                WHERE e.user_id = ? AND e.status IN ('enrolled', 'auditing')
+                ORDER BY o.year, o.semester, c.course_code
+            `, [userId]);
+
+            const events = [];
+            for (const offering of offerings) {
+                const { start, end } = termDates(offering.semester, offering.year);
+                const meetings = await MeetingTime.findByOffering(offering.offering_id);
+
+                meetings.forEach((meeting, index) => {
+                    const days = [...meeting.days];
+                    const date = firstMeetingDate(start, end, days);
+                    if (!date) return;
+
+                    events.push({
+                        uid: `offering-${offering.offering_id}-meeting-${index + 1}@degreedash`,
+                        summary: `${offering.course_code} ${offering.course_name}`,
+                        description: `${offering.semester} ${offering.year}, section ${offering.section}${offering.status === 'auditing' ? ' (auditing)' : ''}`,
+                        location: meeting.location,
+                        date,
+                        start_time: meeting.start_time,
+                        end_time: meeting.end_time,
+                        days,
+                        until: end
+                    });
+                });
+            }
+
+            return events;
+        } catch (error) {
+            console.error('Error building calendar events:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A user's weekly schedule as an iCalendar (.ics) document
+     */
+    static async buildFeed(user) {
+        try {
+            const events = await this.getEvents(user.id);
+            return formatCalendar({ name: `${user.name} - Degree Dash schedule`, events });
+        } catch (error) {
+            console.error('Error building calendar feed:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Calendar;
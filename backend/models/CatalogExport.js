@@ -0,0 +1,110 @@
+// backend/models/CatalogExport.js
+const { iterateAsync } = require('../config/database');
+const Course = require('./Course');
+const { createHttpError } = require('../utils/httpError');
+
+// Exportable datasets and the columns written for each, in order
+// Reviews are anonymized: nothing identifies the student who wrote them
+const DATASETS = {
+    courses: [
+        'id', 'course_code', 'course_name', 'department', 'credits', 'description',
+        'prerequisites', 'instructors', 'instructor_count', 'offering_count', 'seats_available',
+        'review_count', 'avg_rating', 'avg_difficulty', 'recommend_rate'
+    ],
+    professors: [
+        'id', 'name', 'department', 'email', 'office', 'course_count',
+        'review_count', 'avg_rating', 'avg_difficulty', 'recommend_rate'
+    ],
+    reviews: [
+        'id', 'course_code', 'course_name', 'department', 'semester', 'year', 'section',
+        'professor', 'rating', 'difficulty', 'would_recommend', 'comment', 'created_at'
+    ]
+};
+
+/**
+ * Streams courses, professors and reviews for admin exports.
+ * Every dataset takes the course filters of Course.findAll: professors are
+ * limited to those teaching a matching course, reviews to matching courses.
+ * Archived courses and professors (and reviews of archived courses) are only
+ * exported with includeArchived
+ */
+class CatalogExport {
+
+    /**
+     * Columns written for a dataset, throws a 400 for unknown datasets
+     */
+    static columns(dataset) {
+        const columns = DATASETS[dataset];
+        if (!columns) {
+            throw createHttpError(400, `dataset must be one of ${Object.keys(DATASETS).join(', ')}`);
+        }
+        return columns;
+    }
+
+    /**
+     * Async iterator over the rows of a dataset, ordered for stable output
+     * @param {string} dataset - courses, professors or reviews
+     * @param {Object} filters - Same filters as Course.findAll
+     */
+    static iterate(dataset, filters = {}) {
+        this.columns(dataset);
+        const { source, where, params } = Course.buildFilterQuery(filters);
+
+        if (dataset === 'courses') {
+            return iterateAsync(`
+                SELECT course_details.*, stats.review_count, stats.avg_rating,
+                       stats.avg_difficulty, stats.recommend_rate
+                FROM ${source}
+                LEFT JOIN course_stats stats ON stats.id = course_details.id
+                WHERE ${where}
+                ORDER BY course_details.course_code
+            `, params);
+        }
+
+        // Matching course ids for the other datasets, unfiltered exports include
+        // professors without any course
+        const unfiltered = Course.buildFilterQuery({ includeArchived: filters.includeArchived });
+        const filtered = where !== unfiltered.where || source !== unfiltered.source;
+        const courseIds = `SELECT course_details.id FROM ${source} WHERE ${where}`;
+
+        if (dataset === 'professors') {
+            const conditions = filters.includeArchived ? [] : ['p.archived_at IS NULL'];
+            if (filtered) {
+                conditions.push(`p.id IN (SELECT professor_id FROM course_professors WHERE course_id IN (${courseIds}))`);
+            }
+            return iterateAsync(`
+                SELECT p.*, stats.course_count, stats.review_count, stats.avg_rating,
+                       stats.avg_difficulty, stats.recommend_rate
+                FROM professors p
+                LEFT JOIN professor_stats stats ON stats.id = p.id
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY p.name, p.department
+            `, filtered ? params : []);
+        }
+
+        // Reviews hidden by moderators are never exported
+        const conditions = ['r.hidden_at IS NULL'];
+        if (!filters.includeArchived) {
+            conditions.push('c.archived_at IS NULL');
+        }
+        if (filtered) {
+            conditions.push(`r.course_id IN (${courseIds})`);
+        }
+
+        return iterateAsync(`
+            SELECT r.id, c.course_code, c.course_name, c.department,
+                   COALESCE(o.semester, r.semester_taken) as semester,
+                   COALESCE(o.year, r.year_taken) as year,
+                   o.section, p.name as professor,
+                   r.rating, r.difficulty, r.would_recommend, r.comment, r.created_at
+            FROM reviews r
+            JOIN courses c ON r.course_id = c.id
+            LEFT JOIN course_offerings o ON r.offering_id = o.id
+            LEFT JOIN professors p ON r.professor_id = p.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY c.course_code, r.created_at, r.id
+        `, filtered ? params : []);
+    }
+}
+
+module.exports = CatalogExport;
@@ -0,0 +1,532 @@
+// backend/models/CatalogImport.js
+const { runAsync, allAsync, withTransaction } = require('../config/database');
+const Course = require('./Course');
+const Offering = require('./Offering');
+const Prerequisite = require('./Prerequisite');
+const MeetingTime = require('./MeetingTime');
+const Revision = require('./Revision');
+const { parseCsv } = require('../utils/csv');
+const { normalizeCourseCode } = require('../utils/courseCode');
+const { SEMESTERS, isValidSemester } = require('../utils/terms');
+
+const COURSE_FIELDS = ['course_name', 'department', 'credits', 'description', 'prerequisites'];
+const PROFESSOR_FIELDS = ['email', 'office'];
+const OFFERING_FIELDS = ['schedule', 'capacity'];
+const DEFAULT_ROLE = 'Instructor';
+
+// CSV instructor entries look like "Dr. Emily Brown (Statistics): Primary Instructor",
+// the department and role are optional
+const INSTRUCTOR_PATTERN = /^(.+?)(?:\s*\(([^)]+)\))?(?:\s*:\s*(.+))?$/;
+
+const professorKey = (name, department) => `${name}\u0000${department || ''}`;
+
+// Empty cells and missing properties both mean "keep the current value"
+const clean = (value) => {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    return trimmed === '' ? undefined : trimmed;
+};
+
+const sameValue = (a, b) => String(a === undefined || a === null ? '' : a) === String(b === undefined || b === null ? '' : b);
+
+/**
+ * Upserts a catalog file into courses, professors, course roles and offerings.
+ *
+ * Catalog shape (JSON, or one CSV row per course offering):
+ *   {
+ *     professors: [{ name, department, email, office }],
+ *     courses: [{
+ *       course_code, course_name, department, credits, description, prerequisites,
+ *       professors: [{ name, department, role }],
+ *       offerings: [{ semester, year, section, schedule, capacity }]
+ *     }]
+ *   }
+ *
+ * Courses are matched by course_code and professors by (name, department).
+ * plan() computes the diff without writing, apply() writes a plan in one transaction.
+ */
+class CatalogImport {
+
+    /**
+     * Read catalog file contents in csv or json format
+     */
+    static parse(text, format) {
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            return Array.isArray(data) ? { professors: [], courses: data } : data;
+        }
+        if (format === 'csv') {
+            return this.fromCsvRows(parseCsv(text));
+        }
+        throw new Error(`Unsupported catalog format: ${format}`);
+    }
+
+    /**
+     * Turn CSV rows into the catalog shape
+     * Rows repeating a course_code add offerings to the same course
+     */
+    static fromCsvRows(rows) {
+        const courses = rows.map(row => ({
+            course_code: row.course_code,
+            course_name: row.course_name,
+            department: row.department,
+            credits: row.credits,
+            description: row.description,
+            prerequisites: row.prerequisites,
+            professors: clean(row.instructors) === undefined ? undefined : this.parseInstructors(row.instructors),
+            offerings: clean(row.semester) || clean(row.year) ? [{
+                semester: row.semester,
+                year: row.year,
+                section: row.section,
+                schedule: row.schedule,
+                capacity: row.capacity
+            }] : []
+        }));
+
+        return { professors: [], courses };
+    }
+
+    /**
+     * Parse a CSV instructors cell ("Name (Department): Role; Name")
+     */
+    static parseInstructors(text) {
+        return String(text).split(';')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const [, name, department, role] = entry.match(INSTRUCTOR_PATTERN);
+                return { name: name.trim(), department: clean(department), role: clean(role) };
+            });
+    }
+
+    /**
+     * Validate a catalog and merge repeated courses
+     * Returns { professors, courses, errors } with cleaned values
+     */
+    static normalize(catalog) {
+        const errors = [];
+        const professors = new Map();
+        const courses = new Map();
+
+        for (const [index, input] of (catalog.professors || []).entries()) {
+            const name = clean(input.name);
+            if (!name) {
+                errors.push(`professors[${index}]: name is required`);
+                continue;
+            }
+            const professor = { name, department: clean(input.department) || null };
+            PROFESSOR_FIELDS.forEach(field => { professor[field] = clean(input[field]); });
+            professors.set(professorKey(name, professor.department), professor);
+        }
+
+        for (const [index, input] of (catalog.courses || []).entries()) {
+            const label = `courses[${index}]`;
+            const code = clean(input.course_code);
+            if (!code) {
+                errors.push(`${label}: course_code is required`);
+                continue;
+            }
+
+            const course = { course_code: normalizeCourseCode(code), offerings: [] };
+            COURSE_FIELDS.forEach(field => { course[field] = clean(input[field]); });
+
+            if (course.credits !== undefined) {
+                course.credits = Number(course.credits);
+                if (!Number.isInteger(course.credits) || course.credits < 0) {
+                    errors.push(`${label} ${course.course_code}: credits must be a non-negative integer`);
+                }
+            }
+            if (course.prerequisites !== undefined && typeof course.prerequisites !== 'string') {
+                try {
+                    course.prerequisites = Prerequisite.toText(course.prerequisites);
+                } catch (error) {
+                    errors.push(`${label} ${course.course_code}: ${error.message}`);
+                }
+            }
+
+            // Instructors can be plain names or { name, department, role }
+            course.professors = input.professors === undefined ? undefined : input.professors
+                .map(professor => typeof professor === 'string' ? { name: professor } : professor)
+                .map(professor => ({
+                    name: clean(professor.name),
+                    department: clean(professor.department),
+                    role: clean(professor.role) || DEFAULT_ROLE
+                }));
+            if (course.professors && course.professors.some(professor => !professor.name)) {
+                errors.push(`${label} ${course.course_code}: every instructor needs a name`);
+            }
+
+            for (const offering of input.offerings || []) {
+                const normalized = {
+                    semester: clean(offering.semester),
+                    year: Number(clean(offering.year)),
+                    section: clean(offering.section) || 'A01',
+                    schedule: clean(offering.schedule),
+                    capacity: clean(offering.capacity) === undefined ? undefined : Number(offering.capacity)
+                };
+                if (!isValidSemester(normalized.semester) || !Number.isInteger(normalized.year)) {
+                    errors.push(`${label} ${course.course_code}: offerings need a semester (${SEMESTERS.join(', ')}) and a year`);
+                    continue;
+                }
+                if (normalized.capacity !== undefined && (!Number.isInteger(normalized.capacity) || normalized.capacity < 0)) {
+                    errors.push(`${label} ${course.course_code}: capacity must be a non-negative integer`);
+                    continue;
+                }
+                course.offerings.push(normalized);
+            }
+
+            const previous = courses.get(course.course_code);
+            if (!previous) {
+                courses.set(course.course_code, course);
+                continue;
+            }
+
+            // A repeated course may only add offerings, its catalog data has to agree
+            const conflicts = COURSE_FIELDS.filter(field =>
+                previous[field] !== undefined && course[field] !== undefined && !sameValue(previous[field], course[field])
+            );
+            if (conflicts.length > 0) {
+                errors.push(`${label} ${course.course_code}: conflicts with an earlier row on ${conflicts.join(', ')}`);
+                continue;
+            }
+            COURSE_FIELDS.forEach(field => {
+                if (previous[field] === undefined) previous[field] = course[field];
+            });
+            if (previous.professors === undefined) previous.professors = course.professors;
+            previous.offerings.push(...course.offerings);
+        }
+
+        return { professors, courses: [...courses.values()], errors };
+    }
+
+    /**
+     * Compare a catalog with the database without writing anything
+     * Returns { professors, courses, errors, summary }, every entry has an
+     * action of 'create', 'update' or 'unchanged' and a list of changes
+     */
+    static async plan(catalog) {
+        try {
+            const { professors, courses, errors } = this.normalize(catalog);
+
+            const existingProfessors = await allAsync('SELECT * FROM professors');
+            const existingCourses = await allAsync('SELECT * FROM courses');
+            const coursesByCode = new Map(existingCourses.map(course => [course.course_code, course]));
+
+            // Professors named in the file, then instructors that are not listed there
+            const professorPlans = new Map();
+            const planProfessor = (professor) => {
+                const key = professorKey(professor.name, professor.department);
+                if (professorPlans.has(key)) return professorPlans.get(key);
+
+                const existing = existingProfessors.find(row =>
+                    row.name === professor.name && (row.department || null) === (professor.department || null)
+                );
+                const changes = existing ? this.diff(existing, professor, PROFESSOR_FIELDS) : [];
+                const entry = {
+                    action: !existing ? 'create' : changes.length > 0 ? 'update' : 'unchanged',
+                    id: existing ? existing.id : null,
+                    data: existing ? this.merge(existing, professor, PROFESSOR_FIELDS) : professor,
+                    changes
+                };
+                professorPlans.set(key, entry);
+                return entry;
+            };
+            professors.forEach(planProfessor);
+
+            const coursePlans = [];
+            for (const course of courses) {
+                const existing = coursesByCode.get(course.course_code);
+
+                if (!existing) {
+                    const missing = ['course_name', 'department', 'credits'].filter(field => course[field] === undefined);
+                    if (missing.length > 0) {
+                        errors.push(`${course.course_code}: new courses need ${missing.join(', ')}`);
+                        continue;
+                    }
+                }
+
+                const data = existing ? this.merge(existing, course, COURSE_FIELDS) : course;
+                const changes = existing ? this.diff(existing, course, COURSE_FIELDS) : [];
+
+                let instructors = null;
+                if (course.professors !== undefined) {
+                    instructors = [];
+                    for (const instructor of course.professors) {
+                        const professor = this.resolveInstructor(instructor, data.department, {
+                            professors, existingProfessors, errors, code: course.course_code
+                        });
+                        if (!professor) continue;
+                        instructors.push({ professor: planProfessor(professor), name: professor.name, role: instructor.role });
+                    }
+                }
+
+                const entry = {
+                    course_code: course.course_code,
+                    action: existing ? 'update' : 'create',
+                    id: existing ? existing.id : null,
+                    data,
+                    changes,
+                    instructors,
+                    prerequisitesChanged: !existing
+                        ? course.prerequisites !== undefined
+                        : changes.some(change => change.field === 'prerequisites'),
+                    offerings: []
+                };
+
+                if (existing) {
+                    entry.changes.push(...await this.diffInstructors(existing.id, instructors));
+                }
+                entry.offerings = await this.planOfferings(existing, course.offerings, { errors, code: course.course_code });
+
+                const touched = entry.changes.length > 0 || entry.offerings.some(offering => offering.action !== 'unchanged');
+                if (existing && !touched) entry.action = 'unchanged';
+                coursePlans.push(entry);
+            }
+
+            // Prerequisites may point at courses created by this import
+            const importedCodes = new Set(coursePlans.map(course => course.course_code));
+            for (const course of coursePlans.filter(entry => entry.prerequisitesChanged)) {
+                const unknown = Prerequisite.parse(course.data.prerequisites)
+                    .flatMap(group => group.courses.map(required => required.code))
+                    .filter(code => !coursesByCode.has(code) && !importedCodes.has(code));
+                if (unknown.length > 0) {
+                    errors.push(`${course.course_code}: unknown prerequisite course codes: ${[...new Set(unknown)].join(', ')}`);
+                }
+            }
+
+            const professorList = [...professorPlans.values()];
+            const count = (entries, action) => entries.filter(entry => entry.action === action).length;
+            return {
+                professors: professorList,
+                courses: coursePlans,
+                errors,
+                summary: {
+                    professors: { create: count(professorList, 'create'), update: count(professorList, 'update'), unchanged: count(professorList, 'unchanged') },
+                    courses: { create: count(coursePlans, 'create'), update: count(coursePlans, 'update'), unchanged: count(coursePlans, 'unchanged') },
+                    offerings: {
+                        create: coursePlans.reduce((sum, course) => sum + count(course.offerings, 'create'), 0),
+                        update: coursePlans.reduce((sum, course) => sum + count(course.offerings, 'update'), 0)
+                    }
+                }
+            };
+        } catch (error) {
+            console.error('Error planning catalog import:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the professor an instructor entry refers to
+     * Without a department the name has to be unique among the imported professors,
+     * then among existing ones, otherwise a new professor in the course's department is used
+     */
+    static resolveInstructor(instructor, courseDepartment, { professors, existingProfessors, errors, code }) {
+        if (instructor.department) {
+            return professors.get(professorKey(instructor.name, instructor.department))
+                || { name: instructor.name, department: instructor.department };
+        }
+
+        for (const candidates of [
+            [...professors.values()].filter(professor => professor.name === instructor.name),
+            existingProfessors.filter(professor => professor.name === instructor.name)
+        ]) {
+            if (candidates.length === 1) {
+                return { name: candidates[0].name, department: candidates[0].department || null };
+            }
+            if (candidates.length > 1) {
+                const sameDepartment = candidates.find(professor => professor.department === courseDepartment);
+                if (sameDepartment) {
+                    return { name: sameDepartment.name, department: sameDepartment.department };
+                }
+                errors.push(`${code}: instructor ${instructor.name} is ambiguous, add a department`);
+                return null;
+            }
+        }
+
+        return professors.get(professorKey(instructor.name, courseDepartment))
+            || { name: instructor.name, department: courseDepartment };
+    }
+
+    /**
+     * Field changes between a database row and incoming values as { field, from, to }
+     */
+    static diff(existing, incoming, fields) {
+        return fields
+            .filter(field => incoming[field] !== undefined && !sameValue(existing[field], incoming[field]))
+            .map(field => ({ field, from: existing[field], to: incoming[field] }));
+    }
+
+    /**
+     * Incoming values over the current row, for fields the file leaves out
+     */
+    static merge(existing, incoming, fields) {
+        const merged = { ...incoming };
+        fields.forEach(field => {
+            if (merged[field] === undefined) merged[field] = existing[field];
+        });
+        return merged;
+    }
+
+    /**
+     * Changes to a course's professor links (the file's list replaces them)
+     */
+    static async diffInstructors(courseId, instructors) {
+        if (instructors === null) return [];
+
+        const current = await allAsync(`
+            SELECT p.name, p.department, cp.role
+            FROM course_professors cp
+            JOIN professors p ON cp.professor_id = p.id
+            WHERE cp.course_id = ?
+        `, [courseId]);
+
+        const label = (professor) => professor.department ? `${professor.name} (${professor.department})` : professor.name;
+        const currentByKey = new Map(current.map(row => [professorKey(row.name, row.department), row]));
+        const incomingByKey = new Map(instructors.map(instructor => [
+            professorKey(instructor.professor.data.name, instructor.professor.data.department), instructor
+        ]));
+
+        const changes = [];
+        for (const [key, instructor] of incomingByKey) {
+            const row = currentByKey.get(key);
+            if (!row) {
+                changes.push({ field: 'instructor', from: null, to: `${label(instructor.professor.data)}: ${instructor.role}` });
+            } else if (row.role !== instructor.role) {
+                changes.push({ field: 'instructor', from: `${label(row)}: ${row.role}`, to: `${label(row)}: ${instructor.role}` });
+            }
+        }
+        for (const [key, row] of currentByKey) {
+            if (!incomingByKey.has(key)) {
+                changes.push({ field: 'instructor', from: `${label(row)}: ${row.role}`, to: null });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Match offerings by (semester, year, section)
+     * Reports what apply() would fail on: unreadable schedules, a section
+     * listed twice and capacities below the students already enrolled
+     */
+    static async planOfferings(existingCourse, offerings, { errors, code }) {
+        const current = existingCourse
+            ? await allAsync('SELECT * FROM course_offerings WHERE course_id = ?', [existingCourse.id])
+            : [];
+        const seen = new Set();
+
+        return offerings.map(offering => {
+            const label = `${code} ${offering.semester} ${offering.year} ${offering.section}`;
+            if (seen.has(label)) {
+                errors.push(`${label}: offering is listed more than once`);
+            }
+            seen.add(label);
+
+            if (offering.schedule !== undefined) {
+                try {
+                    MeetingTime.parse(offering.schedule);
+                } catch (error) {
+                    errors.push(`${label}: ${error.message}`);
+                }
+            }
+
+            const existing = current.find(row =>
+                row.semester === offering.semester && row.year === offering.year && row.section === offering.section
+            );
+            if (existing && offering.capacity !== undefined && offering.capacity < existing.enrolled) {
+                errors.push(`${label}: capacity cannot be below the ${existing.enrolled} students already enrolled`);
+            }
+            const changes = existing ? this.diff(existing, offering, OFFERING_FIELDS) : [];
+            return {
+                ...offering,
+                action: !existing ? 'create' : changes.length > 0 ? 'update' : 'unchanged',
+                id: existing ? existing.id : null,
+                changes
+            };
+        });
+    }
+
+    /**
+     * Write a plan in one transaction, nothing is written if any step fails
+     * Courses are written before prerequisites so they can reference each other.
+     * Every change is recorded in the catalog history as an 'import' version
+     */
+    static async apply(plan) {
+        try {
+            if (plan.errors.length > 0) {
+                throw new Error(`Catalog has ${plan.errors.length} error(s), nothing was imported`);
+            }
+
+            await withTransaction(async () => {
+                for (const professor of plan.professors) {
+                    const { name, department, email, office } = professor.data;
+                    if (professor.action === 'create') {
+                        const result = await runAsync(
+                            'INSERT INTO professors (name, department, email, office) VALUES (?, ?, ?, ?)',
+                            [name, department, email, office]
+                        );
+                        professor.id = result.id;
+                    } else if (professor.action === 'update') {
+                        const before = await Revision.snapshotProfessor(professor.id);
+                        await runAsync(
+                            'UPDATE professors SET email = ?, office = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                            [email, office, professor.id]
+                        );
+                        professor.before = before;
+                    } else {
+                        continue;
+                    }
+
+                    await Revision.record('professor', professor.id, {
+                        action: 'import',
+                        before: professor.before,
+                        after: await Revision.snapshotProfessor(professor.id)
+                    });
+                }
+
+                for (const course of plan.courses) {
+                    const professorIds = course.instructors === null ? null : course.instructors.map(instructor => ({
+                        id: instructor.professor.id,
+                        role: instructor.role
+                    }));
+                    const data = { ...course.data, prerequisites: undefined };
+
+                    if (course.action === 'create') {
+                        course.id = await Course.insert(data, professorIds || []);
+                    } else if (course.action === 'update') {
+                        course.before = await Revision.snapshotCourse(course.id);
+                        await Course.applyUpdate(course.id, data, course.changes.some(change => change.field === 'instructor') ? professorIds : null);
+                    }
+
+                    for (const offering of course.offerings) {
+                        if (offering.action === 'create') {
+                            const instructors = await allAsync('SELECT professor_id FROM course_professors WHERE course_id = ?', [course.id]);
+                            await Offering.insert(course.id, offering, instructors.map(row => row.professor_id));
+                        } else if (offering.action === 'update') {
+                            await Offering.applyUpdate(offering.id, offering);
+                        }
+                    }
+                }
+
+                for (const course of plan.courses.filter(entry => entry.prerequisitesChanged)) {
+                    await Course.setPrerequisites(course.id, course.data.prerequisites);
+                }
+
+                // History is recorded once every course has its final prerequisites
+                for (const course of plan.courses.filter(entry => entry.action !== 'unchanged')) {
+                    await Revision.record('course', course.id, {
+                        action: 'import',
+                        before: course.before,
+                        after: await Revision.snapshotCourse(course.id)
+                    });
+                }
+            });
+            return plan.summary;
+        } catch (error) {
+            console.error('Error applying catalog import:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CatalogImport;
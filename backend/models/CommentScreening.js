@@ -0,0 +1,152 @@
+// backend/models/CommentScreening.js
+const fs = require('fs/promises');
+const path = require('path');
+const { allAsync } = require('../config/database');
+
+// Rule settings and word lists, plain files meant to be edited by hand
+// Set SCREENING_DIR to use another set, edits apply without a restart
+const SCREENING_DIR = path.resolve(process.env.SCREENING_DIR || path.join(__dirname, '..', 'config', 'screening'));
+
+const ACTIONS = ['reject', 'flag', 'off'];
+
+// Screening rules in the order they run, with the report reason used when a rule flags a review
+const RULES = {
+    profanity: { reason: 'abusive' },
+    email: { reason: 'personal_info' },
+    phone: { reason: 'personal_info' },
+    student_number: { reason: 'personal_info' },
+    student_name: { reason: 'personal_info' }
+};
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}/i;
+
+// (204) 555-1234, 204.555.1234, +1 204 555 1234, 2045551234 and local 555-1234
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|\b1?\d{10}\b|\b\d{3}[.-]\d{4}\b/;
+
+// Parsed data files by path, reread when the file changes
+const cache = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Non-empty lines of a list file, without # comments
+const parseList = (text) => text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+/**
+ * Local checks run on review comments before they are stored.
+ *
+ * Each rule in config/screening/rules.json has an action: reject (the review
+ * is refused with the rule's message), flag (it is stored and put in the
+ * moderation queue, see ReviewModeration.js) or off. The profanity words and
+ * student number patterns are lists in the same directory. Names of other
+ * students are looked up in the users table, so nothing leaves the server.
+ */
+class CommentScreening {
+
+    /**
+     * Run every enabled rule on a comment
+     * @param {Object} context - { userId } of the author, whose own name is allowed
+     * @returns {Object} { rejected, flagged } lists of { rule, reason, message }
+     */
+    static async screen(comment, context = {}) {
+        const rules = await this.loadRules();
+        const result = { rejected: [], flagged: [] };
+
+        for (const [rule, { reason }] of Object.entries(RULES)) {
+            const { action, message } = rules[rule];
+            if (action === 'off' || !await this.matches(rule, comment, context)) continue;
+
+            (action === 'reject' ? result.rejected : result.flagged).push({ rule, reason, message });
+        }
+        return result;
+    }
+
+    /**
+     * Whether a comment breaks one rule
+     */
+    static async matches(rule, comment, context) {
+        switch (rule) {
+            case 'profanity':
+                return (await this.loadWordPattern()).test(comment);
+            case 'email':
+                return EMAIL_PATTERN.test(comment);
+            case 'phone':
+                return PHONE_PATTERN.test(comment);
+            case 'student_number':
+                return (await this.loadStudentNumberPatterns()).some(pattern => pattern.test(comment));
+            case 'student_name':
+                return Boolean(await this.findStudentName(comment, context.userId));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Name of another student mentioned in a comment, or null
+     * Only full names (two words or more) count, and names shared with a professor are allowed
+     */
+    static async findStudentName(comment, userId = null) {
+        const rows = await allAsync(`
+            SELECT DISTINCT name FROM users
+            WHERE role = 'student' AND id != ? AND name LIKE '% %'
+              AND instr(lower(?), lower(name)) > 0
+              AND lower(name) NOT IN (SELECT lower(name) FROM professors)
+        `, [userId || 0, comment]);
+
+        // instr also finds names inside longer words, keep whole-word matches
+        const match = rows.find(row => new RegExp(`\\b${escapeRegExp(row.name)}\\b`, 'i').test(comment));
+        return match ? match.name : null;
+    }
+
+    /**
+     * Rule settings from rules.json, every rule must have a valid action
+     */
+    static async loadRules() {
+        return this.readDataFile('rules.json', (text) => {
+            const rules = JSON.parse(text);
+            Object.keys(RULES).forEach(rule => {
+                if (!rules[rule] || !ACTIONS.includes(rules[rule].action)) {
+                    throw new Error(`Screening rule ${rule} needs an action of ${ACTIONS.join(', ')} in rules.json`);
+                }
+            });
+            return rules;
+        });
+    }
+
+    /**
+     * One case-insensitive pattern matching any word of profanity.txt
+     */
+    static async loadWordPattern() {
+        return this.readDataFile('profanity.txt', (text) => {
+            const words = parseList(text).map(word => (word.endsWith('*')
+                ? `${escapeRegExp(word.slice(0, -1))}\\w*`
+                : escapeRegExp(word)).replace(/\s+/g, '\\s+'));
+            return words.length > 0 ? new RegExp(`\\b(?:${words.join('|')})\\b`, 'i') : /$^/;
+        });
+    }
+
+    /**
+     * Regular expressions of student-numbers.txt
+     */
+    static async loadStudentNumberPatterns() {
+        return this.readDataFile('student-numbers.txt', (text) => parseList(text).map(pattern => new RegExp(pattern)));
+    }
+
+    /**
+     * Read and parse a file of SCREENING_DIR, cached until the file changes
+     */
+    static async readDataFile(name, parse) {
+        const file = path.join(SCREENING_DIR, name);
+        const { mtimeMs } = await fs.stat(file);
+
+        const cached = cache.get(file);
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.value;
+        }
+
+        const value = parse(await fs.readFile(file, 'utf8'));
+        cache.set(file, { mtimeMs, value });
+        return value;
+    }
+}
+
+module.exports = CommentScreening;
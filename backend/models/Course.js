@@ -1,43 +1,67 @@
 // backend/models/Course.js
-const { runAsync, getAsync, allAsync } = require('../config/database');
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const Prerequisite = require('./Prerequisite');
+const Offering = require('./Offering');
+const Revision = require('./Revision');
+const CourseRelation = require('./CourseRelation');
+const { normalizeCourseCode } = require('../utils/courseCode');
+const { HIGHLIGHT_START, HIGHLIGHT_END, buildMatchQuery } = require('../utils/search');
+const { buildOrderBy } = require('../utils/pagination');
+const { createHttpError } = require('../utils/httpError');
+
+// Sort keys accepted by findAll, with the direction used when no order is given
+const SORTS = {
+    code: { column: 'course_details.course_code', order: 'asc' },
+    name: { column: 'course_details.course_name', order: 'asc' },
+    rating: { column: 'stats.avg_rating', order: 'desc' },
+    difficulty: { column: 'stats.avg_difficulty', order: 'asc' },
+    reviews: { column: 'stats.review_count', order: 'desc' },
+    seats: { column: 'course_details.seats_available', order: 'desc' }
+};
 
 class Course {
     
     /**
      * Find all courses with optional filters
-     * Returns courses with professor information from course_details view
+     * Returns courses with professor information from course_details view and
+     * review aggregates from course_stats
+     * A search ranks results by relevance and adds name_highlight and snippet
+     * @param {Object} filters - See buildFilterQuery
+     * @param {Object} options - { sort, order, limit, offset }, every row when limit is omitted
      */
-    static async findAll(filters = {}) {
+    static async findAll(filters = {}, options = {}) {
         try {
-            let sql = 'SELECT * FROM course_details WHERE 1=1';
-            const params = [];
+            const { source, where, params, match } = this.buildFilterQuery(filters);
 
-            // Add department filter
-            if (filters.department && filters.department !== 'all') {
-                sql += ' AND department = ?';
-                params.push(filters.department);
+            let columns = `course_details.*, stats.review_count, stats.avg_rating,
+                stats.avg_difficulty, stats.recommend_rate`;
+            if (match) {
+                columns += ', s.search_rank, s.name_highlight, s.snippet';
             }
 
-            // Add search filter (searches in code, name, description)
-            if (filters.search && filters.search.trim() !== '') {
-                sql += ' AND (course_code LIKE ? OR course_name LIKE ? OR description LIKE ?)';
-                const searchTerm = `%${filters.search.trim()}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
-            }
+            let sql = `
+                SELECT ${columns}
+                FROM ${source}
+                LEFT JOIN course_stats stats ON stats.id = course_details.id
+                WHERE ${where}
+            `;
 
-            // Add semester filter
-            if (filters.semester && filters.semester !== 'all') {
-                sql += ' AND semester = ?';
-                params.push(filters.semester);
-            }
+            // Searches default to relevance with an exact course code match first
+            const sorts = match ? { ...SORTS, relevance: { column: 's.search_rank', order: 'asc' } } : SORTS;
+            const sort = options.sort === 'relevance' && !match ? 'code' : options.sort;
+            const orderBy = buildOrderBy(sorts, sort, options.order, match ? 'relevance' : 'code');
 
-            // Add year filter
-            if (filters.year) {
-                sql += ' AND year = ?';
-                params.push(filters.year);
+            if (match && (!sort || sort === 'relevance')) {
+                sql += ` ORDER BY course_details.course_code = ? DESC, ${orderBy}, course_details.course_code`;
+                params.push(normalizeCourseCode(filters.search));
+            } else {
+                sql += ` ORDER BY ${orderBy}, course_details.course_code`;
             }
 
-            sql += ' ORDER BY course_code';
+            if (options.limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(options.limit, options.offset || 0);
+            }
             
             const courses = await allAsync(sql, params);
             return courses;
@@ -47,6 +71,271 @@ class Course {
         }
     }
 
+    /**
+     * Count the courses matching the same filters as findAll
+     */
+    static async count(filters = {}) {
+        try {
+            const { source, where, params } = this.buildFilterQuery(filters);
+            const row = await getAsync(`SELECT COUNT(*) as total FROM ${source} WHERE ${where}`, params);
+            return row.total;
+        } catch (error) {
+            console.error('Error counting courses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the FROM source and WHERE clause shared by findAll and count
+     * Archived courses are left out unless includeArchived is set
+     * @param {Object} filters - { search, department, semester, year, credits, minRating, hasSeats, fitsAroundUserId, includeArchived }
+     * @returns {Object} { source, where, params, match } - params are in source-then-where order
+     */
+    static buildFilterQuery(filters = {}) {
+        let source = 'course_details';
+        let where = filters.includeArchived ? '1=1' : 'course_details.archived_at IS NULL';
+        const params = [];
+
+        // Add search filter (full-text over code, name, description and instructors)
+        const match = buildMatchQuery(filters.search);
+        if (match) {
+            source += `
+                JOIN (
+                    SELECT rowid as id,
+                        bm25(courses_fts, 10.0, 10.0, 5.0, 1.0, 2.0) as search_rank,
+                        highlight(courses_fts, 2, ?, ?) as name_highlight,
+                        snippet(courses_fts, 3, ?, ?, '…', 16) as snippet
+                    FROM courses_fts
+                    WHERE courses_fts MATCH ?
+                ) s ON s.id = course_details.id
+            `;
+            params.push(HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, match);
+        }
+
+        // Add department filter
+        if (filters.department && filters.department !== 'all') {
+            where += ' AND course_details.department = ?';
+            params.push(filters.department);
+        }
+
+        // Add credits filter
+        if (filters.credits) {
+            where += ' AND course_details.credits = ?';
+            params.push(filters.credits);
+        }
+
+        // Add minimum average rating filter (unrated courses never match)
+        if (filters.minRating) {
+            where += ' AND course_details.id IN (SELECT id FROM course_stats WHERE avg_rating >= ?)';
+            params.push(filters.minRating);
+        }
+
+        // Add seats filter (true: some offering has a free seat, false: none has)
+        if (filters.hasSeats === true) {
+            where += ' AND course_details.seats_available > 0';
+        } else if (filters.hasSeats === false) {
+            where += ' AND course_details.seats_available <= 0';
+        }
+
+        // Term filters match courses with an offering in that term
+        let offeringSql = '';
+        const offeringParams = [];
+
+        // Add semester filter
+        if (filters.semester && filters.semester !== 'all') {
+            offeringSql += ' AND o.semester = ?';
+            offeringParams.push(filters.semester);
+        }
+
+        // Add year filter
+        if (filters.year) {
+            offeringSql += ' AND o.year = ?';
+            offeringParams.push(filters.year);
+        }
+
+        if (offeringSql && !filters.fitsAroundUserId) {
+            where += ` AND EXISTS (SELECT 1 FROM course_offerings o WHERE o.course_id = course_details.id${offeringSql})`;
+            params.push(...offeringParams);
+        }
+
+        // Only courses with an offering (in the filtered term) that meets at no time
+        // overlapping the user's current enrollments in that same term
+        if (filters.fitsAroundUserId) {
+            where += `
+                AND EXISTS (
+                    SELECT 1 FROM course_offerings o
+                    WHERE o.course_id = course_details.id${offeringSql}
+                      AND NOT EXISTS (
+                        SELECT 1
+                        FROM offering_meeting_times m
+                        JOIN offering_meeting_times taken
+                            ON taken.day = m.day
+                           AND m.start_time < taken.end_time
+                           AND taken.start_time < m.end_time
+                        JOIN course_offerings taken_offering ON taken_offering.id = taken.offering_id
+                        JOIN enrollments e ON e.offering_id = taken.offering_id
+                        WHERE m.offering_id = o.id
+                          AND e.user_id = ?
+                          AND e.status IN ('enrolled', 'auditing')
+                          AND e.course_id != course_details.id
+                          AND taken_offering.semester = o.semester
+                          AND taken_offering.year = o.year
+                      )
+                )`;
+            params.push(...offeringParams, filters.fitsAroundUserId);
+        }
+
+        return { source, where, params, match };
+    }
+
+    /**
+     * Count matching courses per department, semester, year, credits, rating and seat availability
+     * Each facet applies every active filter except its own, so the counts show
+     * what picking another value would return. Departments, semesters and years
+     * with no matches are included with a count of 0
+     */
+    static async getFacets(filters = {}) {
+        try {
+            const without = (...keys) => {
+                const rest = { ...filters };
+                keys.forEach(key => delete rest[key]);
+                return rest;
+            };
+
+            const countBy = async (column, facetFilters, join = '', extraWhere = '', extraParams = []) => {
+                const { source, where, params } = this.buildFilterQuery(facetFilters);
+                const rows = await allAsync(`
+                    SELECT ${column} as value, COUNT(DISTINCT course_details.id) as count
+                    FROM ${source}
+                    ${join}
+                    WHERE ${where}${extraWhere}
+                    GROUP BY ${column}
+                `, [...params, ...extraParams]);
+                return new Map(rows.map(row => [row.value, row.count]));
+            };
+
+            const withAll = (values, counts) => values.map(value => ({ value, count: counts.get(value) || 0 }));
+
+            // Term facets join offerings directly, keeping the other term filter on the same offering
+            const offeringJoin = 'JOIN course_offerings o ON o.course_id = course_details.id';
+            const termCondition = (column, value) => (value && value !== 'all'
+                ? { sql: ` AND o.${column} = ?`, params: [value] }
+                : { sql: '', params: [] });
+
+            const yearCondition = termCondition('year', filters.year);
+            const semesterCondition = termCondition('semester', filters.semester);
+
+            const department = withAll(
+                await this.getDepartments(),
+                await countBy('course_details.department', without('department'))
+            );
+            const semester = withAll(
+                await this.getSemesters(),
+                await countBy('o.semester', without('semester', 'year'), offeringJoin, yearCondition.sql, yearCondition.params)
+            );
+            const year = withAll(
+                await this.getYears(),
+                await countBy('o.year', without('semester', 'year'), offeringJoin, semesterCondition.sql, semesterCondition.params)
+            );
+            const credits = [...(await countBy('course_details.credits', without('credits')))]
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => a.value - b.value);
+
+            // Ratings are "n stars and up", matching the minRating filter
+            const ratingQuery = this.buildFilterQuery(without('minRating'));
+            const ratingRow = await getAsync(`
+                SELECT
+                    COALESCE(SUM(stats.avg_rating >= 4), 0) as r4,
+                    COALESCE(SUM(stats.avg_rating >= 3), 0) as r3,
+                    COALESCE(SUM(stats.avg_rating >= 2), 0) as r2,
+                    COALESCE(SUM(stats.avg_rating >= 1), 0) as r1
+                FROM ${ratingQuery.source}
+                LEFT JOIN course_stats stats ON stats.id = course_details.id
+                WHERE ${ratingQuery.where}
+            `, ratingQuery.params);
+            const rating = [4, 3, 2, 1].map(value => ({ value, count: ratingRow[`r${value}`] }));
+
+            const seatsQuery = this.buildFilterQuery(without('hasSeats'));
+            const seatsRow = await getAsync(`
+                SELECT
+                    COALESCE(SUM(course_details.seats_available > 0), 0) as available,
+                    COALESCE(SUM(course_details.seats_available <= 0), 0) as full
+                FROM ${seatsQuery.source}
+                WHERE ${seatsQuery.where}
+            `, seatsQuery.params);
+            const hasSeats = [
+                { value: true, count: seatsRow.available },
+                { value: false, count: seatsRow.full }
+            ];
+
+            return { department, semester, year, credits, rating, hasSeats };
+        } catch (error) {
+            console.error('Error getting course facets:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load several courses side by side for comparison
+     * Each course carries its course_stats fields, instructors, prerequisites,
+     * offerings with schedules and rating/difficulty distributions (1-5 -> review count)
+     * @param {Array} courseIds - Courses in the order they should be returned
+     */
+    static async compare(courseIds) {
+        try {
+            const ids = [...new Set(courseIds.map(Number))];
+            const placeholders = ids.map(() => '?').join(', ');
+
+            const rows = await allAsync(`
+                SELECT stats.*, c.description, c.prerequisites as prerequisites_text
+                FROM course_stats stats
+                JOIN courses c ON c.id = stats.id
+                WHERE stats.id IN (${placeholders})
+            `, ids);
+
+            const missing = ids.filter(id => !rows.some(row => row.id === id));
+            if (missing.length > 0) {
+                throw createHttpError(404, `Course not found: ${missing.join(', ')}`);
+            }
+
+            const distributions = await allAsync(`
+                SELECT course_id, 'rating' as field, rating as score, COUNT(*) as count
+                FROM reviews WHERE course_id IN (${placeholders}) AND rating IS NOT NULL AND hidden_at IS NULL
+                GROUP BY course_id, rating
+                UNION ALL
+                SELECT course_id, 'difficulty' as field, difficulty as score, COUNT(*) as count
+                FROM reviews WHERE course_id IN (${placeholders}) AND difficulty IS NOT NULL AND hidden_at IS NULL
+                GROUP BY course_id, difficulty
+            `, [...ids, ...ids]);
+
+            const distribution = (courseId, field) => {
+                const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+                distributions
+                    .filter(row => row.course_id === courseId && row.field === field)
+                    .forEach(row => { counts[row.score] = row.count; });
+                return counts;
+            };
+
+            const courses = [];
+            for (const id of ids) {
+                const course = rows.find(row => row.id === id);
+                courses.push({
+                    ...course,
+                    professors: await this.getCourseProfessors(id),
+                    prerequisites: await Prerequisite.findByCourse(id),
+                    offerings: await Offering.findByCourse(id),
+                    rating_distribution: distribution(id, 'rating'),
+                    difficulty_distribution: distribution(id, 'difficulty')
+                });
+            }
+
+            return courses;
+        } catch (error) {
+            console.error('Error comparing courses:', error);
+            throw error;
+        }
+    }
+
     /**
      * Find course by its unique course code
      * Returns course with all professors as a comma-separated list
@@ -65,6 +354,7 @@ class Course {
     /**
      * Find course by database ID
      * Returns course with all professors as a comma-separated list
+     * Archived courses are found too, check archived_at
      */
     static async findById(id) {
         try {
@@ -80,67 +370,25 @@ class Course {
     /**
      * Create a new course
      * @param {Object} courseData - Course data
-     * @param {Array} professorIds - Array of professor IDs to link to this course
+     * @param {Array} professorIds - Professor IDs (or { id, role }) to link to this course
+     * courseData.prerequisites can be free text or structured groups (see Prerequisite),
+     * every referenced course code must already exist.
+     * When semester and year are given a first offering is created with the
+     * schedule and capacity (see Offering)
+     * @param {Object} audit - { userId } of who made the change, for the course history
      */
-    static async create(courseData, professorIds = []) {
+    static async create(courseData, professorIds = [], audit = {}) {
         try {
-            const {
-                course_code,
-                course_name,
-                department,
-                credits,
-                description,
-                prerequisites,
-                schedule,
-                semester,
-                year,
-                capacity = 30,
-                enrolled = 0
-            } = courseData;
-
-            // Validate required fields
-            if (!course_code || !course_name || !department || !credits) {
-                throw new Error('Missing required fields: course_code, course_name, department, credits');
-            }
-
-            // Start transaction
-            await runAsync('BEGIN TRANSACTION');
-
-            try {
-                // Insert course
-                const sql = `
-                    INSERT INTO courses (
-                        course_code, course_name, department, credits,
-                        description, prerequisites, schedule, semester, year,
-                        capacity, enrolled
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `;
-
-                const params = [
-                    course_code, course_name, department, credits,
-                    description, prerequisites, schedule, semester, year,
-                    capacity, enrolled
-                ];
-
-                const result = await runAsync(sql, params);
-                const courseId = result.id;
-
-                // Link professors if provided
-                if (professorIds.length > 0) {
-                    for (const professorId of professorIds) {
-                        await runAsync(
-                            'INSERT INTO course_professors (course_id, professor_id, role) VALUES (?, ?, ?)',
-                            [courseId, professorId, 'Instructor']
-                        );
-                    }
-                }
-
-                await runAsync('COMMIT');
-                return await this.findById(courseId);
-            } catch (error) {
-                await runAsync('ROLLBACK');
-                throw error;
-            }
+            const id = await withTransaction(async () => {
+                const courseId = await this.insert(courseData, professorIds);
+                await Revision.record('course', courseId, {
+                    action: 'create',
+                    userId: audit.userId,
+                    after: await Revision.snapshotCourse(courseId)
+                });
+                return courseId;
+            });
+            return await this.findById(id);
         } catch (error) {
             console.error('Error creating course:', error);
             throw error;
@@ -148,71 +396,81 @@ class Course {
     }
 
     /**
-     * Update an existing course
+     * Insert a course with its prerequisites, professors and first offering
+     * Does not open its own transaction so imports can run many inside one
+     */
+    static async insert(courseData, professorIds = []) {
+        const {
+            course_code,
+            course_name,
+            department,
+            credits,
+            description,
+            prerequisites,
+            schedule,
+            semester,
+            year,
+            section,
+            capacity = 30,
+            enrolled = 0
+        } = courseData;
+
+        // Validate required fields
+        if (!course_code || !course_name || !department || !credits) {
+            throw new Error('Missing required fields: course_code, course_name, department, credits');
+        }
+
+        // Insert course
+        const sql = `
+            INSERT INTO courses (
+                course_code, course_name, department, credits, description
+            ) VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const result = await runAsync(sql, [course_code, course_name, department, credits, description]);
+        const courseId = result.id;
+
+        // Store prerequisites (validates codes)
+        await this.setPrerequisites(courseId, prerequisites);
+
+        // Link professors if provided
+        await this.linkProfessors(courseId, professorIds);
+
+        // Create the first offering (its instructors are the professors above)
+        if (semester && year) {
+            await Offering.insert(courseId, {
+                semester, year, section, schedule, capacity, enrolled
+            }, professorIds.map(professor => professor.id || professor));
+        }
+
+        return courseId;
+    }
+
+    /**
+     * Update the catalog data of an existing course
+     * Term data (schedule, capacity, ...) is updated per offering with Offering.update.
+     * Prerequisites are re-validated and rejected if they would create a cycle.
+     * The change is recorded in the course history (see Revision)
+     * @param {Object} audit - { userId, action, revertedFrom } for the history entry
      */
-    static async update(id, courseData, professorIds = null) {
+    static async update(id, courseData, professorIds = null, audit = {}) {
         try {
-            const {
-                course_code,
-                course_name,
-                department,
-                credits,
-                description,
-                prerequisites,
-                schedule,
-                semester,
-                year,
-                capacity
-            } = courseData;
-
-            // Start transaction
-            await runAsync('BEGIN TRANSACTION');
-
-            try {
-                // Update course
-                const sql = `
-                    UPDATE courses 
-                    SET course_code = ?,
-                        course_name = ?,
-                        department = ?,
-                        credits = ?,
-                        description = ?,
-                        prerequisites = ?,
-                        schedule = ?,
-                        semester = ?,
-                        year = ?,
-                        capacity = ?
-                    WHERE id = ?
-                `;
-
-                const params = [
-                    course_code, course_name, department, credits,
-                    description, prerequisites, schedule, semester, year,
-                    capacity, id
-                ];
-
-                await runAsync(sql, params);
-
-                // Update professor links if provided
-                if (professorIds !== null) {
-                    // Remove old links
-                    await runAsync('DELETE FROM course_professors WHERE course_id = ?', [id]);
-                    
-                    // Add new links
-                    for (const professorId of professorIds) {
-                        await runAsync(
-                            'INSERT INTO course_professors (course_id, professor_id, role) VALUES (?, ?, ?)',
-                            [id, professorId, 'Instructor']
-                        );
-                    }
+            await withTransaction(async () => {
+                const before = await Revision.snapshotCourse(id);
+                if (!before) {
+                    throw createHttpError(404, 'Course not found');
                 }
 
-                await runAsync('COMMIT');
-                return await this.findById(id);
-            } catch (error) {
-                await runAsync('ROLLBACK');
-                throw error;
-            }
+                await this.applyUpdate(id, courseData, professorIds);
+                await Revision.record('course', id, {
+                    action: audit.action || 'update',
+                    userId: audit.userId,
+                    revertedFrom: audit.revertedFrom,
+                    before,
+                    after: await Revision.snapshotCourse(id)
+                });
+            });
+            return await this.findById(id);
         } catch (error) {
             console.error('Error updating course:', error);
             throw error;
@@ -220,64 +478,155 @@ class Course {
     }
 
     /**
-     * Delete a course
+     * Restore a course to an earlier version of its history
+     * Professors deleted since then are left out. The revert is itself a new version
      */
-    static async delete(id) {
+    static async revert(id, version, userId = null) {
         try {
-            // Check if course has enrollments
-            const enrollmentCheck = await getAsync(
-                'SELECT COUNT(*) as count FROM enrollments WHERE course_id = ?',
-                [id]
-            );
-            
-            if (enrollmentCheck.count > 0) {
-                throw new Error('Cannot delete course with active enrollments');
+            const revision = await Revision.findVersion('course', id, version);
+            if (!revision) {
+                throw createHttpError(404, `Version ${version} not found`);
             }
 
-            // Course_professors and reviews will be deleted automatically due to CASCADE
-            const sql = 'DELETE FROM courses WHERE id = ?';
-            const result = await runAsync(sql, [id]);
-            return result.changes > 0;
+            const { snapshot } = revision;
+            const professors = [];
+            for (const professor of snapshot.professors) {
+                const exists = await getAsync('SELECT id FROM professors WHERE id = ?', [professor.id]);
+                if (exists) professors.push({ id: professor.id, role: professor.role });
+            }
+
+            return await this.update(id, snapshot, professors, {
+                action: 'revert',
+                userId,
+                revertedFrom: revision.version
+            });
         } catch (error) {
-            console.error('Error deleting course:', error);
+            console.error('Error reverting course:', error);
             throw error;
         }
     }
 
     /**
-     * Increment enrolled count (when a student enrolls)
+     * Write the catalog update, without a transaction of its own
+     * professorIds of null keeps the current professor links,
+     * prerequisites left undefined keep the current requirements
      */
-    static async incrementEnrolled(id) {
+    static async applyUpdate(id, courseData, professorIds = null) {
+        const {
+            course_code,
+            course_name,
+            department,
+            credits,
+            description,
+            prerequisites
+        } = courseData;
+
+        // Update course
+        const sql = `
+            UPDATE courses 
+            SET course_code = ?,
+                course_name = ?,
+                department = ?,
+                credits = ?,
+                description = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        await runAsync(sql, [course_code, course_name, department, credits, description, id]);
+
+        // Replace prerequisites (validates codes and cycles)
+        if (prerequisites !== undefined) {
+            await this.setPrerequisites(id, prerequisites);
+        }
+
+        // Update professor links if provided
+        if (professorIds !== null) {
+            await runAsync('DELETE FROM course_professors WHERE course_id = ?', [id]);
+            await this.linkProfessors(id, professorIds);
+        }
+    }
+
+    /**
+     * Store the prerequisite text and its structured groups
+     */
+    static async setPrerequisites(id, prerequisites) {
+        await runAsync(
+            'UPDATE courses SET prerequisites = ? WHERE id = ?',
+            [Prerequisite.toText(prerequisites), id]
+        );
+        await Prerequisite.replaceForCourse(id, prerequisites);
+    }
+
+    /**
+     * Link professors given as IDs (role Instructor) or { id, role }
+     */
+    static async linkProfessors(id, professors) {
+        for (const professor of professors) {
+            const professorId = typeof professor === 'object' ? professor.id : professor;
+            const role = (typeof professor === 'object' && professor.role) || 'Instructor';
+            await runAsync(
+                'INSERT INTO course_professors (course_id, professor_id, role) VALUES (?, ?, ?)',
+                [id, professorId, role]
+            );
+        }
+    }
+
+    /**
+     * Archive a course instead of deleting it
+     * Archived courses are hidden from listings and searches but keep their
+     * offerings, reviews and history, and can be restored. Courses with students
+     * currently enrolled or auditing cannot be archived
+     */
+    static async archive(id) {
         try {
-            const sql = 'UPDATE courses SET enrolled = enrolled + 1 WHERE id = ? AND enrolled < capacity';
-            const result = await runAsync(sql, [id]);
-            
-            if (result.changes === 0) {
-                throw new Error('Course is full or does not exist');
+            const course = await this.findById(id);
+            if (!course) {
+                throw createHttpError(404, 'Course not found');
             }
-            
+            if (course.archived_at) {
+                throw createHttpError(409, `${course.course_code} is already archived`);
+            }
+
+            const enrollmentCheck = await getAsync(
+                "SELECT COUNT(*) as count FROM enrollments WHERE course_id = ? AND status IN ('enrolled', 'auditing')",
+                [id]
+            );
+            if (enrollmentCheck.count > 0) {
+                throw createHttpError(409, 'Cannot archive course with active enrollments');
+            }
+
+            await runAsync(
+                'UPDATE courses SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
             return await this.findById(id);
         } catch (error) {
-            console.error('Error incrementing enrollment:', error);
+            console.error('Error archiving course:', error);
             throw error;
         }
     }
 
     /**
-     * Decrement enrolled count (when a student drops)
+     * Bring an archived course back into listings and searches
      */
-    static async decrementEnrolled(id) {
+    static async restore(id) {
         try {
-            const sql = 'UPDATE courses SET enrolled = enrolled - 1 WHERE id = ? AND enrolled > 0';
-            const result = await runAsync(sql, [id]);
-            
-            if (result.changes === 0) {
-                throw new Error('No students enrolled or course does not exist');
+            const course = await this.findById(id);
+            if (!course) {
+                throw createHttpError(404, 'Course not found');
             }
-            
+            if (!course.archived_at) {
+                throw createHttpError(409, `${course.course_code} is not archived`);
+            }
+
+            await runAsync(
+                'UPDATE courses SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
             return await this.findById(id);
         } catch (error) {
-            console.error('Error decrementing enrollment:', error);
+            console.error('Error restoring course:', error);
             throw error;
         }
     }
@@ -301,7 +650,7 @@ class Course {
      */
     static async getSemesters() {
         try {
-            const sql = 'SELECT DISTINCT semester FROM courses WHERE semester IS NOT NULL ORDER BY semester';
+            const sql = 'SELECT DISTINCT semester FROM course_offerings ORDER BY semester';
             const rows = await allAsync(sql);
             return rows.map(row => row.semester);
         } catch (error) {
@@ -315,7 +664,7 @@ class Course {
      */
     static async getYears() {
         try {
-            const sql = 'SELECT DISTINCT year FROM courses WHERE year IS NOT NULL ORDER BY year DESC';
+            const sql = 'SELECT DISTINCT year FROM course_offerings ORDER BY year DESC';
             const rows = await allAsync(sql);
             return rows.map(row => row.year);
         } catch (error) {
@@ -332,11 +681,17 @@ class Course {
             const stats = await getAsync(`
                 SELECT 
                     COUNT(*) as total_courses,
-                    COUNT(DISTINCT department) as total_departments,
+                    COUNT(DISTINCT department) as total_departments
+                FROM courses
+            `);
+
+            const offeringStats = await getAsync(`
+                SELECT 
+                    COUNT(*) as total_offerings,
                     SUM(capacity) as total_capacity,
                     SUM(enrolled) as total_enrolled,
                     AVG(CAST(enrolled AS FLOAT) / capacity) * 100 as avg_fill_percentage
-                FROM courses
+                FROM course_offerings
             `);
             
             const professorStats = await getAsync(`
@@ -355,14 +710,16 @@ class Course {
                     COUNT(DISTINCT course_id) as courses_with_reviews,
                     COUNT(*) as total_reviews
                 FROM reviews
+                WHERE hidden_at IS NULL
             `);
             
             return {
                 total_courses: stats.total_courses || 0,
                 total_departments: stats.total_departments || 0,
-                total_capacity: stats.total_capacity || 0,
-                total_enrolled: stats.total_enrolled || 0,
-                avg_fill_percentage: stats.avg_fill_percentage || 0,
+                total_offerings: offeringStats.total_offerings || 0,
+                total_capacity: offeringStats.total_capacity || 0,
+                total_enrolled: offeringStats.total_enrolled || 0,
+                avg_fill_percentage: offeringStats.avg_fill_percentage || 0,
                 courses_with_multiple_professors: professorStats.courses_with_multiple_professors || 0,
                 avg_professors_per_course: professorStats.avg_professors_per_course || 1,
                 courses_with_reviews: reviewStats.courses_with_reviews || 0,
@@ -375,11 +732,11 @@ class Course {
     }
 
     /**
-     * Get courses by department
+     * Get the courses of a department that are not archived
      */
     static async findByDepartment(department) {
         try {
-            const sql = 'SELECT * FROM course_details WHERE department = ? ORDER BY course_code';
+            const sql = 'SELECT * FROM course_details WHERE department = ? AND archived_at IS NULL ORDER BY course_code';
             const courses = await allAsync(sql, [department]);
             return courses;
         } catch (error) {
@@ -389,20 +746,12 @@ class Course {
     }
 
     /**
-     * Search courses by keyword
+     * Search courses by keyword, most relevant first
      */
     static async search(keyword) {
         try {
-            const searchTerm = `%${keyword}%`;
-            const sql = `
-                SELECT * FROM course_details 
-                WHERE course_code LIKE ? 
-                   OR course_name LIKE ? 
-                   OR description LIKE ?
-                ORDER BY course_code
-            `;
-            const courses = await allAsync(sql, [searchTerm, searchTerm, searchTerm]);
-            return courses;
+            if (!buildMatchQuery(keyword)) return [];
+            return await this.findAll({ search: keyword });
         } catch (error) {
             console.error('Error searching courses:', error);
             throw error;
@@ -410,12 +759,12 @@ class Course {
     }
 
     /**
-     * Check if course has available seats
+     * Check if any offering of the course has available seats
      */
     static async hasAvailableSeats(id) {
         try {
             const course = await this.findById(id);
-            return course && course.enrolled < course.capacity;
+            return course && course.seats_available > 0;
         } catch (error) {
             console.error('Error checking available seats:', error);
             throw error;
@@ -449,13 +798,14 @@ class Course {
 
     /**
      * Add a professor to a course
+     * This and the other link changes below are recorded in the course history
      */
-    static async addProfessorToCourse(courseId, professorId, role = 'Instructor') {
+    static async addProfessorToCourse(courseId, professorId, role = 'Instructor', audit = {}) {
         try {
-            await runAsync(
+            await withTransaction(() => Revision.recordCourseChange(courseId, audit, () => runAsync(
                 'INSERT OR IGNORE INTO course_professors (course_id, professor_id, role) VALUES (?, ?, ?)',
                 [courseId, professorId, role]
-            );
+            )));
             return await this.getCourseProfessors(courseId);
         } catch (error) {
             console.error('Error adding professor to course:', error);
@@ -466,12 +816,12 @@ class Course {
     /**
      * Remove a professor from a course
      */
-    static async removeProfessorFromCourse(courseId, professorId) {
+    static async removeProfessorFromCourse(courseId, professorId, audit = {}) {
         try {
-            await runAsync(
+            await withTransaction(() => Revision.recordCourseChange(courseId, audit, () => runAsync(
                 'DELETE FROM course_professors WHERE course_id = ? AND professor_id = ?',
                 [courseId, professorId]
-            );
+            )));
             return await this.getCourseProfessors(courseId);
         } catch (error) {
             console.error('Error removing professor from course:', error);
@@ -482,12 +832,12 @@ class Course {
     /**
      * Update professor's role in a course
      */
-    static async updateProfessorRole(courseId, professorId, role) {
+    static async updateProfessorRole(courseId, professorId, role, audit = {}) {
         try {
-            await runAsync(
+            await withTransaction(() => Revision.recordCourseChange(courseId, audit, () => runAsync(
                 'UPDATE course_professors SET role = ? WHERE course_id = ? AND professor_id = ?',
                 [role, courseId, professorId]
-            );
+            )));
             return await this.getCourseProfessors(courseId);
         } catch (error) {
             console.error('Error updating professor role:', error);
@@ -496,22 +846,32 @@ class Course {
     }
 
     /**
-     * Get complete course details with professors and reviews
+     * Get complete course details with professors, related courses and reviews
+     * @param {Object} options - { includeEquivalents } also merges in the reviews of
+     * cross-listed and equivalent courses, each review keeps its own course_code
      */
-    static async getCourseWithAllDetails(courseId) {
+    static async getCourseWithAllDetails(courseId, options = {}) {
         try {
             const course = await this.findById(courseId);
             if (!course) return null;
 
             const professors = await this.getCourseProfessors(courseId);
-            
+            const offerings = await Offering.findByCourse(courseId);
+            const relations = await CourseRelation.findByCourse(courseId);
+
+            const reviewCourseIds = [course.id];
+            if (options.includeEquivalents) {
+                reviewCourseIds.push(...await CourseRelation.findSameCourseIds(course.id));
+            }
+
             const reviews = await allAsync(`
-                SELECT r.*, p.name as professor_name
+                SELECT r.*, p.name as professor_name, c.course_code
                 FROM reviews r
+                JOIN courses c ON r.course_id = c.id
                 LEFT JOIN professors p ON r.professor_id = p.id
-                WHERE r.course_id = ?
+                WHERE r.course_id IN (${reviewCourseIds.map(() => '?').join(', ')}) AND r.hidden_at IS NULL
                 ORDER BY r.created_at DESC
-            `, [courseId]);
+            `, reviewCourseIds);
 
             // Calculate average ratings
             let avgRating = null;
@@ -527,6 +887,8 @@ class Course {
                 ...course,
                 professors: professors,
                 professor_count: professors.length,
+                offerings: offerings,
+                relations: relations,
                 reviews: reviews,
                 review_count: reviews.length,
                 average_rating: avgRating ? parseFloat(avgRating.toFixed(1)) : null,
@@ -548,7 +910,7 @@ class Course {
                 FROM courses c
                 JOIN course_professors cp ON c.id = cp.course_id
                 WHERE cp.professor_id = ?
-                ORDER BY c.year DESC, c.semester
+                ORDER BY c.course_code
             `;
             return await allAsync(sql, [professorId]);
         } catch (error) {
@@ -0,0 +1,194 @@
+// backend/models/CourseRelation.js
+const { runAsync, getAsync, allAsync } = require('../config/database');
+const { createHttpError } = require('../utils/httpError');
+const { normalizeCourseCode } = require('../utils/courseCode');
+
+const RELATION_TYPES = ['cross_listed', 'equivalent', 'anti_requisite'];
+
+// Relations whose courses are the same course under another number,
+// so their reviews describe the same material
+const SAME_COURSE_TYPES = ['cross_listed', 'equivalent'];
+
+// Each pair is stored once, this view of the table lists it from both sides
+const BOTH_DIRECTIONS = `
+    SELECT id, course_id, related_course_id, relation_type, notes, created_at FROM course_relations
+    UNION ALL
+    SELECT id, related_course_id, course_id, relation_type, notes, created_at FROM course_relations
+`;
+
+/**
+ * Symmetric links between courses: cross-listed (one course under several
+ * codes, e.g. STAT/MATH), equivalent (an old and a new number) and
+ * anti-requisite (mutually exclusive). Credit is only given for one course
+ * of any linked pair, so the planner and enrollments warn about taking both.
+ */
+class CourseRelation {
+
+    /**
+     * Every course linked to a course, with the link type
+     * @param {Object} options - { types } to only return some relation types
+     */
+    static async findByCourse(courseId, options = {}) {
+        try {
+            const types = options.types || RELATION_TYPES;
+            return await allAsync(`
+                SELECT r.relation_type, r.notes, r.created_at,
+                       c.id, c.course_code, c.course_name, c.department, c.archived_at
+                FROM (${BOTH_DIRECTIONS}) r
+                JOIN courses c ON c.id = r.related_course_id
+                WHERE r.course_id = ? AND r.relation_type IN (${types.map(() => '?').join(', ')})
+                ORDER BY r.relation_type, c.course_code
+            `, [courseId, ...types]);
+        } catch (error) {
+            console.error('Error finding course relations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * IDs of the courses cross-listed with or equivalent to a course
+     */
+    static async findSameCourseIds(courseId) {
+        const related = await this.findByCourse(courseId, { types: SAME_COURSE_TYPES });
+        return related.map(course => course.id);
+    }
+
+    /**
+     * Links of several courses at once as a Map of course id -> related courses
+     */
+    static async findForCourses(courseIds) {
+        try {
+            const ids = [...new Set(courseIds.map(Number))];
+            const related = new Map(ids.map(id => [id, []]));
+            if (ids.length === 0) return related;
+
+            const rows = await allAsync(`
+                SELECT r.course_id as source_id, r.relation_type, c.id, c.course_code
+                FROM (${BOTH_DIRECTIONS}) r
+                JOIN courses c ON c.id = r.related_course_id
+                WHERE r.course_id IN (${ids.map(() => '?').join(', ')})
+            `, ids);
+
+            rows.forEach(({ source_id, ...course }) => related.get(source_id).push(course));
+            return related;
+        } catch (error) {
+            console.error('Error finding course relations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link two courses
+     * @param {string|number} relatedCourse - Course code or ID of the other course
+     * @param {string} relationType - cross_listed, equivalent or anti_requisite
+     */
+    static async add(courseId, relatedCourse, relationType, notes = null) {
+        try {
+            if (!RELATION_TYPES.includes(relationType)) {
+                throw createHttpError(400, `type must be one of ${RELATION_TYPES.join(', ')}`);
+            }
+
+            const course = await getAsync('SELECT id, course_code FROM courses WHERE id = ?', [courseId]);
+            if (!course) {
+                throw createHttpError(404, 'Course not found');
+            }
+
+            const related = await getAsync(
+                'SELECT id, course_code FROM courses WHERE id = ? OR course_code = ?',
+                [relatedCourse, normalizeCourseCode(String(relatedCourse || ''))]
+            );
+            if (!related) {
+                throw createHttpError(404, `Course not found: ${relatedCourse}`);
+            }
+            if (related.id === course.id) {
+                throw createHttpError(400, 'A course cannot be linked to itself');
+            }
+
+            const [low, high] = [course.id, related.id].sort((a, b) => a - b);
+            const existing = await getAsync(
+                'SELECT relation_type FROM course_relations WHERE course_id = ? AND related_course_id = ?',
+                [low, high]
+            );
+            if (existing) {
+                throw createHttpError(409, `${course.course_code} and ${related.course_code} are already linked as ${existing.relation_type}`);
+            }
+
+            await runAsync(
+                'INSERT INTO course_relations (course_id, related_course_id, relation_type, notes) VALUES (?, ?, ?, ?)',
+                [low, high, relationType, notes]
+            );
+            return await this.findByCourse(course.id);
+        } catch (error) {
+            console.error('Error adding course relation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the link between two courses
+     */
+    static async remove(courseId, relatedCourseId) {
+        try {
+            const [low, high] = [Number(courseId), Number(relatedCourseId)].sort((a, b) => a - b);
+            const result = await runAsync(
+                'DELETE FROM course_relations WHERE course_id = ? AND related_course_id = ?',
+                [low, high]
+            );
+            if (result.changes === 0) {
+                throw createHttpError(404, 'Relation not found');
+            }
+            return await this.findByCourse(courseId);
+        } catch (error) {
+            console.error('Error removing course relation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Courses linked to courseId that a user completed, is taking or is auditing
+     * Returns warnings as [{ type, relation_type, course_id, course_code, status, message }]
+     */
+    static async findTakenConflicts(userId, courseId) {
+        try {
+            const rows = await allAsync(`
+                SELECT r.relation_type, c.id, c.course_code, e.status, e.grade, self.course_code as self_code
+                FROM (${BOTH_DIRECTIONS}) r
+                JOIN courses c ON c.id = r.related_course_id
+                JOIN courses self ON self.id = r.course_id
+                JOIN enrollments e ON e.course_id = c.id
+                WHERE r.course_id = ? AND e.user_id = ?
+                  AND e.status != 'dropped'
+                  AND NOT (e.status = 'completed' AND e.grade = 'F')
+                ORDER BY c.course_code
+            `, [courseId, userId]);
+
+            return rows.map(row => ({
+                type: 'anti_requisite',
+                relation_type: row.relation_type,
+                course_id: row.id,
+                course_code: row.course_code,
+                status: row.status,
+                message: `${this.describe(row.relation_type, row.self_code, row.course_code)} and you are ${row.status} in ${row.course_code}`
+            }));
+        } catch (error) {
+            console.error('Error checking course relation conflicts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Why two linked courses cannot both count for credit
+     */
+    static describe(relationType, code, relatedCode) {
+        switch (relationType) {
+            case 'cross_listed':
+                return `${code} is cross-listed with ${relatedCode}, credit is only given for one`;
+            case 'equivalent':
+                return `${code} is equivalent to ${relatedCode}, credit is only given for one`;
+            default:
+                return `${code} and ${relatedCode} are anti-requisites, credit is only given for one`;
+        }
+    }
+}
+
+module.exports = CourseRelation;
@@ -0,0 +1,555 @@
+// backend/models/DegreePlan.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const User = require('./User');
+const Prerequisite = require('./Prerequisite');
+const CourseRelation = require('./CourseRelation');
+const Workload = require('./Workload');
+const { createHttpError } = require('../utils/httpError');
+const { SEMESTERS, isValidSemester, compareTerms } = require('../utils/terms');
+const { meetsMinimumGrade } = require('../utils/grades');
+
+class DegreePlan {
+
+    /**
+     * Get all plans belonging to a user (without their terms)
+     */
+    static async findByUser(userId) {
+        try {
+            const sql = `
+                SELECT
+                    dp.*,
+                    COUNT(DISTINCT pt.id) as term_count,
+                    COUNT(pc.id) as course_count
+                FROM degree_plans dp
+                LEFT JOIN plan_terms pt ON dp.id = pt.plan_id
+                LEFT JOIN plan_courses pc ON pt.id = pc.plan_term_id
+                WHERE dp.user_id = ?
+                GROUP BY dp.id
+                ORDER BY dp.updated_at DESC
+            `;
+            return await allAsync(sql, [userId]);
+        } catch (error) {
+            console.error('Error finding degree plans:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a plan with its terms (in calendar order) and placed courses
+     * Returns null when the plan does not exist or belongs to another user
+     */
+    static async findById(planId, userId) {
+        try {
+            const plan = await getAsync(
+                'SELECT * FROM degree_plans WHERE id = ? AND user_id = ?',
+                [planId, userId]
+            );
+            if (!plan) return null;
+
+            const terms = await allAsync(
+                'SELECT id, semester, year FROM plan_terms WHERE plan_id = ?',
+                [planId]
+            );
+
+            const courses = await allAsync(`
+                SELECT pc.id, pc.plan_term_id, pc.course_id, pc.position,
+                       c.course_code, c.course_name, c.credits
+                FROM plan_courses pc
+                JOIN plan_terms pt ON pc.plan_term_id = pt.id
+                JOIN courses c ON pc.course_id = c.id
+                WHERE pt.plan_id = ?
+                ORDER BY pc.position, c.course_code
+            `, [planId]);
+
+            plan.terms = terms.sort(compareTerms).map(term => {
+                const termCourses = courses.filter(course => course.plan_term_id === term.id);
+                return {
+                    ...term,
+                    credits: termCourses.reduce((sum, course) => sum + (course.credits || 0), 0),
+                    courses: termCourses
+                };
+            });
+
+            return plan;
+        } catch (error) {
+            console.error('Error finding degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a plan, optionally with terms and courses already laid out
+     * @param {number} userId - Owner of the plan
+     * @param {Object} planData - { name, terms: [{ semester, year, courseIds }] }
+     */
+    static async create(userId, planData = {}) {
+        try {
+            const { name = 'My Plan', terms = [] } = planData;
+
+            const courseIds = terms.flatMap(term => (term.courseIds || []).map(Number));
+            if (new Set(courseIds).size !== courseIds.length) {
+                throw createHttpError(400, 'A course can only appear once per plan');
+            }
+
+            const planId = await withTransaction(async () => {
+                const result = await runAsync(
+                    'INSERT INTO degree_plans (user_id, name) VALUES (?, ?)',
+                    [userId, name]
+                );
+
+                await this.insertTerms(result.id, terms);
+                return result.id;
+            });
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error creating degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a plan
+     */
+    static async update(planId, userId, planData = {}) {
+        try {
+            await this.assertOwner(planId, userId);
+
+            if (!planData.name || String(planData.name).trim() === '') {
+                throw createHttpError(400, 'Plan name is required');
+            }
+
+            await runAsync(
+                'UPDATE degree_plans SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [String(planData.name).trim(), planId]
+            );
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error updating degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a plan (terms and placements cascade)
+     */
+    static async delete(planId, userId) {
+        try {
+            const result = await runAsync(
+                'DELETE FROM degree_plans WHERE id = ? AND user_id = ?',
+                [planId, userId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add an empty term to a plan
+     */
+    static async addTerm(planId, userId, termData) {
+        try {
+            await this.assertOwner(planId, userId);
+            await this.insertTerms(planId, [{ ...termData, courseIds: [] }]);
+            await this.touch(planId);
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error adding plan term:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a term and every course placed in it
+     */
+    static async removeTerm(planId, userId, termId) {
+        try {
+            await this.assertOwner(planId, userId);
+            await this.assertTerm(planId, termId);
+
+            await runAsync('DELETE FROM plan_terms WHERE id = ?', [termId]);
+            await this.touch(planId);
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error removing plan term:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Place a course at the end of a term
+     * A course can only appear once per plan
+     */
+    static async addCourse(planId, userId, termId, courseId) {
+        try {
+            await this.assertOwner(planId, userId);
+            await this.assertTerm(planId, termId);
+            await this.assertCoursesExist([courseId]);
+
+            const placed = await getAsync(`
+                SELECT pt.semester, pt.year
+                FROM plan_courses pc
+                JOIN plan_terms pt ON pc.plan_term_id = pt.id
+                WHERE pt.plan_id = ? AND pc.course_id = ?
+            `, [planId, courseId]);
+
+            if (placed) {
+                throw createHttpError(409, `Course is already planned for ${placed.semester} ${placed.year}`);
+            }
+
+            const last = await getAsync(
+                'SELECT MAX(position) as position FROM plan_courses WHERE plan_term_id = ?',
+                [termId]
+            );
+
+            await runAsync(
+                'INSERT INTO plan_courses (plan_term_id, course_id, position) VALUES (?, ?, ?)',
+                [termId, courseId, (last.position ?? -1) + 1]
+            );
+            await this.touch(planId);
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error adding course to plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a course from a term
+     */
+    static async removeCourse(planId, userId, termId, courseId) {
+        try {
+            await this.assertOwner(planId, userId);
+            await this.assertTerm(planId, termId);
+
+            await runAsync(
+                'DELETE FROM plan_courses WHERE plan_term_id = ? AND course_id = ?',
+                [termId, courseId]
+            );
+            await this.touch(planId);
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error removing course from plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the course layout of the given terms in one step
+     * Used to move courses between terms and to reorder them within a term
+     * @param {Array} layout - [{ id: termId, courseIds: [...] }] in display order
+     */
+    static async reorder(planId, userId, layout = []) {
+        try {
+            await this.assertOwner(planId, userId);
+
+            if (!Array.isArray(layout) || layout.length === 0) {
+                throw createHttpError(400, 'terms must be a non-empty array of { id, courseIds }');
+            }
+
+            for (const term of layout) {
+                await this.assertTerm(planId, term.id);
+            }
+
+            const listedTermIds = layout.map(term => Number(term.id));
+            const listedCourseIds = layout.flatMap(term => (term.courseIds || []).map(Number));
+            await this.assertCoursesExist(listedCourseIds);
+
+            // Courses in terms that are not part of this layout stay where they are
+            const untouched = await allAsync(`
+                SELECT pc.course_id
+                FROM plan_courses pc
+                JOIN plan_terms pt ON pc.plan_term_id = pt.id
+                WHERE pt.plan_id = ?
+                  AND pt.id NOT IN (${listedTermIds.map(() => '?').join(', ')})
+            `, [planId, ...listedTermIds]);
+
+            const allCourseIds = [...listedCourseIds, ...untouched.map(row => row.course_id)];
+            if (new Set(allCourseIds).size !== allCourseIds.length) {
+                throw createHttpError(400, 'A course can only appear once per plan');
+            }
+
+            await withTransaction(async () => {
+                for (const term of layout) {
+                    await runAsync('DELETE FROM plan_courses WHERE plan_term_id = ?', [term.id]);
+
+                    for (const [position, courseId] of (term.courseIds || []).entries()) {
+                        await runAsync(
+                            'INSERT INTO plan_courses (plan_term_id, course_id, position) VALUES (?, ?, ?)',
+                            [term.id, courseId, position]
+                        );
+                    }
+                }
+
+                await this.touch(planId);
+            });
+
+            return await this.findById(planId, userId);
+        } catch (error) {
+            console.error('Error reordering degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Copy a plan with all of its terms and courses
+     */
+    static async clone(planId, userId, name) {
+        try {
+            const plan = await this.findById(planId, userId);
+            if (!plan) {
+                throw createHttpError(404, 'Plan not found');
+            }
+
+            return await this.create(userId, {
+                name: name || `${plan.name} (copy)`,
+                terms: plan.terms.map(term => ({
+                    semester: term.semester,
+                    year: term.year,
+                    courseIds: term.courses.map(course => course.course_id)
+                }))
+            });
+        } catch (error) {
+            console.error('Error cloning degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check every placed course against the student's enrollment history
+     * and the courses planned in earlier terms
+     *
+     * Completed courses satisfy requirements when the grade meets the minimum,
+     * current enrollments and earlier planned courses are assumed to be passed,
+     * co-requisites may also be planned in the same term.
+     * Courses cross-listed with, equivalent to or anti-requisites of a course
+     * that is completed, in progress or planned in the same or an earlier term
+     * are reported, since only one of them counts for credit.
+     * Returns null when the plan does not exist.
+     */
+    static async validate(planId, userId) {
+        try {
+            const plan = await this.findById(planId, userId);
+            if (!plan) return null;
+
+            const history = await User.getEnrollmentHistory(userId);
+            const completed = new Map();
+            const inProgress = new Set();
+
+            for (const enrollment of history) {
+                if (enrollment.status === 'completed') {
+                    completed.set(enrollment.course_id, enrollment.grade);
+                } else if (enrollment.status === 'enrolled') {
+                    inProgress.add(enrollment.course_id);
+                }
+            }
+
+            const plannedBefore = new Set();
+            let issueCount = 0;
+
+            const relations = await CourseRelation.findForCourses(
+                plan.terms.flatMap(term => term.courses.map(course => course.course_id))
+            );
+
+            // Where a linked course shows up in the student's history or plan, if anywhere
+            const takenAs = (courseId, sameTerm) => {
+                if (completed.has(courseId) && completed.get(courseId) !== 'F') return 'already completed';
+                if (inProgress.has(courseId)) return 'in progress';
+                if (plannedBefore.has(courseId)) return 'planned in an earlier term';
+                if (sameTerm.has(courseId)) return 'planned in the same term';
+                return null;
+            };
+
+            const terms = [];
+            for (const term of plan.terms) {
+                const sameTerm = new Set(term.courses.map(course => course.course_id));
+                const courses = [];
+
+                for (const course of term.courses) {
+                    const issues = [];
+
+                    if (completed.has(course.course_id) && completed.get(course.course_id) !== 'F') {
+                        issues.push({
+                            type: 'already_completed',
+                            message: `${course.course_code} is already completed`
+                        });
+                    }
+
+                    for (const related of relations.get(course.course_id)) {
+                        const taken = takenAs(related.id, sameTerm);
+                        if (taken) {
+                            issues.push({
+                                type: 'anti_requisite',
+                                relation_type: related.relation_type,
+                                course_id: related.id,
+                                course_code: related.course_code,
+                                message: `${CourseRelation.describe(related.relation_type, course.course_code, related.course_code)} (${related.course_code} is ${taken})`
+                            });
+                        }
+                    }
+
+                    const groups = await Prerequisite.findByCourse(course.course_id);
+                    groups.forEach((group, index) => {
+                        const satisfied = group.courses.some(option => {
+                            if (completed.has(option.id)) {
+                                const grade = completed.get(option.id);
+                                return grade ? meetsMinimumGrade(grade, option.min_grade) : !option.min_grade;
+                            }
+                            if (inProgress.has(option.id) || plannedBefore.has(option.id)) {
+                                return true;
+                            }
+                            return group.type === 'corequisite' && sameTerm.has(option.id);
+                        });
+
+                        if (!satisfied) {
+                            const options = group.courses
+                                .map(option => option.min_grade ? `${option.course_code} (${option.min_grade})` : option.course_code)
+                                .join(' or ');
+
+                            issues.push({
+                                type: group.type === 'corequisite' ? 'unmet_corequisite' : 'unmet_prerequisite',
+                                group: index + 1,
+                                options: group.courses.map(({ id, course_code, min_grade }) => ({ id, course_code, min_grade })),
+                                message: group.type === 'corequisite'
+                                    ? `${course.course_code} must be taken with or after ${options}`
+                                    : `${course.course_code} requires ${options}`
+                            });
+                        }
+                    });
+
+                    issueCount += issues.length;
+                    courses.push({
+                        course_id: course.course_id,
+                        course_code: course.course_code,
+                        course_name: course.course_name,
+                        issues
+                    });
+                }
+
+                sameTerm.forEach(courseId => plannedBefore.add(courseId));
+                terms.push({ id: term.id, semester: term.semester, year: term.year, courses });
+            }
+
+            return {
+                plan_id: plan.id,
+                valid: issueCount === 0,
+                issue_count: issueCount,
+                terms
+            };
+        } catch (error) {
+            console.error('Error validating degree plan:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Estimate the workload of every term in a plan (see Workload.estimate)
+     * Returns null when the plan does not exist
+     */
+    static async getWorkload(planId, userId) {
+        try {
+            const plan = await this.findById(planId, userId);
+            if (!plan) return null;
+
+            const terms = [];
+            for (const term of plan.terms) {
+                const workload = await Workload.estimate(term.courses.map(course => course.course_id));
+                terms.push({ id: term.id, semester: term.semester, year: term.year, ...workload });
+            }
+
+            return { plan_id: plan.id, terms };
+        } catch (error) {
+            console.error('Error estimating degree plan workload:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert terms (and their courses) into a plan
+     * Runs inside the caller's transaction
+     */
+    static async insertTerms(planId, terms) {
+        for (const term of terms) {
+            const year = Number(term.year);
+            if (!isValidSemester(term.semester) || !Number.isInteger(year) || year < 1900 || year > 2200) {
+                throw createHttpError(400, `Terms need a semester (${SEMESTERS.join(', ')}) and a valid year`);
+            }
+
+            const existing = await getAsync(
+                'SELECT id FROM plan_terms WHERE plan_id = ? AND semester = ? AND year = ?',
+                [planId, term.semester, year]
+            );
+            if (existing) {
+                throw createHttpError(409, `${term.semester} ${year} is already in this plan`);
+            }
+
+            const result = await runAsync(
+                'INSERT INTO plan_terms (plan_id, semester, year) VALUES (?, ?, ?)',
+                [planId, term.semester, year]
+            );
+
+            const courseIds = term.courseIds || [];
+            await this.assertCoursesExist(courseIds);
+            for (const [position, courseId] of courseIds.entries()) {
+                await runAsync(
+                    'INSERT INTO plan_courses (plan_term_id, course_id, position) VALUES (?, ?, ?)',
+                    [result.id, courseId, position]
+                );
+            }
+        }
+    }
+
+    /**
+     * Throw a 404 unless the plan exists and belongs to the user
+     */
+    static async assertOwner(planId, userId) {
+        const plan = await getAsync(
+            'SELECT id FROM degree_plans WHERE id = ? AND user_id = ?',
+            [planId, userId]
+        );
+        if (!plan) {
+            throw createHttpError(404, 'Plan not found');
+        }
+    }
+
+    /**
+     * Throw a 404 unless the term belongs to the plan
+     */
+    static async assertTerm(planId, termId) {
+        const term = await getAsync(
+            'SELECT id FROM plan_terms WHERE id = ? AND plan_id = ?',
+            [termId, planId]
+        );
+        if (!term) {
+            throw createHttpError(404, 'Term not found in this plan');
+        }
+    }
+
+    /**
+     * Throw a 400 listing any course IDs that do not exist
+     */
+    static async assertCoursesExist(courseIds) {
+        const ids = [...new Set(courseIds.map(Number))];
+        if (ids.length === 0) return;
+
+        const rows = await allAsync(
+            `SELECT id FROM courses WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        const found = new Set(rows.map(row => row.id));
+        const missing = ids.filter(id => !found.has(id));
+        if (missing.length > 0) {
+            throw createHttpError(400, `Unknown course IDs: ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Bump a plan's updated_at
+     */
+    static async touch(planId) {
+        await runAsync('UPDATE degree_plans SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [planId]);
+    }
+}
+
+module.exports = DegreePlan;
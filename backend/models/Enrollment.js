@@ -0,0 +1,288 @@
+// backend/models/Enrollment.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const Offering = require('./Offering');
+const Waitlist = require('./Waitlist');
+const Notification = require('./Notification');
+const { createHttpError } = require('../utils/httpError');
+const { normalizeGrade, isValidGrade, GRADES } = require('../utils/grades');
+
+// Every status except 'dropped' holds a seat in the offering's enrolled counter,
+// so only enrolling and dropping change the counter
+const ACTIVE_STATUSES = ['enrolled', 'auditing'];
+
+class Enrollment {
+
+    /**
+     * Find enrollment by database ID, with course and term details
+     */
+    static async findById(id) {
+        try {
+            const sql = `
+                SELECT e.*, c.course_code, c.course_name, c.credits,
+                       o.semester, o.year, o.section, o.schedule
+                FROM enrollments e
+                JOIN courses c ON e.course_id = c.id
+                LEFT JOIN course_offerings o ON e.offering_id = o.id
+                WHERE e.id = ?
+            `;
+            return await getAsync(sql, [id]);
+        } catch (error) {
+            console.error('Error finding enrollment by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's enrollments, optionally filtered by status
+     */
+    static async findByUser(userId, filters = {}) {
+        try {
+            let sql = `
+                SELECT e.*, c.course_code, c.course_name, c.credits,
+                       o.semester, o.year, o.section, o.schedule
+                FROM enrollments e
+                JOIN courses c ON e.course_id = c.id
+                LEFT JOIN course_offerings o ON e.offering_id = o.id
+                WHERE e.user_id = ?
+            `;
+            const params = [userId];
+
+            if (filters.status && filters.status !== 'all') {
+                sql += ' AND e.status = ?';
+                params.push(filters.status);
+            }
+
+            sql += ' ORDER BY o.year DESC, e.enrolled_at DESC';
+            return await allAsync(sql, params);
+        } catch (error) {
+            console.error('Error finding user enrollments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Enroll a user in an offering, or audit it with { audit: true }
+     * A dropped enrollment in the same course is reactivated, since a user
+     * can only have one enrollment row per course
+     */
+    static async enroll(userId, { offeringId, audit = false } = {}) {
+        try {
+            if (!offeringId) {
+                throw createHttpError(400, 'offeringId is required');
+            }
+
+            const offering = await Offering.findById(offeringId);
+            if (!offering) {
+                throw createHttpError(404, 'Offering not found');
+            }
+            if (offering.course_archived_at) {
+                throw createHttpError(409, `${offering.course_code} is archived and no longer open for enrollment`);
+            }
+
+            const status = audit ? 'auditing' : 'enrolled';
+
+            try {
+                const enrollmentId = await withTransaction(async () => {
+                    const id = await this.takeSeat(userId, offering, status);
+                    if (!id) {
+                        throw createHttpError(409, `${offering.course_code} ${offering.section} (${offering.semester} ${offering.year}) is full, join the waitlist instead`);
+                    }
+                    return id;
+                });
+                return await this.findById(enrollmentId);
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT') {
+                    throw createHttpError(409, `You already have an enrollment in ${offering.course_code}`);
+                }
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error enrolling user:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Take a seat in an offering and create or reactivate the enrollment row
+     * Returns the enrollment id, or null when the offering is full
+     * Does not open its own transaction so enrolling and waitlist promotion can share it
+     */
+    static async takeSeat(userId, offering, status = 'enrolled') {
+        const existing = await getAsync(
+            'SELECT * FROM enrollments WHERE user_id = ? AND course_id = ?',
+            [userId, offering.course_id]
+        );
+
+        if (existing && existing.status === 'completed') {
+            throw createHttpError(409, `You have already completed ${offering.course_code}`);
+        }
+        if (existing && existing.status !== 'dropped') {
+            throw createHttpError(409, `You are already ${existing.status} in ${offering.course_code}`);
+        }
+
+        const seat = await runAsync(
+            'UPDATE course_offerings SET enrolled = enrolled + 1 WHERE id = ? AND enrolled < capacity',
+            [offering.id]
+        );
+        if (seat.changes === 0) {
+            return null;
+        }
+
+        let enrollmentId;
+        if (existing) {
+            await runAsync(`
+                UPDATE enrollments
+                SET offering_id = ?, status = ?, grade = NULL,
+                    enrolled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [offering.id, status, existing.id]);
+            enrollmentId = existing.id;
+        } else {
+            const result = await runAsync(
+                'INSERT INTO enrollments (user_id, course_id, offering_id, status) VALUES (?, ?, ?, ?)',
+                [userId, offering.course_id, offering.id, status]
+            );
+            enrollmentId = result.id;
+        }
+
+        await Waitlist.removeForCourse(userId, offering.course_id);
+        return enrollmentId;
+    }
+
+    /**
+     * Fill free seats in an offering from the front of its waitlist and notify
+     * each promoted student. Students who got a seat in another section since
+     * joining are skipped. Runs inside the caller's transaction
+     */
+    static async promoteFromWaitlist(offeringId) {
+        const offering = await Offering.findById(offeringId);
+        const promoted = [];
+        if (!offering) return promoted;
+
+        let entry = await Waitlist.next(offeringId);
+        while (entry) {
+            const active = await getAsync(
+                "SELECT id FROM enrollments WHERE user_id = ? AND course_id = ? AND status != 'dropped'",
+                [entry.user_id, offering.course_id]
+            );
+
+            if (active) {
+                await Waitlist.leave(entry.user_id, offeringId);
+            } else {
+                const enrollmentId = await this.takeSeat(entry.user_id, offering);
+                if (!enrollmentId) break;
+
+                await Notification.create(entry.user_id, {
+                    type: 'waitlist_promoted',
+                    message: `A seat opened up in ${offering.course_code} ${offering.section} (${offering.semester} ${offering.year}) and you have been enrolled from the waitlist.`,
+                    link: `/courses/${offering.course_id}`
+                });
+                promoted.push(enrollmentId);
+            }
+
+            entry = await Waitlist.next(offeringId);
+        }
+
+        return promoted;
+    }
+
+    /**
+     * Drop an active enrollment and free its seat
+     * The first student on the offering's waitlist is promoted into it
+     * @param {number|null} userId - Owner, or null when an admin acts on any enrollment
+     */
+    static async drop(id, userId) {
+        return this.transition(id, userId, {
+            from: ACTIVE_STATUSES,
+            to: 'dropped',
+            freeSeat: true
+        });
+    }
+
+    /**
+     * Switch an enrollment to auditing (keeps the seat)
+     */
+    static async audit(id, userId) {
+        return this.transition(id, userId, {
+            from: ['enrolled'],
+            to: 'auditing'
+        });
+    }
+
+    /**
+     * Mark an active enrollment as completed, optionally with its final grade
+     */
+    static async complete(id, grade = null) {
+        const normalized = this.assertGrade(grade, false);
+        return this.transition(id, null, {
+            from: ACTIVE_STATUSES,
+            to: 'completed',
+            grade: normalized
+        });
+    }
+
+    /**
+     * Set or correct the grade of a completed enrollment
+     */
+    static async setGrade(id, grade) {
+        const normalized = this.assertGrade(grade, true);
+        return this.transition(id, null, {
+            from: ['completed'],
+            to: 'completed',
+            grade: normalized
+        });
+    }
+
+    /**
+     * Move an enrollment between statuses in one transaction, releasing the
+     * offering seat when the enrollment stops holding one
+     */
+    static async transition(id, userId, { from, to, grade, freeSeat = false }) {
+        try {
+            await withTransaction(async () => {
+                const enrollment = await getAsync('SELECT * FROM enrollments WHERE id = ?', [id]);
+                if (!enrollment || (userId !== null && enrollment.user_id !== Number(userId))) {
+                    throw createHttpError(404, 'Enrollment not found');
+                }
+                if (!from.includes(enrollment.status)) {
+                    throw createHttpError(409, `Cannot change a ${enrollment.status} enrollment to ${to}`);
+                }
+
+                const result = await runAsync(`
+                    UPDATE enrollments
+                    SET status = ?, grade = COALESCE(?, grade), updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND status = ?
+                `, [to, grade === undefined ? null : grade, id, enrollment.status]);
+
+                if (result.changes === 0) {
+                    throw createHttpError(409, 'Enrollment was changed by another request, please retry');
+                }
+
+                if (freeSeat && enrollment.offering_id) {
+                    await Offering.decrementEnrolled(enrollment.offering_id);
+                    await this.promoteFromWaitlist(enrollment.offering_id);
+                }
+            });
+            return await this.findById(id);
+        } catch (error) {
+            console.error(`Error changing enrollment to ${to}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate and normalize a letter grade
+     */
+    static assertGrade(grade, required) {
+        const normalized = normalizeGrade(grade);
+        if (normalized === null && !required) {
+            return null;
+        }
+        if (!isValidGrade(normalized)) {
+            throw createHttpError(400, `Grade must be one of ${GRADES.join(', ')}`);
+        }
+        return normalized;
+    }
+}
+
+module.exports = Enrollment;
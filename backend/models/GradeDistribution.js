@@ -0,0 +1,137 @@
+// backend/models/GradeDistribution.js
+const { getAsync, allAsync } = require('../config/database');
+const { createHttpError } = require('../utils/httpError');
+const { normalizeGrade, isValidGrade } = require('../utils/grades');
+const { compareTerms } = require('../utils/terms');
+const { MIN_GROUP_SIZE, summarizeBreakdown, summarizeNestedBreakdown } = require('../utils/gradePrivacy');
+
+/**
+ * Letter grade distributions of completed enrollments.
+ *
+ * To keep individual students from being identified, counts describing fewer
+ * than MIN_GROUP_SIZE students are hidden, along with whatever would let them
+ * be worked out from the rest (see utils/gradePrivacy.js). Each distribution
+ * is broken down by term only: a second breakdown (per professor, per course)
+ * would overlap the terms, and a small term could be worked out from the
+ * difference.
+ *
+ * Professor distributions overlap the course ones, so they are built from
+ * whole course terms: a term of a course counts only when the professor
+ * taught every section of it. Their share of a shared term would give away the
+ * other sections once subtracted from the course's term.
+ */
+class GradeDistribution {
+
+    /**
+     * Grade distribution of a course overall and per term
+     */
+    static async forCourse(courseId) {
+        try {
+            const course = await getAsync('SELECT id, course_code, course_name FROM courses WHERE id = ?', [courseId]);
+            if (!course) {
+                throw createHttpError(404, 'Course not found');
+            }
+
+            const rows = await this.findGrades('e.course_id = ?', [course.id]);
+            return {
+                course_id: course.id,
+                course_code: course.course_code,
+                course_name: course.course_name,
+                threshold: MIN_GROUP_SIZE,
+                ...this.byTerm(rows)
+            };
+        } catch (error) {
+            console.error('Error getting course grade distribution:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Grade distribution of the course terms a professor taught every section of,
+     * overall and per term
+     */
+    static async forProfessor(professorId) {
+        try {
+            const professor = await getAsync('SELECT id, name FROM professors WHERE id = ?', [professorId]);
+            if (!professor) {
+                throw createHttpError(404, 'Professor not found');
+            }
+
+            const taught = await allAsync('SELECT offering_id FROM offering_instructors WHERE professor_id = ?', [professor.id]);
+            const taughtIds = new Set(taught.map(row => row.offering_id));
+
+            const rows = await this.findGrades(
+                'o.course_id IN (SELECT o2.course_id FROM course_offerings o2 JOIN offering_instructors oi ON oi.offering_id = o2.id WHERE oi.professor_id = ?)',
+                [professor.id]
+            );
+            const courseTerms = this.groupBy(rows, row => `${row.course_id} ${row.year} ${row.semester}`)
+                .filter(group => group.every(row => taughtIds.has(row.offering_id)));
+
+            const terms = this.groupBy(courseTerms, group => `${group[0].year} ${group[0].semester}`);
+            const { summary, parts } = summarizeNestedBreakdown(terms);
+            return {
+                professor_id: professor.id,
+                professor_name: professor.name,
+                threshold: MIN_GROUP_SIZE,
+                ...summary,
+                terms: this.listTerms(terms.map(group => group[0][0]), parts)
+            };
+        } catch (error) {
+            console.error('Error getting professor grade distribution:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Graded completed enrollments matching a condition, with their offering and term
+     */
+    static async findGrades(condition, params) {
+        const rows = await allAsync(`
+            SELECT e.grade, e.offering_id, o.course_id, o.semester, o.year
+            FROM enrollments e
+            JOIN course_offerings o ON e.offering_id = o.id
+            WHERE ${condition} AND e.status = 'completed' AND e.grade IS NOT NULL
+        `, params);
+
+        return rows
+            .map(row => ({ ...row, grade: normalizeGrade(row.grade) }))
+            .filter(row => isValidGrade(row.grade));
+    }
+
+    /**
+     * The overall distribution with one distribution per term, newest first
+     * (sections of a term are combined)
+     */
+    static byTerm(rows) {
+        const groups = this.groupBy(rows, row => `${row.year} ${row.semester}`);
+        const { summary, parts } = summarizeBreakdown(rows, groups);
+        return {
+            ...summary,
+            terms: this.listTerms(groups.map(group => group[0]), parts)
+        };
+    }
+
+    /**
+     * Term summaries labelled with their semester and year (taken from a row), newest first
+     */
+    static listTerms(termRows, parts) {
+        return termRows
+            .map((row, index) => ({ semester: row.semester, year: row.year, ...parts[index] }))
+            .sort((a, b) => compareTerms(b, a));
+    }
+
+    /**
+     * Split rows into groups sharing a key, in first-seen order
+     */
+    static groupBy(rows, key) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const value = key(row);
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(row);
+        });
+        return [...groups.values()];
+    }
+}
+
+module.exports = GradeDistribution;
@@ -0,0 +1,290 @@
+// backend/models/Material.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const Offering = require('./Offering');
+const { createHttpError } = require('../utils/httpError');
+const { MAX_FILE_SIZE, detectFileType, sanitizeFileName } = require('../utils/fileTypes');
+const { storeFile, removeFile } = require('../utils/fileStorage');
+
+const KINDS = ['syllabus', 'outline', 'other'];
+
+// Materials with their offering's term and their current (highest) version
+const MATERIAL_SELECT = `
+    SELECT m.*, o.semester, o.year, o.section, u.name as created_by_name,
+           v.version, v.file_name, v.content_type, v.size, v.sha256, v.created_at as uploaded_at
+    FROM course_materials m
+    LEFT JOIN course_offerings o ON m.offering_id = o.id
+    LEFT JOIN users u ON m.created_by = u.id
+    JOIN material_versions v ON v.material_id = m.id
+     AND v.version = (SELECT MAX(version) FROM material_versions WHERE material_id = m.id)
+`;
+
+/**
+ * Syllabi, outlines and other files attached to a course or one of its offerings.
+ *
+ * Uploading a new file to a material adds a version, older versions stay
+ * downloadable. Files are checked for size and type, then stored on disk by
+ * content hash (see utils/fileStorage.js), so re-uploads share one file.
+ */
+class Material {
+
+    /**
+     * Materials of a course, newest term first with course-wide materials on top
+     * @param {Object} filters - { offeringId } or { semester, year } to get one term
+     */
+    static async findByCourse(courseId, filters = {}) {
+        try {
+            let sql = `${MATERIAL_SELECT} WHERE m.course_id = ?`;
+            const params = [courseId];
+
+            if (filters.offeringId) {
+                sql += ' AND m.offering_id = ?';
+                params.push(filters.offeringId);
+            }
+            if (filters.semester) {
+                sql += ' AND o.semester = ?';
+                params.push(filters.semester);
+            }
+            if (filters.year) {
+                sql += ' AND o.year = ?';
+                params.push(filters.year);
+            }
+
+            sql += ' ORDER BY o.year DESC NULLS FIRST, o.semester, m.kind, m.title';
+            return await allAsync(sql, params);
+        } catch (error) {
+            console.error('Error finding course materials:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a material with its current version
+     */
+    static async findById(id) {
+        try {
+            return await getAsync(`${MATERIAL_SELECT} WHERE m.id = ?`, [id]);
+        } catch (error) {
+            console.error('Error finding material by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every version of a material, newest first
+     */
+    static async findVersions(materialId) {
+        try {
+            return await allAsync(`
+                SELECT v.*, u.name as uploaded_by_name
+                FROM material_versions v
+                LEFT JOIN users u ON v.uploaded_by = u.id
+                WHERE v.material_id = ?
+                ORDER BY v.version DESC
+            `, [materialId]);
+        } catch (error) {
+            console.error('Error finding material versions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * One version of a material, the current one when version is omitted
+     */
+    static async findVersion(materialId, version = null) {
+        try {
+            if (version === null) {
+                return await getAsync(
+                    'SELECT * FROM material_versions WHERE material_id = ? ORDER BY version DESC LIMIT 1',
+                    [materialId]
+                );
+            }
+            return await getAsync(
+                'SELECT * FROM material_versions WHERE material_id = ? AND version = ?',
+                [materialId, version]
+            );
+        } catch (error) {
+            console.error('Error finding material version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a user can upload materials for a course: admins, and instructors
+     * whose email is that of a professor of the course or of one of its offerings
+     */
+    static async canUpload(courseId, user) {
+        try {
+            if (user.role === 'admin') return true;
+            if (!user.email) return false;
+
+            const row = await getAsync(`
+                SELECT p.id FROM professors p
+                WHERE lower(p.email) = lower(?)
+                  AND (p.id IN (SELECT professor_id FROM course_professors WHERE course_id = ?)
+                       OR p.id IN (
+                           SELECT oi.professor_id
+                           FROM offering_instructors oi
+                           JOIN course_offerings o ON oi.offering_id = o.id
+                           WHERE o.course_id = ?
+                       ))
+                LIMIT 1
+            `, [user.email, courseId, courseId]);
+            return Boolean(row);
+        } catch (error) {
+            console.error('Error checking material upload access:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a new material for a course
+     * @param {Object} data - { title, kind, offeringId } or { semester, year } instead of offeringId,
+     * without a term the material applies to every offering
+     * @param {Object} file - { originalname, buffer } as parsed by multer
+     */
+    static async create(courseId, data, file, userId) {
+        try {
+            const course = await getAsync('SELECT id, course_code FROM courses WHERE id = ?', [courseId]);
+            if (!course) {
+                throw createHttpError(404, 'Course not found');
+            }
+
+            const kind = data.kind || 'syllabus';
+            if (!KINDS.includes(kind)) {
+                throw createHttpError(400, `kind must be one of ${KINDS.join(', ')}`);
+            }
+
+            let offering = null;
+            if (data.offeringId) {
+                offering = await Offering.findById(data.offeringId);
+                if (!offering || offering.course_id !== course.id) {
+                    throw createHttpError(400, 'Offering does not belong to this course');
+                }
+            } else if (data.semester && data.year) {
+                offering = await Offering.findByTerm(course.id, data.semester, data.year);
+                if (!offering) {
+                    throw createHttpError(400, `${course.course_code} is not offered in ${data.semester} ${data.year}`);
+                }
+            }
+
+            const upload = await this.storeUpload(file);
+            const title = String(data.title || '').trim() || upload.file_name;
+
+            try {
+                const materialId = await withTransaction(async () => {
+                    const result = await runAsync(
+                        'INSERT INTO course_materials (course_id, offering_id, kind, title, created_by) VALUES (?, ?, ?, ?, ?)',
+                        [course.id, offering ? offering.id : null, kind, title, userId]
+                    );
+                    await this.insertVersion(result.id, 1, upload, userId);
+                    return result.id;
+                });
+                return await this.findById(materialId);
+            } catch (error) {
+                await this.removeIfUnused(upload.sha256);
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error creating material:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a new version of a material
+     * Uploading the same file as the current version is rejected
+     */
+    static async addVersion(materialId, file, userId) {
+        try {
+            const material = await this.findById(materialId);
+            if (!material) {
+                throw createHttpError(404, 'Material not found');
+            }
+
+            const upload = await this.storeUpload(file);
+            if (upload.sha256 === material.sha256) {
+                throw createHttpError(409, 'This file is already the current version');
+            }
+
+            try {
+                await withTransaction(async () => {
+                    await this.insertVersion(material.id, material.version + 1, upload, userId);
+                    await runAsync(
+                        'UPDATE course_materials SET updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [material.id]
+                    );
+                });
+                return await this.findById(material.id);
+            } catch (error) {
+                await this.removeIfUnused(upload.sha256);
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error adding material version:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a material with every version
+     * Files no other material version uses are removed from disk
+     */
+    static async delete(id) {
+        try {
+            const versions = await allAsync('SELECT DISTINCT sha256 FROM material_versions WHERE material_id = ?', [id]);
+            const result = await runAsync('DELETE FROM course_materials WHERE id = ?', [id]);
+
+            for (const { sha256 } of versions) {
+                await this.removeIfUnused(sha256);
+            }
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting material:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check an uploaded file's size and type and store it on disk
+     * @returns {Object} { file_name, content_type, size, sha256 }
+     */
+    static async storeUpload(file) {
+        if (!file || !file.buffer || file.buffer.length === 0) {
+            throw createHttpError(400, 'A non-empty file is required');
+        }
+        if (file.buffer.length > MAX_FILE_SIZE) {
+            throw createHttpError(413, `Files can be at most ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+        }
+
+        const fileName = sanitizeFileName(file.originalname);
+        const type = detectFileType(fileName, file.buffer);
+        if (!type) {
+            throw createHttpError(415, 'Only PDF, Word (.doc, .docx), text and Markdown files can be uploaded');
+        }
+
+        const { sha256, size } = await storeFile(file.buffer);
+        return { file_name: fileName, content_type: type.contentType, size, sha256 };
+    }
+
+    /**
+     * Insert a version row, runs inside the caller's transaction
+     */
+    static async insertVersion(materialId, version, upload, userId) {
+        await runAsync(`
+            INSERT INTO material_versions (material_id, version, file_name, content_type, size, sha256, uploaded_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [materialId, version, upload.file_name, upload.content_type, upload.size, upload.sha256, userId]);
+    }
+
+    /**
+     * Remove a stored file once no version refers to it
+     */
+    static async removeIfUnused(sha256) {
+        const row = await getAsync('SELECT COUNT(*) as count FROM material_versions WHERE sha256 = ?', [sha256]);
+        if (row.count === 0) {
+            await removeFile(sha256);
+        }
+    }
+}
+
+module.exports = Material;
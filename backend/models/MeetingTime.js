@@ -0,0 +1,220 @@
+// backend/models/MeetingTime.js
+const { runAsync, allAsync } = require('../config/database');
+const { createHttpError } = require('../utils/httpError');
+const { DAYS, parseSchedule } = require('../utils/schedule');
+
+/**
+ * Structured meeting times parsed from course_offerings.schedule
+ * One row is stored per day so overlaps can be found with a plain join
+ */
+class MeetingTime {
+
+    /**
+     * Parse a schedule string, turning parse failures into a 400
+     */
+    static parse(schedule) {
+        try {
+            return parseSchedule(schedule);
+        } catch (error) {
+            throw createHttpError(400, error.message);
+        }
+    }
+
+    /**
+     * Replace the meeting times of an offering from its schedule string
+     * Does not open its own transaction, callers (Offering.insert/update) wrap it in theirs
+     */
+    static async replaceForOffering(offeringId, schedule) {
+        try {
+            const meetings = this.parse(schedule);
+
+            await runAsync('DELETE FROM offering_meeting_times WHERE offering_id = ?', [offeringId]);
+
+            for (const meeting of meetings) {
+                for (const day of meeting.days) {
+                    await runAsync(`
+                        INSERT INTO offering_meeting_times (offering_id, day, start_time, end_time, location)
+                        VALUES (?, ?, ?, ?, ?)
+                    `, [offeringId, day, meeting.start_time, meeting.end_time, meeting.location]);
+                }
+            }
+
+            return meetings;
+        } catch (error) {
+            console.error('Error replacing meeting times:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the meetings of an offering, with days of the same time slot merged back together
+     */
+    static async findByOffering(offeringId) {
+        try {
+            const rows = await allAsync(
+                'SELECT * FROM offering_meeting_times WHERE offering_id = ? ORDER BY start_time',
+                [offeringId]
+            );
+            return this.groupRows(rows);
+        } catch (error) {
+            console.error('Error finding meeting times:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find every overlapping pair among a set of offerings
+     * Offerings can be picked directly or as every offering of the given courses,
+     * optionally narrowed to one term. Offerings in different terms never conflict,
+     * neither do two sections of the same course.
+     * @param {Object} selection - { courseIds, offeringIds, semester, year }
+     * @returns {Object} { conflicts: [{ offerings, overlaps }], unscheduled: [offering] }
+     */
+    static async findConflicts(selection = {}) {
+        try {
+            const { courseIds = [], offeringIds = [], semester, year } = selection;
+
+            let sql = `
+                SELECT o.id FROM course_offerings o
+                WHERE (o.course_id IN (${courseIds.map(() => '?').join(', ') || 'NULL'})
+                    OR o.id IN (${offeringIds.map(() => '?').join(', ') || 'NULL'}))
+            `;
+            const params = [...courseIds, ...offeringIds];
+
+            if (semester && semester !== 'all') {
+                sql += ' AND o.semester = ?';
+                params.push(semester);
+            }
+            if (year) {
+                sql += ' AND o.year = ?';
+                params.push(year);
+            }
+
+            const ids = (await allAsync(sql, params)).map(row => row.id);
+            if (ids.length === 0) {
+                return { conflicts: [], unscheduled: [] };
+            }
+            const placeholders = ids.map(() => '?').join(', ');
+
+            const rows = await allAsync(`
+                SELECT
+                    a.offering_id as first_id,
+                    b.offering_id as second_id,
+                    a.day,
+                    MAX(a.start_time, b.start_time) as start_time,
+                    MIN(a.end_time, b.end_time) as end_time
+                FROM offering_meeting_times a
+                JOIN offering_meeting_times b
+                    ON a.day = b.day
+                   AND a.offering_id < b.offering_id
+                   AND a.start_time < b.end_time
+                   AND b.start_time < a.end_time
+                JOIN course_offerings oa ON a.offering_id = oa.id
+                JOIN course_offerings ob ON b.offering_id = ob.id
+                WHERE a.offering_id IN (${placeholders})
+                  AND b.offering_id IN (${placeholders})
+                  AND oa.course_id != ob.course_id
+                  AND oa.semester = ob.semester
+                  AND oa.year = ob.year
+                ORDER BY a.offering_id, b.offering_id, a.start_time
+            `, [...ids, ...ids]);
+
+            const offerings = await allAsync(`
+                SELECT o.id, o.course_id, c.course_code, o.semester, o.year, o.section, o.schedule
+                FROM course_offerings o
+                JOIN courses c ON o.course_id = c.id
+                WHERE o.id IN (${placeholders})
+            `, ids);
+            const offeringsById = new Map(offerings.map(offering => [offering.id, offering]));
+
+            const conflicts = new Map();
+            for (const row of rows) {
+                const key = `${row.first_id}-${row.second_id}`;
+                if (!conflicts.has(key)) {
+                    conflicts.set(key, {
+                        offerings: [offeringsById.get(row.first_id), offeringsById.get(row.second_id)],
+                        overlaps: []
+                    });
+                }
+                conflicts.get(key).overlaps.push({
+                    day: row.day,
+                    start_time: row.start_time,
+                    end_time: row.end_time
+                });
+            }
+
+            const scheduled = await allAsync(
+                `SELECT DISTINCT offering_id FROM offering_meeting_times WHERE offering_id IN (${placeholders})`,
+                ids
+            );
+            const scheduledIds = new Set(scheduled.map(row => row.offering_id));
+
+            return {
+                conflicts: [...conflicts.values()],
+                unscheduled: offerings.filter(offering => !scheduledIds.has(offering.id))
+            };
+        } catch (error) {
+            console.error('Error finding schedule conflicts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse the schedule of every offering into offering_meeting_times
+     * Schedules that cannot be read are reported instead of aborting the run
+     */
+    static async backfillFromSchedule() {
+        try {
+            const offerings = await allAsync(`
+                SELECT o.id, o.schedule, o.semester, o.year, c.course_code
+                FROM course_offerings o
+                JOIN courses c ON o.course_id = c.id
+                ORDER BY c.course_code
+            `);
+            const summary = { scheduled: 0, skipped: [] };
+
+            for (const offering of offerings) {
+                try {
+                    const meetings = await this.replaceForOffering(offering.id, offering.schedule);
+                    if (meetings.length > 0) summary.scheduled++;
+                } catch (error) {
+                    summary.skipped.push({
+                        course_code: `${offering.course_code} (${offering.semester} ${offering.year})`,
+                        reason: error.message
+                    });
+                }
+            }
+
+            return summary;
+        } catch (error) {
+            console.error('Error backfilling meeting times:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Merge per-day rows that share a time slot and location
+     */
+    static groupRows(rows) {
+        const meetings = new Map();
+        for (const row of rows) {
+            const key = `${row.start_time}|${row.end_time}|${row.location || ''}`;
+            if (!meetings.has(key)) {
+                meetings.set(key, {
+                    days: '',
+                    start_time: row.start_time,
+                    end_time: row.end_time,
+                    location: row.location
+                });
+            }
+            meetings.get(key).days += row.day;
+        }
+
+        return [...meetings.values()].map(meeting => ({
+            ...meeting,
+            days: [...meeting.days].sort((a, b) => DAYS.indexOf(a) - DAYS.indexOf(b)).join('')
+        }));
+    }
+}
+
+module.exports = MeetingTime;
@@ -0,0 +1,94 @@
+// backend/models/Notification.js
+const { runAsync, getAsync, allAsync } = require('../config/database');
+
+class Notification {
+
+    /**
+     * Create a notification for a user
+     * @param {number} userId - Recipient
+     * @param {Object} notificationData - { type, message, link }
+     */
+    static async create(userId, { type, message, link = null }) {
+        try {
+            const result = await runAsync(
+                'INSERT INTO notifications (user_id, type, message, link) VALUES (?, ?, ?, ?)',
+                [userId, type, message, link]
+            );
+            return await getAsync('SELECT * FROM notifications WHERE id = ?', [result.id]);
+        } catch (error) {
+            console.error('Error creating notification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's notifications, newest first
+     * unread=true leaves out notifications that were already read
+     */
+    static async findByUser(userId, filters = {}) {
+        try {
+            let sql = 'SELECT * FROM notifications WHERE user_id = ?';
+            const params = [userId];
+
+            if (filters.unread === true || filters.unread === 'true') {
+                sql += ' AND read_at IS NULL';
+            }
+
+            sql += ' ORDER BY created_at DESC, id DESC';
+            return await allAsync(sql, params);
+        } catch (error) {
+            console.error('Error finding notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count unread notifications
+     */
+    static async countUnread(userId) {
+        try {
+            const row = await getAsync(
+                'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+                [userId]
+            );
+            return row.count;
+        } catch (error) {
+            console.error('Error counting notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark one of the user's notifications as read
+     */
+    static async markRead(id, userId) {
+        try {
+            const result = await runAsync(
+                'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ? AND user_id = ?',
+                [id, userId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark all of the user's notifications as read
+     */
+    static async markAllRead(userId) {
+        try {
+            const result = await runAsync(
+                'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL',
+                [userId]
+            );
+            return result.changes;
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Notification;
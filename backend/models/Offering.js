@@ -0,0 +1,348 @@
+// backend/models/Offering.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const MeetingTime = require('./MeetingTime');
+const Revision = require('./Revision');
+const { createHttpError } = require('../utils/httpError');
+const { SEMESTERS, isValidSemester } = require('../utils/terms');
+
+// Seat count from a request value, which must hold a non-negative whole number
+const toCapacity = (value) => {
+    if ((typeof value !== 'number' && typeof value !== 'string') || !/^\s*\d+\s*$/.test(String(value))) {
+        throw createHttpError(400, 'Capacity must be a non-negative integer');
+    }
+    return Number(value);
+};
+
+class Offering {
+
+    /**
+     * Find all offerings of a course, newest term first
+     * Returns rows from the offering_stats view
+     */
+    static async findByCourse(courseId, filters = {}) {
+        try {
+            let sql = 'SELECT * FROM offering_stats WHERE course_id = ?';
+            const params = [courseId];
+
+            if (filters.semester && filters.semester !== 'all') {
+                sql += ' AND semester = ?';
+                params.push(filters.semester);
+            }
+
+            if (filters.year) {
+                sql += ' AND year = ?';
+                params.push(filters.year);
+            }
+
+            sql += `
+                ORDER BY year DESC,
+                    CASE semester WHEN 'Fall' THEN 1 WHEN 'Summer' THEN 2 ELSE 3 END,
+                    section
+            `;
+            return await allAsync(sql, params);
+        } catch (error) {
+            console.error('Error finding course offerings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find offering by database ID
+     * Returns the offering_stats row
+     */
+    static async findById(id) {
+        try {
+            return await getAsync('SELECT * FROM offering_stats WHERE id = ?', [id]);
+        } catch (error) {
+            console.error('Error finding offering by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the offering of a course in a given term (first section if there are several)
+     */
+    static async findByTerm(courseId, semester, year) {
+        try {
+            return await getAsync(
+                'SELECT * FROM offering_stats WHERE course_id = ? AND semester = ? AND year = ? ORDER BY section LIMIT 1',
+                [courseId, semester, year]
+            );
+        } catch (error) {
+            console.error('Error finding offering by term:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get an offering with its instructors and meeting times
+     */
+    static async getOfferingWithDetails(id) {
+        try {
+            const offering = await this.findById(id);
+            if (!offering) return null;
+
+            return {
+                ...offering,
+                professors: await this.getInstructors(id),
+                meetings: await MeetingTime.findByOffering(id)
+            };
+        } catch (error) {
+            console.error('Error getting offering details:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a new offering of a course
+     * @param {number} courseId - Catalog course being offered
+     * @param {Object} offeringData - { semester, year, section, schedule, capacity }
+     * @param {Array} professorIds - Instructors for this term
+     * New instructors are recorded in the course history (see Revision)
+     */
+    static async create(courseId, offeringData, professorIds = [], audit = {}) {
+        try {
+            const offeringId = await withTransaction(() => Revision.recordCourseChange(courseId, audit,
+                () => this.insert(courseId, offeringData, professorIds)));
+            return await this.findById(offeringId);
+        } catch (error) {
+            console.error('Error creating offering:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert an offering, its meeting times and instructors
+     * Does not open its own transaction so Course.create can include it in its own
+     */
+    static async insert(courseId, offeringData, professorIds = []) {
+        const {
+            semester,
+            year,
+            section = 'A01',
+            schedule,
+            capacity = 30,
+            enrolled = 0
+        } = offeringData;
+
+        if (!isValidSemester(semester) || !Number.isInteger(Number(year))) {
+            throw createHttpError(400, `Offerings need a semester (${SEMESTERS.join(', ')}) and a year`);
+        }
+        const seats = toCapacity(capacity);
+
+        const result = await runAsync(`
+            INSERT INTO course_offerings (course_id, semester, year, section, schedule, capacity, enrolled)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [courseId, semester, year, section, schedule, seats, enrolled]);
+
+        await MeetingTime.replaceForOffering(result.id, schedule);
+
+        for (const professorId of professorIds) {
+            await this.linkInstructor(courseId, result.id, professorId, 'Instructor');
+        }
+
+        return result.id;
+    }
+
+    /**
+     * Update the term data of an offering
+     */
+    static async update(id, offeringData) {
+        try {
+            await withTransaction(() => this.applyUpdate(id, offeringData));
+            return await this.findById(id);
+        } catch (error) {
+            console.error('Error updating offering:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write the term data and meeting times of an offering
+     * Seats added by raising the capacity are filled from the waitlist
+     * Does not open its own transaction so catalog imports can include it in theirs
+     */
+    static async applyUpdate(id, offeringData) {
+        const existing = await this.findById(id);
+        if (!existing) {
+            throw createHttpError(404, 'Offering not found');
+        }
+
+        const {
+            section = existing.section,
+            schedule = existing.schedule,
+            capacity = existing.capacity
+        } = offeringData;
+
+        const seats = toCapacity(capacity);
+        if (seats < existing.enrolled) {
+            throw createHttpError(400, `Capacity cannot be below the ${existing.enrolled} students already enrolled`);
+        }
+
+        await runAsync(`
+            UPDATE course_offerings
+            SET section = ?, schedule = ?, capacity = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [section, schedule, seats, id]);
+
+        await MeetingTime.replaceForOffering(id, schedule);
+
+        if (seats > existing.capacity) {
+            // Required here, Enrollment requires this module at load time
+            await require('./Enrollment').promoteFromWaitlist(id);
+        }
+    }
+
+    /**
+     * Delete an offering
+     */
+    static async delete(id) {
+        try {
+            const enrollmentCheck = await getAsync(
+                "SELECT COUNT(*) as count FROM enrollments WHERE offering_id = ? AND status != 'dropped'",
+                [id]
+            );
+
+            if (enrollmentCheck.count > 0) {
+                throw createHttpError(409, 'Cannot delete offering with active enrollments');
+            }
+
+            // Instructors and meeting times cascade, reviews keep the course link
+            const result = await runAsync('DELETE FROM course_offerings WHERE id = ?', [id]);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting offering:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Increment enrolled count (when a student enrolls)
+     * The capacity check is part of the UPDATE so two requests cannot take the last seat
+     */
+    static async incrementEnrolled(id) {
+        try {
+            const sql = 'UPDATE course_offerings SET enrolled = enrolled + 1 WHERE id = ? AND enrolled < capacity';
+            const result = await runAsync(sql, [id]);
+
+            if (result.changes === 0) {
+                throw createHttpError(409, 'Offering is full or does not exist');
+            }
+
+            return await this.findById(id);
+        } catch (error) {
+            console.error('Error incrementing enrollment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Decrement enrolled count (when a student drops)
+     */
+    static async decrementEnrolled(id) {
+        try {
+            const sql = 'UPDATE course_offerings SET enrolled = enrolled - 1 WHERE id = ? AND enrolled > 0';
+            const result = await runAsync(sql, [id]);
+
+            if (result.changes === 0) {
+                throw createHttpError(409, 'No students enrolled or offering does not exist');
+            }
+
+            return await this.findById(id);
+        } catch (error) {
+            console.error('Error decrementing enrollment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if offering has available seats
+     */
+    static async hasAvailableSeats(id) {
+        try {
+            const offering = await this.findById(id);
+            return offering && offering.enrolled < offering.capacity;
+        } catch (error) {
+            console.error('Error checking available seats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the instructors of an offering
+     */
+    static async getInstructors(offeringId) {
+        try {
+            const sql = `
+                SELECT p.*, oi.role
+                FROM professors p
+                JOIN offering_instructors oi ON p.id = oi.professor_id
+                WHERE oi.offering_id = ?
+                ORDER BY
+                    CASE oi.role
+                        WHEN 'Primary Instructor' THEN 1
+                        WHEN 'Instructor' THEN 2
+                        WHEN 'Teaching Assistant' THEN 3
+                        ELSE 4
+                    END
+            `;
+            return await allAsync(sql, [offeringId]);
+        } catch (error) {
+            console.error('Error getting offering instructors:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign an instructor to an offering
+     * Also links them to the catalog course so course-level listings include them,
+     * which is recorded in the course history
+     */
+    static async addInstructor(offeringId, professorId, role = 'Instructor', audit = {}) {
+        try {
+            const offering = await getAsync('SELECT course_id FROM course_offerings WHERE id = ?', [offeringId]);
+            if (!offering) {
+                throw createHttpError(404, 'Offering not found');
+            }
+
+            await withTransaction(() => Revision.recordCourseChange(offering.course_id, audit,
+                () => this.linkInstructor(offering.course_id, offeringId, professorId, role)));
+            return await this.getInstructors(offeringId);
+        } catch (error) {
+            console.error('Error adding instructor to offering:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an instructor from an offering
+     */
+    static async removeInstructor(offeringId, professorId) {
+        try {
+            await runAsync(
+                'DELETE FROM offering_instructors WHERE offering_id = ? AND professor_id = ?',
+                [offeringId, professorId]
+            );
+            return await this.getInstructors(offeringId);
+        } catch (error) {
+            console.error('Error removing instructor from offering:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Insert the offering and catalog instructor links
+     */
+    static async linkInstructor(courseId, offeringId, professorId, role) {
+        await runAsync(
+            'INSERT OR IGNORE INTO offering_instructors (offering_id, professor_id, role) VALUES (?, ?, ?)',
+            [offeringId, professorId, role]
+        );
+        await runAsync(
+            'INSERT OR IGNORE INTO course_professors (course_id, professor_id, role) VALUES (?, ?, ?)',
+            [courseId, professorId, role]
+        );
+    }
+}
+
+module.exports = Offering;
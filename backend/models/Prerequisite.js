@@ -0,0 +1,398 @@
+// backend/models/Prerequisite.js
+const { runAsync, getAsync, allAsync } = require('../config/database');
+const { createHttpError } = require('../utils/httpError');
+const { normalizeCourseCode, extractCourseCode } = require('../utils/courseCode');
+const { isValidGrade, normalizeGrade } = require('../utils/grades');
+
+const RELATION_TYPES = ['prerequisite', 'corequisite'];
+
+// Free-text values that mean "no prerequisites"
+const NONE_PATTERN = /^\s*(none|n\/a|-)?\s*\.?\s*$/i;
+
+// Minimum grades written as "COMP 1020 (C+)" or "a minimum grade of C in COMP 1020"
+const GRADE_PATTERN = /(?:\(\s*|grade of\s+)([A-D]\+?)(?![A-Za-z0-9])/i;
+
+/**
+ * Prerequisites are stored in conjunctive form: every group must be satisfied,
+ * and a group is satisfied by any one of its courses.
+ *
+ * Group shape used throughout this model:
+ *   { type: 'prerequisite' | 'corequisite', courses: [{ code, min_grade }] }
+ */
+class Prerequisite {
+
+    /**
+     * Parse free-text prerequisites ("COMP 1020 (C) or COMP 1021; MATH 1240")
+     * Clauses separated by ";", "," or "and" are all required,
+     * alternatives separated by "or" or "/" satisfy a clause
+     */
+    static parse(text) {
+        if (!text || NONE_PATTERN.test(text)) {
+            return [];
+        }
+
+        const groups = [];
+        const clauses = String(text).split(/;|,|&|\band\b/i);
+
+        for (const clause of clauses) {
+            const type = /co-?requisite|concurrent/i.test(clause) ? 'corequisite' : 'prerequisite';
+            const courses = [];
+
+            for (const alternative of clause.split(/\bor\b|\//i)) {
+                const code = extractCourseCode(alternative);
+                if (!code) continue;
+
+                const gradeMatch = alternative.match(GRADE_PATTERN);
+                courses.push({
+                    code,
+                    min_grade: gradeMatch ? normalizeGrade(gradeMatch[1]) : null
+                });
+            }
+
+            if (courses.length > 0) {
+                groups.push({ type, courses });
+            }
+        }
+
+        return groups;
+    }
+
+    /**
+     * Turn structured groups back into display text
+     */
+    static format(groups) {
+        if (!groups || groups.length === 0) {
+            return 'None';
+        }
+
+        return groups.map(group => {
+            const options = group.courses
+                .map(course => course.min_grade ? `${course.code} (${course.min_grade})` : course.code)
+                .join(' or ');
+            return group.type === 'corequisite' ? `Corequisite: ${options}` : options;
+        }).join('; ');
+    }
+
+    /**
+     * Text to keep in courses.prerequisites for display
+     * Free text is stored as given, structured input is formatted
+     */
+    static toText(input) {
+        if (input === undefined || input === null) {
+            return null;
+        }
+        return typeof input === 'string' ? input : this.format(this.normalize(input));
+    }
+
+    /**
+     * Normalize free text or structured input into groups
+     * Structured courses can be given as codes or { code, min_grade } objects
+     */
+    static normalize(input) {
+        if (input === undefined || input === null) {
+            return [];
+        }
+        if (typeof input === 'string') {
+            return this.parse(input);
+        }
+        if (!Array.isArray(input)) {
+            throw createHttpError(400, 'Prerequisites must be text or an array of requirement groups');
+        }
+
+        return input.map(group => {
+            const type = group.type || 'prerequisite';
+            if (!RELATION_TYPES.includes(type)) {
+                throw createHttpError(400, `Invalid prerequisite type: ${type}`);
+            }
+            if (!Array.isArray(group.courses) || group.courses.length === 0) {
+                throw createHttpError(400, 'Each prerequisite group needs at least one course');
+            }
+
+            const courses = group.courses.map(course => {
+                const code = normalizeCourseCode(typeof course === 'string' ? course : course.code);
+                const minGrade = typeof course === 'string' ? null : normalizeGrade(course.min_grade);
+                if (minGrade && !isValidGrade(minGrade)) {
+                    throw createHttpError(400, `Invalid minimum grade for ${code}: ${minGrade}`);
+                }
+                return { code, min_grade: minGrade };
+            });
+
+            return { type, courses };
+        });
+    }
+
+    /**
+     * Look up the course IDs for every code in the groups
+     * Throws a 400 listing any codes that are not in the catalog
+     */
+    static async resolve(groups) {
+        try {
+            const codes = [...new Set(groups.flatMap(group => group.courses.map(course => course.code)))];
+            if (codes.length === 0) {
+                return [];
+            }
+
+            const placeholders = codes.map(() => '?').join(', ');
+            const rows = await allAsync(
+                `SELECT id, course_code FROM courses WHERE course_code IN (${placeholders})`,
+                codes
+            );
+            const idsByCode = new Map(rows.map(row => [row.course_code, row.id]));
+
+            const unknown = codes.filter(code => !idsByCode.has(code));
+            if (unknown.length > 0) {
+                throw createHttpError(400, `Unknown prerequisite course codes: ${unknown.join(', ')}`);
+            }
+
+            return groups.map(group => ({
+                ...group,
+                courses: group.courses.map(course => ({ ...course, id: idsByCode.get(course.code) }))
+            }));
+        } catch (error) {
+            console.error('Error resolving prerequisites:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reject requirements that would make a course (indirectly) require itself
+     * Only prerequisite links count, co-requisites may legitimately point at each other
+     */
+    static async assertNoCycles(courseId, resolvedGroups) {
+        try {
+            for (const group of resolvedGroups) {
+                if (group.type !== 'prerequisite') continue;
+
+                for (const course of group.courses) {
+                    if (Number(course.id) === Number(courseId)) {
+                        throw createHttpError(400, `A course cannot be its own prerequisite (${course.code})`);
+                    }
+
+                    const cycle = await getAsync(`
+                        WITH RECURSIVE required(course_id) AS (
+                            SELECT ?
+                            UNION
+                            SELECT cp.prerequisite_id
+                            FROM course_prerequisites cp
+                            JOIN required r ON cp.course_id = r.course_id
+                            WHERE cp.relation_type = 'prerequisite'
+                        )
+                        SELECT 1 as found FROM required WHERE course_id = ? LIMIT 1
+                    `, [course.id, courseId]);
+
+                    if (cycle) {
+                        throw createHttpError(400, `Prerequisite cycle: ${course.code} already requires this course`);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error checking prerequisite cycles:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace all requirements of a course
+     * Does not open its own transaction, callers (Course.create/update) wrap it in theirs
+     * @param {number} courseId - Course whose requirements are replaced
+     * @param {string|Array} input - Free text or structured groups
+     */
+    static async replaceForCourse(courseId, input) {
+        try {
+            const groups = await this.resolve(this.normalize(input));
+            await this.assertNoCycles(courseId, groups);
+
+            await runAsync('DELETE FROM course_prerequisites WHERE course_id = ?', [courseId]);
+
+            for (const [index, group] of groups.entries()) {
+                for (const course of group.courses) {
+                    await runAsync(`
+                        INSERT OR IGNORE INTO course_prerequisites
+                        (course_id, prerequisite_id, group_number, relation_type, min_grade)
+                        VALUES (?, ?, ?, ?, ?)
+                    `, [courseId, course.id, index + 1, group.type, course.min_grade]);
+                }
+            }
+
+            return groups;
+        } catch (error) {
+            console.error('Error replacing prerequisites:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the direct requirements of a course as groups
+     */
+    static async findByCourse(courseId) {
+        try {
+            const rows = await allAsync(`
+                SELECT cp.*, c.course_code, c.course_name
+                FROM course_prerequisites cp
+                JOIN courses c ON cp.prerequisite_id = c.id
+                WHERE cp.course_id = ?
+                ORDER BY cp.group_number, c.course_code
+            `, [courseId]);
+
+            return this.groupRows(rows);
+        } catch (error) {
+            console.error('Error finding prerequisites:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the full recursive requirement tree of a course
+     * Courses already on the current path are marked with cycle: true instead of expanded
+     */
+    static async getTree(courseId) {
+        try {
+            const course = await getAsync(
+                'SELECT id, course_code, course_name FROM courses WHERE id = ?',
+                [courseId]
+            );
+            if (!course) return null;
+
+            // Load every link reachable from this course in one query
+            const rows = await allAsync(`
+                WITH RECURSIVE reachable(course_id) AS (
+                    SELECT ?
+                    UNION
+                    SELECT cp.prerequisite_id
+                    FROM course_prerequisites cp
+                    JOIN reachable r ON cp.course_id = r.course_id
+                )
+                SELECT cp.*, c.course_code, c.course_name
+                FROM course_prerequisites cp
+                JOIN courses c ON cp.prerequisite_id = c.id
+                WHERE cp.course_id IN (SELECT course_id FROM reachable)
+                ORDER BY cp.course_id, cp.group_number, c.course_code
+            `, [courseId]);
+
+            const rowsByCourse = new Map();
+            for (const row of rows) {
+                if (!rowsByCourse.has(row.course_id)) {
+                    rowsByCourse.set(row.course_id, []);
+                }
+                rowsByCourse.get(row.course_id).push(row);
+            }
+
+            const build = (node, path) => {
+                const groups = this.groupRows(rowsByCourse.get(node.id) || []);
+                return {
+                    ...node,
+                    requirements: groups.map(group => ({
+                        ...group,
+                        courses: group.courses.map(option => {
+                            if (path.has(option.id)) {
+                                return { ...option, cycle: true, requirements: [] };
+                            }
+                            return build(option, new Set([...path, option.id]));
+                        })
+                    }))
+                };
+            };
+
+            return build(course, new Set([course.id]));
+        } catch (error) {
+            console.error('Error building prerequisite tree:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the courses that list this course as a requirement
+     * sole_option is true when this course is the only way to satisfy that group
+     */
+    static async getUnlocks(courseId) {
+        try {
+            return await allAsync(`
+                SELECT
+                    c.id,
+                    c.course_code,
+                    c.course_name,
+                    c.department,
+                    cp.relation_type,
+                    cp.min_grade,
+                    cp.group_number,
+                    (
+                        SELECT COUNT(*) FROM course_prerequisites other
+                        WHERE other.course_id = cp.course_id
+                          AND other.group_number = cp.group_number
+                    ) = 1 as sole_option
+                FROM course_prerequisites cp
+                JOIN courses c ON cp.course_id = c.id
+                WHERE cp.prerequisite_id = ?
+                ORDER BY c.course_code
+            `, [courseId]);
+        } catch (error) {
+            console.error('Error getting unlocked courses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse the free-text prerequisites of every course into course_prerequisites
+     * Unknown codes and cycles are skipped and reported instead of aborting the run
+     */
+    static async backfillFromText() {
+        try {
+            const courses = await allAsync(
+                'SELECT id, course_code, prerequisites FROM courses ORDER BY course_code'
+            );
+            const summary = { linked: 0, skipped: [] };
+
+            for (const course of courses) {
+                const groups = this.parse(course.prerequisites);
+                const known = [];
+
+                for (const group of groups) {
+                    try {
+                        const [resolved] = await this.resolve([group]);
+                        known.push(resolved);
+                    } catch (error) {
+                        summary.skipped.push({ course_code: course.course_code, reason: error.message });
+                    }
+                }
+
+                try {
+                    await this.replaceForCourse(course.id, known.map(({ type, courses }) => ({
+                        type,
+                        courses: courses.map(({ code, min_grade }) => ({ code, min_grade }))
+                    })));
+                    if (known.length > 0) summary.linked++;
+                } catch (error) {
+                    summary.skipped.push({ course_code: course.course_code, reason: error.message });
+                }
+            }
+
+            return summary;
+        } catch (error) {
+            console.error('Error backfilling prerequisites:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Group course_prerequisites rows (joined with courses) by group number
+     */
+    static groupRows(rows) {
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.group_number)) {
+                groups.set(row.group_number, { type: row.relation_type, courses: [] });
+            }
+            groups.get(row.group_number).courses.push({
+                id: row.prerequisite_id,
+                course_code: row.course_code,
+                course_name: row.course_name,
+                min_grade: row.min_grade
+            });
+        }
+        return [...groups.values()];
+    }
+}
+
+Prerequisite.RELATION_TYPES = RELATION_TYPES;
+
+module.exports = Prerequisite;
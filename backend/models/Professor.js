@@ -1,27 +1,53 @@
 // backend/models/Professor.js
-const { runAsync, getAsync, allAsync } = require('../config/database');
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const { HIGHLIGHT_START, HIGHLIGHT_END, buildMatchQuery } = require('../utils/search');
+const { buildOrderBy } = require('../utils/pagination');
+const { createHttpError } = require('../utils/httpError');
+const Revision = require('./Revision');
+
+// Sort keys accepted by findAll, with the direction used when no order is given
+const SORTS = {
+    name: { column: 'professors.name', order: 'asc' },
+    department: { column: 'professors.department', order: 'asc' },
+    rating: { column: 'stats.avg_rating', order: 'desc' },
+    difficulty: { column: 'stats.avg_difficulty', order: 'asc' },
+    reviews: { column: 'stats.review_count', order: 'desc' },
+    courses: { column: 'stats.course_count', order: 'desc' }
+};
 
 class Professor {
     /**
      * Find all professors
+     * A search matches name, department and course codes taught, ranked by relevance
+     * @param {Object} filters - { search, department, includeArchived }
+     * @param {Object} options - { sort, order, limit, offset }, every row when limit is omitted
      */
-    static async findAll(filters = {}) {
+    static async findAll(filters = {}, options = {}) {
         try {
-            let sql = 'SELECT * FROM professors WHERE 1=1';
-            const params = [];
+            const { source, where, params, match } = this.buildFilterQuery(filters);
 
-            if (filters.department) {
-                sql += ' AND department = ?';
-                params.push(filters.department);
+            let columns = `professors.*, stats.course_count, stats.review_count,
+                stats.avg_rating, stats.avg_difficulty, stats.recommend_rate`;
+            if (match) {
+                columns += ', s.search_rank, s.name_highlight';
             }
 
-            if (filters.search) {
-                sql += ' AND (name LIKE ? OR department LIKE ?)';
-                const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm);
+            const sorts = match ? { ...SORTS, relevance: { column: 's.search_rank', order: 'asc' } } : SORTS;
+            const sort = options.sort === 'relevance' && !match ? 'name' : options.sort;
+
+            let sql = `
+                SELECT ${columns}
+                FROM ${source}
+                LEFT JOIN professor_stats stats ON stats.id = professors.id
+                WHERE ${where}
+                ORDER BY ${buildOrderBy(sorts, sort, options.order, match ? 'relevance' : 'name')}, professors.name
+            `;
+
+            if (options.limit) {
+                sql += ' LIMIT ? OFFSET ?';
+                params.push(options.limit, options.offset || 0);
             }
 
-            sql += ' ORDER BY name';
             return await allAsync(sql, params);
         } catch (error) {
             console.error('Error finding professors:', error);
@@ -29,6 +55,51 @@ class Professor {
         }
     }
 
+    /**
+     * Count the professors matching the same filters as findAll
+     */
+    static async count(filters = {}) {
+        try {
+            const { source, where, params } = this.buildFilterQuery(filters);
+            const row = await getAsync(`SELECT COUNT(*) as total FROM ${source} WHERE ${where}`, params);
+            return row.total;
+        } catch (error) {
+            console.error('Error counting professors:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the FROM source and WHERE clause shared by findAll and count
+     * Archived professors are left out unless includeArchived is set
+     */
+    static buildFilterQuery(filters = {}) {
+        let source = 'professors';
+        let where = filters.includeArchived ? '1=1' : 'professors.archived_at IS NULL';
+        const params = [];
+
+        const match = buildMatchQuery(filters.search);
+        if (match) {
+            source += `
+                JOIN (
+                    SELECT rowid as id,
+                        bm25(professors_fts, 10.0, 2.0, 3.0) as search_rank,
+                        highlight(professors_fts, 0, ?, ?) as name_highlight
+                    FROM professors_fts
+                    WHERE professors_fts MATCH ?
+                ) s ON s.id = professors.id
+            `;
+            params.push(HIGHLIGHT_START, HIGHLIGHT_END, match);
+        }
+
+        if (filters.department) {
+            where += ' AND professors.department = ?';
+            params.push(filters.department);
+        }
+
+        return { source, where, params, match };
+    }
+
     /**
      * Find professor by ID
      */
@@ -57,18 +128,35 @@ class Professor {
 
     /**
      * Create a new professor
+     * @param {Object} audit - { userId } of who made the change, for the professor history
      */
-    static async create(professorData) {
+    static async create(professorData, audit = {}) {
         try {
             const { name, department, email, office } = professorData;
 
-            const sql = `
-                INSERT INTO professors (name, department, email, office)
-                VALUES (?, ?, ?, ?)
-            `;
+            const professorId = await withTransaction(async () => {
+                const sql = `
+                    INSERT INTO professors (name, department, email, office)
+                    VALUES (?, ?, ?, ?)
+                `;
 
-            const result = await runAsync(sql, [name, department, email, office]);
-            return await this.findById(result.id);
+                let result;
+                try {
+                    result = await runAsync(sql, [name, department, email, office]);
+                } catch (error) {
+                    if (error.code === 'SQLITE_CONSTRAINT' && error.message.includes('UNIQUE')) {
+                        throw createHttpError(409, `${name} (${department}) is already listed`);
+                    }
+                    throw error;
+                }
+                await Revision.record('professor', result.id, {
+                    action: 'create',
+                    userId: audit.userId,
+                    after: await Revision.snapshotProfessor(result.id)
+                });
+                return result.id;
+            });
+            return await this.findById(professorId);
         } catch (error) {
             console.error('Error creating professor:', error);
             throw error;
@@ -77,18 +165,34 @@ class Professor {
 
     /**
      * Update professor
+     * The change is recorded in the professor history (see Revision)
+     * @param {Object} audit - { userId, action, revertedFrom } for the history entry
      */
-    static async update(id, professorData) {
+    static async update(id, professorData, audit = {}) {
         try {
             const { name, department, email, office } = professorData;
 
-            const sql = `
-                UPDATE professors 
-                SET name = ?, department = ?, email = ?, office = ?
-                WHERE id = ?
-            `;
+            await withTransaction(async () => {
+                const before = await Revision.snapshotProfessor(id);
+                if (!before) {
+                    throw createHttpError(404, 'Professor not found');
+                }
+
+                const sql = `
+                    UPDATE professors 
+                    SET name = ?, department = ?, email = ?, office = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `;
 
-            await runAsync(sql, [name, department, email, office, id]);
+                await runAsync(sql, [name, department, email, office, id]);
+                await Revision.record('professor', id, {
+                    action: audit.action || 'update',
+                    userId: audit.userId,
+                    revertedFrom: audit.revertedFrom,
+                    before,
+                    after: await Revision.snapshotProfessor(id)
+                });
+            });
             return await this.findById(id);
         } catch (error) {
             console.error('Error updating professor:', error);
@@ -97,31 +201,90 @@ class Professor {
     }
 
     /**
-     * Delete professor
+     * Restore a professor to an earlier version of their history
+     * The revert is itself a new version
+     */
+    static async revert(id, version, userId = null) {
+        try {
+            const revision = await Revision.findVersion('professor', id, version);
+            if (!revision) {
+                throw createHttpError(404, `Version ${version} not found`);
+            }
+
+            return await this.update(id, revision.snapshot, {
+                action: 'revert',
+                userId,
+                revertedFrom: revision.version
+            });
+        } catch (error) {
+            console.error('Error reverting professor:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Archive a professor instead of deleting them
+     * Their reviews and history are kept and they can be restored.
+     * Professors still linked to a course that is not archived cannot be archived
      */
-    static async delete(id) {
+    static async archive(id) {
         try {
-            // Check if professor is linked to any courses
-            const courseCheck = await getAsync(
-                'SELECT COUNT(*) as count FROM course_professors WHERE professor_id = ?',
+            const professor = await this.findById(id);
+            if (!professor) {
+                throw createHttpError(404, 'Professor not found');
+            }
+            if (professor.archived_at) {
+                throw createHttpError(409, `${professor.name} is already archived`);
+            }
+
+            const courseCheck = await getAsync(`
+                SELECT COUNT(*) as count
+                FROM course_professors cp
+                JOIN courses c ON c.id = cp.course_id
+                WHERE cp.professor_id = ? AND c.archived_at IS NULL
+            `, [id]);
+            if (courseCheck.count > 0) {
+                throw createHttpError(409, 'Cannot archive professor who is teaching courses');
+            }
+
+            await runAsync(
+                'UPDATE professors SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [id]
             );
+            return await this.findById(id);
+        } catch (error) {
+            console.error('Error archiving professor:', error);
+            throw error;
+        }
+    }
 
-            if (courseCheck.count > 0) {
-                throw new Error('Cannot delete professor who is teaching courses');
+    /**
+     * Bring an archived professor back into listings and searches
+     */
+    static async restore(id) {
+        try {
+            const professor = await this.findById(id);
+            if (!professor) {
+                throw createHttpError(404, 'Professor not found');
+            }
+            if (!professor.archived_at) {
+                throw createHttpError(409, `${professor.name} is not archived`);
             }
 
-            const sql = 'DELETE FROM professors WHERE id = ?';
-            const result = await runAsync(sql, [id]);
-            return result.changes > 0;
+            await runAsync(
+                'UPDATE professors SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [id]
+            );
+            return await this.findById(id);
         } catch (error) {
-            console.error('Error deleting professor:', error);
+            console.error('Error restoring professor:', error);
             throw error;
         }
     }
 
     /**
      * Get courses taught by professor
+     * Archived courses are left out, as in the course list
      */
     static async getCourses(professorId) {
         try {
@@ -129,8 +292,8 @@ class Professor {
                 SELECT c.*, cp.role
                 FROM courses c
                 JOIN course_professors cp ON c.id = cp.course_id
-                WHERE cp.professor_id = ?
-                ORDER BY c.year DESC, c.semester
+                WHERE cp.professor_id = ? AND c.archived_at IS NULL
+                ORDER BY c.course_code
             `;
             return await allAsync(sql, [professorId]);
         } catch (error) {
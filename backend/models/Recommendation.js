@@ -0,0 +1,131 @@
+// backend/models/Recommendation.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const { DEFAULT_LIMIT } = require('../utils/pagination');
+
+// How much a course a student took counts for similarity: their review rating
+// scaled to 0.2-1.0, or a neutral 0.6 (a 3/5) when they took it without reviewing
+const UNRATED_WEIGHT = 0.6;
+
+// Every course a user took (any enrollment that was not dropped, or a review)
+// with its rating weight
+const INTERACTIONS = `
+    SELECT taken.user_id, taken.course_id, COALESCE(rated.weight, ${UNRATED_WEIGHT}) as weight
+    FROM (
+        SELECT user_id, course_id FROM enrollments WHERE status != 'dropped'
+        UNION
+        SELECT user_id, course_id FROM reviews WHERE hidden_at IS NULL
+    ) taken
+    LEFT JOIN (
+        SELECT user_id, course_id, AVG(rating) / 5.0 as weight
+        FROM reviews
+        WHERE rating IS NOT NULL AND hidden_at IS NULL
+        GROUP BY user_id, course_id
+    ) rated ON rated.user_id = taken.user_id AND rated.course_id = taken.course_id
+`;
+
+/**
+ * Item-to-item course recommendations.
+ *
+ * Each course is a vector over students with rating weights, and two courses
+ * are as similar as the cosine of their vectors, so pairs taken together by
+ * many students who liked both score highest. Scores are precomputed into
+ * course_similarities by rebuild() and only read at request time.
+ */
+class Recommendation {
+
+    /**
+     * Recompute course_similarities from enrollments and reviews in one transaction
+     * @returns {Object} { pairs, computed_at }
+     */
+    static async rebuild() {
+        try {
+            const pairs = await withTransaction(async () => {
+                await runAsync('DELETE FROM course_similarities');
+                const result = await runAsync(`
+                    INSERT INTO course_similarities (course_id, related_course_id, co_count, score)
+                    WITH interactions AS (${INTERACTIONS}),
+                    norms AS (
+                        SELECT course_id, SQRT(SUM(weight * weight)) as norm
+                        FROM interactions
+                        GROUP BY course_id
+                    )
+                    SELECT a.course_id, b.course_id, COUNT(*),
+                           SUM(a.weight * b.weight) / (na.norm * nb.norm)
+                    FROM interactions a
+                    JOIN interactions b ON b.user_id = a.user_id AND b.course_id != a.course_id
+                    JOIN norms na ON na.course_id = a.course_id
+                    JOIN norms nb ON nb.course_id = b.course_id
+                    GROUP BY a.course_id, b.course_id
+                `);
+
+                return result.changes;
+            });
+            return { pairs, computed_at: await this.lastComputedAt() };
+        } catch (error) {
+            console.error('Error rebuilding recommendations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * When the similarities were last rebuilt (null if never)
+     */
+    static async lastComputedAt() {
+        const row = await getAsync('SELECT MAX(computed_at) as computed_at FROM course_similarities');
+        return row.computed_at;
+    }
+
+    /**
+     * Courses most often taken (and liked) together with a course, archived ones left out
+     */
+    static async findRelated(courseId, limit = DEFAULT_LIMIT) {
+        try {
+            const sql = `
+                SELECT cd.*, s.score, s.co_count
+                FROM course_similarities s
+                JOIN course_details cd ON cd.id = s.related_course_id
+                WHERE s.course_id = ? AND cd.archived_at IS NULL
+                ORDER BY s.score DESC, s.co_count DESC, cd.course_code
+                LIMIT ?
+            `;
+            return await allAsync(sql, [courseId, limit]);
+        } catch (error) {
+            console.error('Error finding related courses:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recommend courses for a user from everything they have taken
+     * A candidate's score is the rating-weighted sum of its similarity to each of
+     * the user's courses. Courses the user completed, is taking or reviewed are left out,
+     * and so are archived courses.
+     * based_on lists the user's courses that led to the recommendation
+     */
+    static async findForUser(userId, limit = DEFAULT_LIMIT) {
+        try {
+            const sql = `
+                WITH taken AS (
+                    SELECT * FROM (${INTERACTIONS}) WHERE user_id = ?
+                )
+                SELECT cd.*, SUM(t.weight * s.score) as score,
+                       GROUP_CONCAT(source.course_code, ', ') as based_on
+                FROM taken t
+                JOIN course_similarities s ON s.course_id = t.course_id
+                JOIN courses source ON source.id = t.course_id
+                JOIN course_details cd ON cd.id = s.related_course_id
+                WHERE s.related_course_id NOT IN (SELECT course_id FROM taken)
+                  AND cd.archived_at IS NULL
+                GROUP BY s.related_course_id
+                ORDER BY score DESC, cd.course_code
+                LIMIT ?
+            `;
+            return await allAsync(sql, [userId, limit]);
+        } catch (error) {
+            console.error('Error finding recommendations for user:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Recommendation;
@@ -0,0 +1,504 @@
+// backend/models/Review.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const Revision = require('./Revision');
+const Offering = require('./Offering');
+const CommentScreening = require('./CommentScreening');
+const { createHttpError } = require('../utils/httpError');
+const { SEMESTERS, isValidSemester, termDates } = require('../utils/terms');
+const { buildOrderBy } = require('../utils/pagination');
+
+// Longest accepted comment, in characters
+const MAX_COMMENT_LENGTH = 5000;
+
+// Reviews with author, course and professor names and their vote totals
+// my_vote is the vote (1 or -1) of the user given as the first parameter
+const REVIEW_SELECT = `
+    SELECT r.*, u.name as user_name, c.course_code, c.course_name, p.name as professor_name, o.section,
+           COALESCE(v.helpful_count, 0) as helpful_count,
+           COALESCE(v.unhelpful_count, 0) as unhelpful_count,
+           mine.vote as my_vote
+    FROM reviews r
+    JOIN users u ON r.user_id = u.id
+    JOIN courses c ON r.course_id = c.id
+    LEFT JOIN professors p ON r.professor_id = p.id
+    LEFT JOIN course_offerings o ON r.offering_id = o.id
+    LEFT JOIN (
+        SELECT review_id, SUM(vote = 1) as helpful_count, SUM(vote = -1) as unhelpful_count
+        FROM review_votes
+        GROUP BY review_id
+    ) v ON v.review_id = r.id
+    LEFT JOIN review_votes mine ON mine.review_id = r.id AND mine.user_id = ?
+`;
+
+// Reviews everyone can see, plus the hidden ones of the user given as parameter
+const VISIBLE = '(r.hidden_at IS NULL OR r.user_id = ?)';
+
+// Sort keys accepted by the review lists, ties go to the newest review
+const SORTS = {
+    recent: { column: 'r.created_at', order: 'desc' },
+    helpful: { column: 'COALESCE(v.helpful_count, 0) - COALESCE(v.unhelpful_count, 0)', order: 'desc' },
+    rating_high: { column: 'r.rating', order: 'desc' },
+    rating_low: { column: 'r.rating', order: 'asc' }
+};
+
+// Whether a request value was filled in
+const isGiven = (value) => value !== undefined && value !== null && value !== '';
+
+// Number from a request value holding a whole number, NaN for anything else
+const toWholeNumber = (value) => ((typeof value === 'number' || typeof value === 'string') && /^\s*\d+\s*$/.test(String(value))
+    ? Number(value)
+    : NaN);
+
+// Boolean from a request value (true/false, 1/0 or their strings), null for anything else
+const toBoolean = (value) => {
+    if ([true, 1, 'true', '1'].includes(value)) return true;
+    if ([false, 0, 'false', '0'].includes(value)) return false;
+    return null;
+};
+
+/**
+ * Writing, editing and deleting reviews.
+ *
+ * Request bodies are checked by validate(), which answers 422 with a message
+ * per invalid field instead of letting the database reject them.
+ *
+ * Every edit is stored in review_revisions (snapshot after the change and the
+ * field-level changes, see Revision.js), so earlier wordings and ratings of a
+ * review stay visible to its author and to admins.
+ *
+ * Reviews hidden by a moderator (see ReviewModeration.js) are left out of every
+ * list except for their author, who sees hidden_at, hidden_reason and hidden_note.
+ */
+class Review {
+
+    /**
+     * Reviews of one or more courses (a course and its equivalents)
+     * @param {Object} filters - { professorId, offeringId }
+     * @param {Object} options - { sort: recent|helpful|rating_high|rating_low, userId } where
+     * userId is the user whose votes are returned as my_vote
+     */
+    static async findByCourses(courseIds, filters = {}, options = {}) {
+        try {
+            const userId = options.userId || null;
+            let sql = `${REVIEW_SELECT} WHERE r.course_id IN (${courseIds.map(() => '?').join(', ')}) AND ${VISIBLE}`;
+            const params = [userId, ...courseIds, userId];
+
+            if (filters.professorId) {
+                sql += ' AND r.professor_id = ?';
+                params.push(filters.professorId);
+            }
+            if (filters.offeringId) {
+                sql += ' AND r.offering_id = ?';
+                params.push(filters.offeringId);
+            }
+
+            sql += ` ORDER BY ${buildOrderBy(SORTS, options.sort, null, 'recent')}, r.created_at DESC, r.id DESC`;
+            return await allAsync(sql, params);
+        } catch (error) {
+            console.error('Error finding course reviews:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reviews of a professor
+     * @param {Object} options - { sort, userId } as for findByCourses
+     */
+    static async findByProfessor(professorId, options = {}) {
+        try {
+            const userId = options.userId || null;
+            return await allAsync(
+                `${REVIEW_SELECT} WHERE r.professor_id = ? AND ${VISIBLE}
+                 ORDER BY ${buildOrderBy(SORTS, options.sort, null, 'recent')}, r.created_at DESC, r.id DESC`,
+                [userId, professorId, userId]
+            );
+        } catch (error) {
+            console.error('Error finding professor reviews:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every review a user wrote, newest first, including the ones hidden by moderators
+     */
+    static async findByUser(userId) {
+        try {
+            return await allAsync(`${REVIEW_SELECT} WHERE r.user_id = ? ORDER BY r.created_at DESC, r.id DESC`, [userId, userId]);
+        } catch (error) {
+            console.error('Error finding user reviews:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a review with its names and vote totals
+     * @param {number} userId - User whose vote is returned as my_vote
+     */
+    static async findById(id, userId = null) {
+        try {
+            return await getAsync(`${REVIEW_SELECT} WHERE r.id = ?`, [userId, id]);
+        } catch (error) {
+            console.error('Error finding review by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a review of a course
+     * The review is linked to the offering it was written for, either given
+     * directly (offeringId) or looked up from semesterTaken/yearTaken
+     * @param {Object} data - { rating, difficulty, comment, wouldRecommend, hoursPerWeek,
+     * professorId, offeringId, semesterTaken, yearTaken }
+     */
+    static async create(courseId, data, user) {
+        try {
+            const course = await getAsync('SELECT id, course_code FROM courses WHERE id = ?', [courseId]);
+            if (!course) {
+                throw createHttpError(404, 'Course not found');
+            }
+
+            const values = await this.validate(course, data, { userId: user.id });
+            const duplicate = createHttpError(409, `You have already reviewed ${course.course_code} for this professor and term`);
+
+            const id = await withTransaction(async () => {
+                // The UNIQUE constraint treats NULLs as distinct, a review without a
+                // professor or term would never collide with it
+                const existing = await getAsync(`
+                    SELECT id FROM reviews
+                    WHERE user_id = ? AND course_id = ? AND professor_id IS ? AND semester_taken IS ? AND year_taken IS ?
+                `, [user.id, course.id, values.professor_id, values.semester_taken, values.year_taken]);
+                if (existing) {
+                    throw duplicate;
+                }
+
+                try {
+                    const result = await runAsync(`
+                        INSERT INTO reviews
+                        (user_id, course_id, offering_id, professor_id, rating, difficulty, comment, would_recommend, hours_per_week,
+                         semester_taken, year_taken, screening_flags)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [user.id, course.id, values.offering_id, values.professor_id, values.rating, values.difficulty, values.comment,
+                        values.would_recommend, values.hours_per_week, values.semester_taken, values.year_taken, values.screening_flags]);
+                    return result.id;
+                } catch (error) {
+                    if (error.code === 'SQLITE_CONSTRAINT' && error.message.includes('UNIQUE')) {
+                        throw duplicate;
+                    }
+                    throw error;
+                }
+            });
+            return await this.findById(id);
+        } catch (error) {
+            console.error('Error creating review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a review of a course, 404 when it does not exist, belongs to another
+     * course or is hidden from the user (only its author and admins see hidden reviews)
+     */
+    static async findForCourse(courseId, reviewId, user) {
+        const review = await this.findById(reviewId, user.id);
+        if (!review || String(review.course_id) !== String(courseId)) {
+            throw createHttpError(404, 'Review not found');
+        }
+        if (review.hidden_at && review.user_id !== user.id && user.role !== 'admin') {
+            throw createHttpError(404, 'Review not found');
+        }
+        return review;
+    }
+
+    /**
+     * Update a review, only its author can
+     * Fields missing from data keep their value, nothing is recorded when nothing changed
+     * @param {Object} data - { rating, difficulty, comment, wouldRecommend, hoursPerWeek }
+     */
+    static async update(courseId, reviewId, data, user) {
+        try {
+            const review = await this.findForCourse(courseId, reviewId, user);
+            if (review.user_id !== user.id) {
+                throw createHttpError(403, 'You can only edit your own reviews');
+            }
+
+            const updates = await this.validate(
+                { id: review.course_id, course_code: review.course_code },
+                data,
+                { partial: true, userId: user.id }
+            );
+            const before = Revision.pick('review', review);
+            const after = Revision.pick('review', { ...before, ...updates });
+
+            if (Revision.diff('review', before, after).length === 0) {
+                return review;
+            }
+
+            await withTransaction(async () => {
+                const columns = Object.keys(updates);
+                await runAsync(
+                    `UPDATE reviews SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [...columns.map(column => updates[column]), review.id]
+                );
+                await this.recordRevision(review.id, before, after);
+            });
+
+            return await this.findById(review.id, user.id);
+        } catch (error) {
+            console.error('Error updating review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a review with its history, its author or an admin can
+     */
+    static async delete(courseId, reviewId, user) {
+        try {
+            const review = await this.findForCourse(courseId, reviewId, user);
+            if (review.user_id !== user.id && user.role !== 'admin') {
+                throw createHttpError(403, 'You can only delete your own reviews');
+            }
+
+            await runAsync('DELETE FROM reviews WHERE id = ?', [review.id]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Vote a review helpful or not helpful, voting again replaces the vote
+     * Authors cannot vote on their own reviews
+     */
+    static async vote(courseId, reviewId, helpful, user) {
+        try {
+            const review = await this.findForCourse(courseId, reviewId, user);
+            if (review.user_id === user.id) {
+                throw createHttpError(403, 'You cannot vote on your own review');
+            }
+
+            const value = toBoolean(helpful);
+            if (value === null) {
+                throw createHttpError(400, 'helpful must be true or false');
+            }
+
+            await runAsync(`
+                INSERT INTO review_votes (review_id, user_id, vote) VALUES (?, ?, ?)
+                ON CONFLICT(review_id, user_id) DO UPDATE SET vote = excluded.vote, updated_at = CURRENT_TIMESTAMP
+            `, [review.id, user.id, value ? 1 : -1]);
+            return await this.findById(review.id, user.id);
+        } catch (error) {
+            console.error('Error voting on review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Take back a vote on a review
+     */
+    static async removeVote(courseId, reviewId, user) {
+        try {
+            const review = await this.findForCourse(courseId, reviewId, user);
+            const result = await runAsync('DELETE FROM review_votes WHERE review_id = ? AND user_id = ?', [review.id, user.id]);
+            if (result.changes === 0) {
+                throw createHttpError(404, 'You have not voted on this review');
+            }
+            return await this.findById(review.id, user.id);
+        } catch (error) {
+            console.error('Error removing review vote:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Edit history of a review, newest version first, for its author or an admin
+     */
+    static async findHistory(courseId, reviewId, user) {
+        try {
+            const review = await this.findForCourse(courseId, reviewId, user);
+            if (review.user_id !== user.id && user.role !== 'admin') {
+                throw createHttpError(403, 'You can only view the history of your own reviews');
+            }
+
+            const rows = await allAsync(
+                'SELECT * FROM review_revisions WHERE review_id = ? ORDER BY version DESC',
+                [review.id]
+            );
+            return rows.map(row => Revision.parse(row));
+        } catch (error) {
+            console.error('Error finding review history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a review request body, throws a 422 whose details map each invalid field to a message
+     * @param {Object} course - { id, course_code } of the reviewed course
+     * @param {Object} options - { partial } to only check the editable fields present (edits),
+     * { userId } of the author for comment screening
+     * @returns {Object} The checked values keyed by column
+     */
+    static async validate(course, data, options = {}) {
+        const errors = {};
+        const values = {};
+        const given = (key) => isGiven(data[key]);
+        const checked = (key) => !options.partial || data[key] !== undefined;
+
+        ['rating', 'difficulty'].filter(checked).forEach(key => {
+            if (!given(key)) {
+                if (key === 'rating') errors.rating = 'rating is required';
+                else values.difficulty = null;
+                return;
+            }
+            const score = toWholeNumber(data[key]);
+            if (!(score >= 1 && score <= 5)) {
+                errors[key] = `${key} must be a whole number from 1 to 5`;
+            } else {
+                values[key] = score;
+            }
+        });
+
+        if (checked('comment')) {
+            const comment = typeof data.comment === 'string' ? data.comment.trim() : '';
+            if (!comment) {
+                errors.comment = 'comment cannot be empty';
+            } else if (comment.length > MAX_COMMENT_LENGTH) {
+                errors.comment = `comment can be at most ${MAX_COMMENT_LENGTH} characters`;
+            } else {
+                Object.assign(values, await this.screenComment(comment, options.userId, errors));
+            }
+        }
+
+        if (checked('wouldRecommend')) {
+            const recommend = given('wouldRecommend') ? toBoolean(data.wouldRecommend) : true;
+            if (recommend === null) {
+                errors.wouldRecommend = 'wouldRecommend must be true or false';
+            } else {
+                values.would_recommend = recommend ? 1 : 0;
+            }
+        }
+
+        if (checked('hoursPerWeek')) {
+            const hours = given('hoursPerWeek') ? toWholeNumber(data.hoursPerWeek) : null;
+            if (hours !== null && !(hours >= 0 && hours <= 80)) {
+                errors.hoursPerWeek = 'hoursPerWeek must be a whole number of hours between 0 and 80';
+            } else {
+                values.hours_per_week = hours;
+            }
+        }
+
+        if (!options.partial) {
+            Object.assign(values, await this.validateTeaching(course, data, errors));
+        }
+
+        if (Object.keys(errors).length > 0) {
+            throw createHttpError(422, 'Review is invalid', errors);
+        }
+        return values;
+    }
+
+    /**
+     * Run a comment through CommentScreening, adding a message to errors when a rule rejects it
+     * @returns {Object} { comment, screening_flags } where screening_flags is the JSON list of
+     * rules that flagged the comment for moderation, or null
+     */
+    static async screenComment(comment, userId, errors) {
+        const { rejected, flagged } = await CommentScreening.screen(comment, { userId });
+        if (rejected.length > 0) {
+            errors.comment = rejected.map(match => match.message).join('. ');
+            return {};
+        }
+        return { comment, screening_flags: flagged.length > 0 ? JSON.stringify(flagged) : null };
+    }
+
+    /**
+     * Check who taught the reviewed course and when, adding messages to errors
+     * @returns {Object} { professor_id, offering_id, semester_taken, year_taken }
+     */
+    static async validateTeaching(course, data, errors) {
+        const given = (key) => isGiven(data[key]);
+        const values = { professor_id: null, offering_id: null, semester_taken: null, year_taken: null };
+
+        if (given('professorId')) {
+            const professorId = toWholeNumber(data.professorId);
+            const professor = professorId ? await getAsync('SELECT id, name FROM professors WHERE id = ?', [professorId]) : null;
+            const teaches = professor && await getAsync(
+                'SELECT 1 FROM course_professors WHERE course_id = ? AND professor_id = ?',
+                [course.id, professor.id]
+            );
+
+            if (!professor) {
+                errors.professorId = 'Professor not found';
+            } else if (!teaches) {
+                errors.professorId = `${professor.name} does not teach ${course.course_code}`;
+            } else {
+                values.professor_id = professor.id;
+            }
+        }
+
+        if (given('offeringId')) {
+            const offering = await Offering.findById(data.offeringId);
+            if (!offering || offering.course_id !== course.id) {
+                errors.offeringId = 'Offering does not belong to this course';
+                return values;
+            }
+            return { ...values, offering_id: offering.id, semester_taken: offering.semester, year_taken: offering.year };
+        }
+
+        if (!given('semesterTaken') && !given('yearTaken')) {
+            return values;
+        }
+        if (!given('semesterTaken')) {
+            errors.semesterTaken = 'semesterTaken is required with yearTaken';
+            return values;
+        }
+        if (!given('yearTaken')) {
+            errors.yearTaken = 'yearTaken is required with semesterTaken';
+            return values;
+        }
+
+        const semester = data.semesterTaken;
+        const year = toWholeNumber(data.yearTaken);
+        if (!isValidSemester(semester)) {
+            errors.semesterTaken = `semesterTaken must be one of ${SEMESTERS.join(', ')}`;
+        }
+        if (!(year >= 1900)) {
+            errors.yearTaken = 'yearTaken must be a year';
+        } else if (year > new Date().getFullYear()) {
+            errors.yearTaken = 'yearTaken cannot be in the future';
+        } else if (isValidSemester(semester) && termDates(semester, year).start > new Date().toISOString().slice(0, 10)) {
+            errors.semesterTaken = `${semester} ${year} has not started yet`;
+        }
+        if (errors.semesterTaken || errors.yearTaken) {
+            return values;
+        }
+
+        const offering = await Offering.findByTerm(course.id, semester, year);
+        return { ...values, offering_id: offering ? offering.id : null, semester_taken: semester, year_taken: year };
+    }
+
+    /**
+     * Record an edit, the first one also stores the review as it was
+     * Runs inside the caller's transaction
+     */
+    static async recordRevision(reviewId, before, after) {
+        const latest = await getAsync('SELECT MAX(version) as version FROM review_revisions WHERE review_id = ?', [reviewId]);
+        let version = latest.version || 0;
+
+        if (version === 0) {
+            version = 1;
+            await runAsync(
+                "INSERT INTO review_revisions (review_id, version, action, snapshot) VALUES (?, ?, 'baseline', ?)",
+                [reviewId, version, JSON.stringify(before)]
+            );
+        }
+
+        await runAsync(
+            "INSERT INTO review_revisions (review_id, version, action, changes, snapshot) VALUES (?, ?, 'update', ?, ?)",
+            [reviewId, version + 1, JSON.stringify(Revision.diff('review', before, after)), JSON.stringify(after)]
+        );
+    }
+}
+
+module.exports = Review;
@@ -0,0 +1,323 @@
+// backend/models/ReviewModeration.js
+const { runAsync, getAsync, allAsync, withTransaction } = require('../config/database');
+const Review = require('./Review');
+const Notification = require('./Notification');
+const { createHttpError } = require('../utils/httpError');
+
+// Reasons a review can be reported or hidden for, with the wording shown to its author
+const REASONS = {
+    spam: 'spam or advertising',
+    abusive: 'abusive or harassing language',
+    off_topic: 'not about the course or professor',
+    personal_info: 'personal information about someone',
+    other: 'a breach of the review guidelines'
+};
+
+/**
+ * Reports of reviews and the admin moderation queue.
+ *
+ * Users report reviews with a reason code. Reviews with open reports or
+ * flagged by comment screening (screening_flags, see CommentScreening.js) make
+ * up the queue, where an admin hides, restores, deletes or dismisses them with
+ * a note. Acting on a review resolves its open reports and screening flags,
+ * every decision is kept in review_moderation_log and the author is notified
+ * when their review is hidden, restored or deleted.
+ */
+class ReviewModeration {
+
+    /**
+     * Report a review of a course
+     * @param {Object} data - { reason, details }
+     */
+    static async report(courseId, reviewId, data, user) {
+        try {
+            const review = await Review.findForCourse(courseId, reviewId, user);
+            if (review.user_id === user.id) {
+                throw createHttpError(403, 'You cannot report your own review');
+            }
+            if (!REASONS[data.reason]) {
+                throw createHttpError(400, `reason must be one of ${Object.keys(REASONS).join(', ')}`);
+            }
+
+            const details = typeof data.details === 'string' ? data.details.trim().slice(0, 1000) || null : null;
+
+            try {
+                const result = await runAsync(
+                    'INSERT INTO review_reports (review_id, user_id, reason, details) VALUES (?, ?, ?, ?)',
+                    [review.id, user.id, data.reason, details]
+                );
+                return await getAsync('SELECT * FROM review_reports WHERE id = ?', [result.id]);
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT') {
+                    throw createHttpError(409, 'You have already reported this review');
+                }
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error reporting review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The moderation queue, most reported first
+     * @param {Object} filters - { status: open (reviews with open reports or screening flags, the default) or hidden }
+     * @param {Object} options - { limit, offset }
+     */
+    static async findQueue(filters = {}, options = {}) {
+        try {
+            const status = filters.status || 'open';
+            if (status !== 'open' && status !== 'hidden') {
+                throw createHttpError(400, 'status must be open or hidden');
+            }
+
+            const reviews = await allAsync(`
+                SELECT r.*, u.name as user_name, c.course_code, c.course_name, p.name as professor_name,
+                       COUNT(rep.id) as open_report_count,
+                       COALESCE(MIN(rep.created_at), r.updated_at) as first_reported_at
+                FROM reviews r
+                JOIN users u ON r.user_id = u.id
+                JOIN courses c ON r.course_id = c.id
+                LEFT JOIN professors p ON r.professor_id = p.id
+                LEFT JOIN review_reports rep ON rep.review_id = r.id AND rep.status = 'open'
+                WHERE ${status === 'open'
+                    ? 'r.hidden_at IS NULL AND (rep.id IS NOT NULL OR r.screening_flags IS NOT NULL)'
+                    : 'r.hidden_at IS NOT NULL'}
+                GROUP BY r.id
+                ORDER BY ${status === 'open' ? 'open_report_count DESC, first_reported_at' : 'r.hidden_at DESC'}, r.id
+                LIMIT ? OFFSET ?
+            `, [options.limit || 20, options.offset || 0]);
+
+            const reasons = await this.countReasons(reviews.map(review => review.id));
+            return reviews.map(review => ({
+                ...review,
+                screening_flags: review.screening_flags ? JSON.parse(review.screening_flags) : [],
+                report_reasons: reasons.get(review.id) || {}
+            }));
+        } catch (error) {
+            console.error('Error finding moderation queue:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * A review with every report and moderation decision on it
+     */
+    static async findReview(reviewId) {
+        try {
+            const review = await Review.findById(reviewId);
+            if (!review) {
+                throw createHttpError(404, 'Review not found');
+            }
+
+            const reports = await allAsync(`
+                SELECT rep.*, u.name as user_name
+                FROM review_reports rep
+                JOIN users u ON rep.user_id = u.id
+                WHERE rep.review_id = ?
+                ORDER BY rep.created_at DESC, rep.id DESC
+            `, [review.id]);
+
+            return {
+                ...review,
+                screening_flags: review.screening_flags ? JSON.parse(review.screening_flags) : [],
+                reports,
+                log: await this.findLog(review.id)
+            };
+        } catch (error) {
+            console.error('Error finding moderated review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Moderation decisions on a review, newest first (also for deleted reviews)
+     */
+    static async findLog(reviewId) {
+        try {
+            return await allAsync(`
+                SELECT l.*, u.name as moderator_name
+                FROM review_moderation_log l
+                LEFT JOIN users u ON l.moderator_id = u.id
+                WHERE l.review_id = ?
+                ORDER BY l.created_at DESC, l.id DESC
+            `, [reviewId]);
+        } catch (error) {
+            console.error('Error finding moderation log:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Hide a review from everyone but its author, it stops counting towards the averages
+     * @param {Object} data - { reason, note } where the note is shown to the author
+     */
+    static async hide(reviewId, data, moderator) {
+        try {
+            const review = await this.findModerated(reviewId);
+            if (review.hidden_at) {
+                throw createHttpError(409, 'This review is already hidden');
+            }
+            if (!REASONS[data.reason]) {
+                throw createHttpError(400, `reason must be one of ${Object.keys(REASONS).join(', ')}`);
+            }
+            const note = this.parseNote(data.note);
+
+            await this.decide(review, 'hide', data.reason, note, moderator, () => runAsync(
+                'UPDATE reviews SET hidden_at = CURRENT_TIMESTAMP, hidden_reason = ?, hidden_note = ? WHERE id = ?',
+                [data.reason, note, review.id]
+            ));
+
+            await Notification.create(review.user_id, {
+                type: 'review_hidden',
+                message: `Your review of ${review.course_code} was hidden by a moderator for ${REASONS[data.reason]}${note ? `: ${note}` : '.'}`,
+                link: `/courses/${review.course_id}`
+            });
+            return await this.findReview(review.id);
+        } catch (error) {
+            console.error('Error hiding review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make a hidden review visible again
+     * @param {Object} data - { note }
+     */
+    static async restore(reviewId, data, moderator) {
+        try {
+            const review = await this.findModerated(reviewId);
+            if (!review.hidden_at) {
+                throw createHttpError(409, 'This review is not hidden');
+            }
+            const note = this.parseNote(data.note);
+
+            await this.decide(review, 'restore', null, note, moderator, () => runAsync(
+                'UPDATE reviews SET hidden_at = NULL, hidden_reason = NULL, hidden_note = NULL WHERE id = ?',
+                [review.id]
+            ));
+
+            await Notification.create(review.user_id, {
+                type: 'review_restored',
+                message: `Your review of ${review.course_code} is visible again.`,
+                link: `/courses/${review.course_id}`
+            });
+            return await this.findReview(review.id);
+        } catch (error) {
+            console.error('Error restoring review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Close the open reports and screening flags of a review and leave it as it is
+     * @param {Object} data - { note }
+     */
+    static async dismiss(reviewId, data, moderator) {
+        try {
+            const review = await this.findModerated(reviewId);
+            const open = await getAsync(
+                "SELECT COUNT(*) as count FROM review_reports WHERE review_id = ? AND status = 'open'",
+                [review.id]
+            );
+            if (open.count === 0 && !review.screening_flags) {
+                throw createHttpError(409, 'This review has no open reports or screening flags');
+            }
+
+            await this.decide(review, 'dismiss', null, this.parseNote(data.note), moderator, async () => {});
+            return await this.findReview(review.id);
+        } catch (error) {
+            console.error('Error dismissing review reports:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a review for good, the decision stays in the moderation log
+     * @param {Object} data - { reason, note } where the note is shown to the author
+     */
+    static async delete(reviewId, data, moderator) {
+        try {
+            const review = await this.findModerated(reviewId);
+            if (data.reason !== undefined && !REASONS[data.reason]) {
+                throw createHttpError(400, `reason must be one of ${Object.keys(REASONS).join(', ')}`);
+            }
+            const note = this.parseNote(data.note);
+
+            await this.decide(review, 'delete', data.reason || null, note, moderator, () => runAsync(
+                'DELETE FROM reviews WHERE id = ?',
+                [review.id]
+            ));
+
+            await Notification.create(review.user_id, {
+                type: 'review_deleted',
+                message: `Your review of ${review.course_code} was removed by a moderator${data.reason ? ` for ${REASONS[data.reason]}` : ''}${note ? `: ${note}` : '.'}`,
+                link: `/courses/${review.course_id}`
+            });
+            return true;
+        } catch (error) {
+            console.error('Error deleting review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a review to moderate, 404 when it does not exist
+     */
+    static async findModerated(reviewId) {
+        const review = await Review.findById(reviewId);
+        if (!review) {
+            throw createHttpError(404, 'Review not found');
+        }
+        return review;
+    }
+
+    /**
+     * Apply a decision: run the change, resolve the open reports and screening flags
+     * and log it in one transaction
+     */
+    static async decide(review, action, reason, note, moderator, change) {
+        await withTransaction(async () => {
+            await runAsync(
+                'INSERT INTO review_moderation_log (review_id, moderator_id, action, reason, note) VALUES (?, ?, ?, ?, ?)',
+                [review.id, moderator.id, action, reason, note]
+            );
+            await runAsync(
+                "UPDATE review_reports SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE review_id = ? AND status = 'open'",
+                [review.id]
+            );
+            await runAsync('UPDATE reviews SET screening_flags = NULL WHERE id = ?', [review.id]);
+            await change();
+        });
+    }
+
+    /**
+     * Open report counts per reason for several reviews, as a Map of review id -> { reason: count }
+     */
+    static async countReasons(reviewIds) {
+        const counts = new Map();
+        if (reviewIds.length === 0) return counts;
+
+        const rows = await allAsync(`
+            SELECT review_id, reason, COUNT(*) as count
+            FROM review_reports
+            WHERE status = 'open' AND review_id IN (${reviewIds.map(() => '?').join(', ')})
+            GROUP BY review_id, reason
+        `, reviewIds);
+
+        rows.forEach(row => {
+            if (!counts.has(row.review_id)) counts.set(row.review_id, {});
+            counts.get(row.review_id)[row.reason] = row.count;
+        });
+        return counts;
+    }
+
+    /**
+     * Trim a moderator note, empty notes are stored as null
+     */
+    static parseNote(note) {
+        return typeof note === 'string' ? note.trim().slice(0, 1000) || null : null;
+    }
+}
+
+module.exports = ReviewModeration;
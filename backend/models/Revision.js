@@ -0,0 +1,162 @@
+// backend/models/Revision.js
+const { runAsync, getAsync, allAsync } = require('../config/database');
+
+// Fields kept in each snapshot, in display order
+const SNAPSHOT_FIELDS = {
+    course: ['course_code', 'course_name', 'department', 'credits', 'description', 'prerequisites', 'professors'],
+    professor: ['name', 'department', 'email', 'office'],
+    review: ['rating', 'difficulty', 'comment', 'would_recommend', 'hours_per_week']
+};
+
+/**
+ * Versioned history of course and professor edits.
+ *
+ * Every change stores the full record afterwards (snapshot) and the field-level
+ * before/after (changes), so any version can be shown or restored. The first
+ * change to a record that predates history also stores its previous state as a
+ * 'baseline' version, so the original can be restored too.
+ * Recording does not open a transaction, callers record inside their own.
+ */
+class Revision {
+
+    /**
+     * Current state of a course: catalog fields and professor links with roles
+     */
+    static async snapshotCourse(id) {
+        const course = await getAsync('SELECT * FROM courses WHERE id = ?', [id]);
+        if (!course) return null;
+
+        const professors = await allAsync(`
+            SELECT p.id, p.name, cp.role
+            FROM course_professors cp
+            JOIN professors p ON cp.professor_id = p.id
+            WHERE cp.course_id = ?
+            ORDER BY p.id
+        `, [id]);
+
+        return this.pick('course', { ...course, professors });
+    }
+
+    /**
+     * Current state of a professor
+     */
+    static async snapshotProfessor(id) {
+        const professor = await getAsync('SELECT * FROM professors WHERE id = ?', [id]);
+        return professor ? this.pick('professor', professor) : null;
+    }
+
+    /**
+     * Keep only the tracked fields of a record
+     */
+    static pick(entityType, record) {
+        return Object.fromEntries(SNAPSHOT_FIELDS[entityType].map(field => [field, record[field] === undefined ? null : record[field]]));
+    }
+
+    /**
+     * Field-level differences between two snapshots as [{ field, from, to }]
+     */
+    static diff(entityType, before, after) {
+        return SNAPSHOT_FIELDS[entityType]
+            .filter(field => JSON.stringify(before ? before[field] : null) !== JSON.stringify(after[field]))
+            .map(field => ({ field, from: before ? before[field] : null, to: after[field] }));
+    }
+
+    /**
+     * Record a change to a course or professor
+     * Returns the new version number, or null when nothing changed
+     * @param {Object} change - { action, userId, before, after, revertedFrom }
+     */
+    static async record(entityType, entityId, { action, userId = null, before = null, after, revertedFrom = null }) {
+        const changes = this.diff(entityType, before, after);
+        if (before && changes.length === 0) {
+            return null;
+        }
+
+        const latest = await getAsync(
+            'SELECT MAX(version) as version FROM catalog_revisions WHERE entity_type = ? AND entity_id = ?',
+            [entityType, entityId]
+        );
+        let version = latest.version || 0;
+
+        if (version === 0 && before) {
+            version = 1;
+            await runAsync(`
+                INSERT INTO catalog_revisions (entity_type, entity_id, version, action, snapshot)
+                VALUES (?, ?, ?, 'baseline', ?)
+            `, [entityType, entityId, version, JSON.stringify(before)]);
+        }
+
+        version += 1;
+        await runAsync(`
+            INSERT INTO catalog_revisions
+            (entity_type, entity_id, version, action, changed_by, reverted_from, changes, snapshot)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [entityType, entityId, version, action, userId, revertedFrom, JSON.stringify(changes), JSON.stringify(after)]);
+
+        return version;
+    }
+
+    /**
+     * Make a change to a course and record it as an 'update' in the course history
+     * Does not open its own transaction, callers run it inside theirs so the
+     * change and its record are written together
+     * @param {Function} change - Writes the change, its result is returned
+     */
+    static async recordCourseChange(courseId, audit, change) {
+        const before = await this.snapshotCourse(courseId);
+        const result = await change();
+        await this.record('course', courseId, {
+            action: 'update',
+            userId: audit.userId,
+            before,
+            after: await this.snapshotCourse(courseId)
+        });
+        return result;
+    }
+
+    /**
+     * History of a record, newest version first, with who made each change
+     */
+    static async findByEntity(entityType, entityId) {
+        try {
+            const rows = await allAsync(`
+                SELECT r.*, u.name as changed_by_name
+                FROM catalog_revisions r
+                LEFT JOIN users u ON r.changed_by = u.id
+                WHERE r.entity_type = ? AND r.entity_id = ?
+                ORDER BY r.version DESC
+            `, [entityType, entityId]);
+            return rows.map(row => this.parse(row));
+        } catch (error) {
+            console.error('Error finding revision history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * One version of a record with its snapshot
+     */
+    static async findVersion(entityType, entityId, version) {
+        try {
+            const row = await getAsync(`
+                SELECT r.*, u.name as changed_by_name
+                FROM catalog_revisions r
+                LEFT JOIN users u ON r.changed_by = u.id
+                WHERE r.entity_type = ? AND r.entity_id = ? AND r.version = ?
+            `, [entityType, entityId, version]);
+            return row ? this.parse(row) : null;
+        } catch (error) {
+            console.error('Error finding revision:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Decode the JSON columns of a revision row
+     */
+    static parse(row) {
+        return { ...row, changes: JSON.parse(row.changes), snapshot: JSON.parse(row.snapshot) };
+    }
+}
+
+module.exports = Revision;
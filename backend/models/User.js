@@ -1,4 +1,5 @@
 // backend/models/User.js
+const crypto = require('crypto');
 const { runAsync, getAsync, allAsync } = require('../config/database');
 
 class User {
@@ -115,6 +116,26 @@ class User {
         }
     }
 
+    /**
+     * Get a user's enrollment history (every status except dropped)
+     */
+    static async getEnrollmentHistory(userId) {
+        try {
+            const sql = `
+                SELECT e.*, c.course_code, c.course_name, c.credits, o.semester, o.year
+                FROM enrollments e
+                JOIN courses c ON e.course_id = c.id
+                LEFT JOIN course_offerings o ON e.offering_id = o.id
+                WHERE e.user_id = ? AND e.status != 'dropped'
+                ORDER BY e.enrolled_at
+            `;
+            return await allAsync(sql, [userId]);
+        } catch (error) {
+            console.error('Error getting enrollment history:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get current students
      */
@@ -406,6 +427,51 @@ class User {
             throw error;
         }
     }
+
+    /**
+     * Get the secret token of a user's calendar subscription URL, creating it on first use
+     */
+    static async getCalendarToken(userId) {
+        try {
+            const user = await getAsync('SELECT calendar_token FROM users WHERE id = ?', [userId]);
+            if (user && user.calendar_token) {
+                return user.calendar_token;
+            }
+            return await this.resetCalendarToken(userId);
+        } catch (error) {
+            console.error('Error getting calendar token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a user's calendar token, so the old subscription URL stops working
+     */
+    static async resetCalendarToken(userId) {
+        try {
+            const token = crypto.randomBytes(24).toString('hex');
+            await runAsync(
+                'UPDATE users SET calendar_token = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [token, userId]
+            );
+            return token;
+        } catch (error) {
+            console.error('Error resetting calendar token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the user a calendar subscription token belongs to
+     */
+    static async findByCalendarToken(token) {
+        try {
+            return await getAsync('SELECT id, name FROM users WHERE calendar_token = ?', [token]);
+        } catch (error) {
+            console.error('Error finding user by calendar token:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = User;
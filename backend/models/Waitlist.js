@@ -0,0 +1,160 @@
+// backend/models/Waitlist.js
+const { runAsync, getAsync, allAsync } = require('../config/database');
+const Offering = require('./Offering');
+const { createHttpError } = require('../utils/httpError');
+
+// Entries are served in id order, so a student's position is the number of
+// entries for the same offering up to and including their own
+const ENTRY_COLUMNS = `
+    w.*,
+    (SELECT COUNT(*) FROM waitlist_entries w2 WHERE w2.offering_id = w.offering_id AND w2.id <= w.id) as position,
+    (SELECT COUNT(*) FROM waitlist_entries w2 WHERE w2.offering_id = w.offering_id) as waitlist_size,
+    o.course_id, o.semester, o.year, o.section,
+    c.course_code, c.course_name
+`;
+
+class Waitlist {
+
+    /**
+     * Get a user's waitlist entries with their positions
+     */
+    static async findByUser(userId) {
+        try {
+            const sql = `
+                SELECT ${ENTRY_COLUMNS}
+                FROM waitlist_entries w
+                JOIN course_offerings o ON w.offering_id = o.id
+                JOIN courses c ON o.course_id = c.id
+                WHERE w.user_id = ?
+                ORDER BY w.created_at
+            `;
+            return await allAsync(sql, [userId]);
+        } catch (error) {
+            console.error('Error finding waitlist entries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's entry on an offering's waitlist
+     */
+    static async findEntry(userId, offeringId) {
+        try {
+            const sql = `
+                SELECT ${ENTRY_COLUMNS}
+                FROM waitlist_entries w
+                JOIN course_offerings o ON w.offering_id = o.id
+                JOIN courses c ON o.course_id = c.id
+                WHERE w.user_id = ? AND w.offering_id = ?
+            `;
+            return await getAsync(sql, [userId, offeringId]);
+        } catch (error) {
+            console.error('Error finding waitlist entry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the whole queue of an offering in order
+     */
+    static async findByOffering(offeringId) {
+        try {
+            const sql = `
+                SELECT ${ENTRY_COLUMNS}, u.name as user_name, u.email
+                FROM waitlist_entries w
+                JOIN course_offerings o ON w.offering_id = o.id
+                JOIN courses c ON o.course_id = c.id
+                JOIN users u ON w.user_id = u.id
+                WHERE w.offering_id = ?
+                ORDER BY w.id
+            `;
+            return await allAsync(sql, [offeringId]);
+        } catch (error) {
+            console.error('Error finding offering waitlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Join the waitlist of a full offering
+     */
+    static async join(userId, offeringId) {
+        try {
+            const offering = await Offering.findById(offeringId);
+            if (!offering) {
+                throw createHttpError(404, 'Offering not found');
+            }
+
+            if (offering.course_archived_at) {
+                throw createHttpError(409, `${offering.course_code} is archived and no longer open for enrollment`);
+            }
+
+            if (offering.seats_available > 0) {
+                throw createHttpError(409, `${offering.course_code} ${offering.section} has open seats, enroll instead`);
+            }
+
+            const enrollment = await getAsync(
+                "SELECT status FROM enrollments WHERE user_id = ? AND course_id = ? AND status != 'dropped'",
+                [userId, offering.course_id]
+            );
+            if (enrollment) {
+                throw createHttpError(409, `You are already ${enrollment.status} in ${offering.course_code}`);
+            }
+
+            try {
+                await runAsync(
+                    'INSERT INTO waitlist_entries (offering_id, user_id) VALUES (?, ?)',
+                    [offering.id, userId]
+                );
+            } catch (error) {
+                if (error.code === 'SQLITE_CONSTRAINT') {
+                    throw createHttpError(409, `You are already on the waitlist for ${offering.course_code} ${offering.section}`);
+                }
+                throw error;
+            }
+
+            return await this.findEntry(userId, offering.id);
+        } catch (error) {
+            console.error('Error joining waitlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Leave an offering's waitlist
+     */
+    static async leave(userId, offeringId) {
+        try {
+            const result = await runAsync(
+                'DELETE FROM waitlist_entries WHERE user_id = ? AND offering_id = ?',
+                [userId, offeringId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error leaving waitlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the first entry in an offering's queue
+     */
+    static async next(offeringId) {
+        return await getAsync(
+            'SELECT * FROM waitlist_entries WHERE offering_id = ? ORDER BY id LIMIT 1',
+            [offeringId]
+        );
+    }
+
+    /**
+     * Remove a user from every waitlist of a course (once they hold a seat in any section)
+     */
+    static async removeForCourse(userId, courseId) {
+        await runAsync(`
+            DELETE FROM waitlist_entries
+            WHERE user_id = ? AND offering_id IN (SELECT id FROM course_offerings WHERE course_id = ?)
+        `, [userId, courseId]);
+    }
+}
+
+module.exports = Waitlist;
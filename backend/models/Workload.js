@@ -0,0 +1,166 @@
+// backend/models/Workload.js
+const { allAsync } = require('../config/database');
+const { createHttpError } = require('../utils/httpError');
+
+// Weekly hours per credit when nobody has reported hours: one in class, two outside
+const HOURS_PER_CREDIT = 3;
+// Difficulty that counts as an average course, the credit-based estimate scales around it
+const AVERAGE_DIFFICULTY = 3;
+// Taking this many courses averaging HARD_DIFFICULTY or more together is flagged
+const HARD_DIFFICULTY = 4;
+const HARD_COMBINATION_SIZE = 3;
+// Below this share of reviewers recommending it, a course is flagged
+const LOW_RECOMMEND_RATE = 0.5;
+const MAX_CREDITS = 18;
+
+// Total weekly hours at which the term reaches each level
+const LEVELS = [
+    { level: 'very heavy', hours: 60 },
+    { level: 'heavy', hours: 48 },
+    { level: 'moderate', hours: 30 },
+    { level: 'light', hours: 0 }
+];
+
+const round = (value, digits = 1) => value === null ? null : Number(value.toFixed(digits));
+
+class Workload {
+
+    /**
+     * Estimate the combined weekly workload of a set of courses taken together
+     *
+     * Each course's hours are the average its reviewers reported, or else
+     * credits x HOURS_PER_CREDIT scaled by its average difficulty.
+     * Flags point out what makes the combination heavy.
+     * @param {Array} courseIds - Catalog course IDs
+     * @returns {Object} { courses, total_credits, estimated_hours, avg_difficulty, recommend_rate, level, flags }
+     */
+    static async estimate(courseIds) {
+        try {
+            const ids = [...new Set(courseIds.map(Number))];
+            if (ids.length === 0) {
+                return this.summarize([]);
+            }
+
+            const rows = await allAsync(`
+                SELECT id, course_code, course_name, credits, review_count, avg_difficulty,
+                       recommend_rate, avg_hours_per_week, hours_report_count
+                FROM course_stats
+                WHERE id IN (${ids.map(() => '?').join(', ')})
+            `, ids);
+
+            const missing = ids.filter(id => !rows.some(row => row.id === id));
+            if (missing.length > 0) {
+                throw createHttpError(404, `Courses not found: ${missing.join(', ')}`);
+            }
+
+            const courses = ids.map(id => {
+                const row = rows.find(course => course.id === id);
+                const reported = row.hours_report_count > 0;
+                const difficultyFactor = row.avg_difficulty ? row.avg_difficulty / AVERAGE_DIFFICULTY : 1;
+
+                return {
+                    ...row,
+                    avg_difficulty: round(row.avg_difficulty),
+                    recommend_rate: round(row.recommend_rate, 2),
+                    avg_hours_per_week: round(row.avg_hours_per_week),
+                    estimated_hours: round(reported
+                        ? row.avg_hours_per_week
+                        : row.credits * HOURS_PER_CREDIT * difficultyFactor),
+                    hours_source: reported ? 'reviews' : 'credits'
+                };
+            });
+
+            return this.summarize(courses);
+        } catch (error) {
+            console.error('Error estimating workload:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Combine per-course estimates into term totals and flags
+     */
+    static summarize(courses) {
+        const totalCredits = courses.reduce((sum, course) => sum + course.credits, 0);
+        const hours = courses.reduce((sum, course) => sum + course.estimated_hours, 0);
+
+        // Credit-weighted so a 6 credit course counts twice as much as a 3 credit one
+        const rated = courses.filter(course => course.avg_difficulty !== null);
+        const ratedCredits = rated.reduce((sum, course) => sum + course.credits, 0);
+        const difficulty = ratedCredits > 0
+            ? rated.reduce((sum, course) => sum + course.avg_difficulty * course.credits, 0) / ratedCredits
+            : null;
+
+        const recommended = courses.filter(course => course.recommend_rate !== null);
+        const recommendRate = recommended.length > 0
+            ? recommended.reduce((sum, course) => sum + course.recommend_rate, 0) / recommended.length
+            : null;
+
+        return {
+            courses,
+            total_credits: totalCredits,
+            estimated_hours: round(hours),
+            avg_difficulty: round(difficulty),
+            recommend_rate: round(recommendRate, 2),
+            level: LEVELS.find(level => hours >= level.hours).level,
+            flags: this.flag(courses, { totalCredits, hours })
+        };
+    }
+
+    /**
+     * Warnings about a combination as [{ type, message, course_ids }]
+     */
+    static flag(courses, { totalCredits, hours }) {
+        const flags = [];
+        const codes = (list) => list.map(course => course.course_code).join(', ');
+        const ids = (list) => list.map(course => course.id);
+
+        const hard = courses.filter(course => course.avg_difficulty >= HARD_DIFFICULTY);
+        if (hard.length >= HARD_COMBINATION_SIZE) {
+            const average = hard.reduce((sum, course) => sum + course.avg_difficulty, 0) / hard.length;
+            flags.push({
+                type: 'hard_combination',
+                message: `${hard.length} courses averaging ${average.toFixed(1)} difficulty (${codes(hard)})`,
+                course_ids: ids(hard)
+            });
+        }
+
+        if (hours >= LEVELS[0].hours) {
+            flags.push({
+                type: 'high_hours',
+                message: `About ${Math.round(hours)} hours of work per week`,
+                course_ids: ids(courses)
+            });
+        }
+
+        if (totalCredits > MAX_CREDITS) {
+            flags.push({
+                type: 'high_credits',
+                message: `${totalCredits} credit hours is above the usual ${MAX_CREDITS} credit maximum`,
+                course_ids: ids(courses)
+            });
+        }
+
+        const unpopular = courses.filter(course => course.recommend_rate !== null && course.recommend_rate < LOW_RECOMMEND_RATE);
+        if (unpopular.length > 0) {
+            flags.push({
+                type: 'low_recommend_rate',
+                message: `Most reviewers would not recommend ${codes(unpopular)}`,
+                course_ids: ids(unpopular)
+            });
+        }
+
+        const unrated = courses.filter(course => course.review_count === 0);
+        if (unrated.length > 0) {
+            flags.push({
+                type: 'no_reviews',
+                message: `No reviews yet for ${codes(unrated)}, their hours are estimated from credits only`,
+                course_ids: ids(unrated)
+            });
+        }
+
+        return flags;
+    }
+}
+
+module.exports = Workload;
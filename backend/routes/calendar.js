@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Calendar = require('../models/Calendar');
+
+// GET a student's schedule feed for calendar app subscriptions
+// No session here: the secret token in the URL identifies the student
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findByCalendarToken(req.params.token);
+    if (!user) return res.status(404).json({ message: 'Calendar not found' });
+
+    const feed = await Calendar.buildFeed(user);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    res.send(feed);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,93 +1,474 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
+const Course = require('../models/Course');
+const Prerequisite = require('../models/Prerequisite');
+const MeetingTime = require('../models/MeetingTime');
+const Offering = require('../models/Offering');
+const Professor = require('../models/Professor');
+const Recommendation = require('../models/Recommendation');
+const Workload = require('../models/Workload');
+const Revision = require('../models/Revision');
+const CourseRelation = require('../models/CourseRelation');
+const Material = require('../models/Material');
+const GradeDistribution = require('../models/GradeDistribution');
+const Review = require('../models/Review');
+const ReviewModeration = require('../models/ReviewModeration');
+const { parsePagination } = require('../utils/pagination');
+const { parseCourseFilters } = require('../utils/courseFilters');
+const { ensureAuthenticated, ensureAdmin, ensureInstructor } = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
+
+// read the course browser filters shared by the list and facet endpoints
+const courseFilters = (req) => ({
+  ...parseCourseFilters(req.query),
+  fitsAroundUserId: req.query.fitsMySchedule === 'true' ? req.user.id : null
+});
+
+// includeArchived=true also lists archived courses, for admins only
+const archivedForbidden = (req) =>
+  req.query.includeArchived === 'true' && (!req.user || req.user.role !== 'admin');
 
 // GET all courses
-router.get('/', (req, res) => {
-  const { search, department } = req.query;
-  
-  let query = `SELECT * FROM courses WHERE 1=1`;
-  const params = [];
+// fitsMySchedule=true leaves out courses clashing with the user's current enrollments
+// archived courses are left out unless an admin asks for includeArchived=true
+// ?sort=code|name|rating|difficulty|reviews|seats|relevance&order=asc|desc&limit=20&offset=0
+router.get('/', async (req, res) => {
+  try {
+    const { fitsMySchedule, sort, order } = req.query;
+
+    if (fitsMySchedule === 'true' && !req.user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+    if (archivedForbidden(req)) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
 
-  if (search) {
-    query += ` AND (course_name LIKE ? OR course_code LIKE ?)`;
-    params.push(`%${search}%`, `%${search}%`);
+    const { limit, offset } = parsePagination(req.query);
+    const filters = courseFilters(req);
+
+    const courses = await Course.findAll(filters, { sort, order, limit, offset });
+    const total = await Course.count(filters);
+    res.json({ courses, total, limit, offset });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
-  if (department) {
-    query += ` AND department = ?`;
-    params.push(department);
+});
+
+// GET facet counts for the course browser, takes the same filters as GET /
+router.get('/facets', async (req, res) => {
+  try {
+    if (req.query.fitsMySchedule === 'true' && !req.user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+    if (archivedForbidden(req)) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const filters = courseFilters(req);
+    const facets = await Course.getFacets(filters);
+    const total = await Course.count(filters);
+    res.json({ facets, total });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
+});
 
-  db.all(query, params, (err, rows) => {
-    if (err) return res.status(500).json({ message: err.message });
-    res.json({ courses: rows });
-  });
+// GET two to four courses side by side (?ids=1,2,3)
+router.get('/compare', async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').filter(Boolean).map(Number))];
+    if (ids.length < 2 || ids.length > 4 || !ids.every(Number.isInteger)) {
+      return res.status(400).json({ message: 'Provide two to four course ids, e.g. ?ids=1,2' });
+    }
+
+    const courses = await Course.compare(ids);
+    res.json({ courses });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
-// GET single course
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
+// GET estimated weekly workload of courses taken together (?ids=1,2,3)
+router.get('/workload', async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').filter(Boolean).map(Number))];
+    if (ids.length === 0 || !ids.every(Number.isInteger)) {
+      return res.status(400).json({ message: 'Provide course ids, e.g. ?ids=1,2,3' });
+    }
 
-  db.get(`SELECT * FROM courses WHERE id = ?`, [id], (err, course) => {
-    if (err) return res.status(500).json({ message: err.message });
-    if (!course) return res.status(404).json({ message: 'Course not found' });
+    const workload = await Workload.estimate(ids);
+    res.json({ workload });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
 
-    // get professors for this course
-    db.all(`
-      SELECT p.*, cp.role 
-      FROM professors p
-      JOIN course_professors cp ON p.id = cp.professor_id
-      WHERE cp.course_id = ?
-    `, [id], (err, professors) => {
-      if (err) return res.status(500).json({ message: err.message });
-      res.json({ course: { ...course, professors } });
+// GET timetable conflicts between courses (?ids=1,2,3&semester=Fall&year=2024)
+// or between specific sections (?offeringIds=4,5)
+router.get('/conflicts', async (req, res) => {
+  try {
+    const parseIds = (value) => String(value || '').split(',').filter(Boolean).map(Number).filter(Number.isInteger);
+    const courseIds = parseIds(req.query.ids);
+    const offeringIds = parseIds(req.query.offeringIds);
+
+    if (courseIds.length + offeringIds.length < 2) {
+      return res.status(400).json({ message: 'Provide at least two course ids, e.g. ?ids=1,2' });
+    }
+
+    const result = await MeetingTime.findConflicts({
+      courseIds,
+      offeringIds,
+      semester: req.query.semester,
+      year: req.query.year
     });
-  });
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET single course, archived courses included (see archived_at) so their reviews stay readable
+router.get('/:id', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const professors = await Course.getCourseProfessors(course.id);
+    const offerings = await Offering.findByCourse(course.id);
+    for (const offering of offerings) {
+      offering.meetings = await MeetingTime.findByOffering(offering.id);
+    }
+    const relations = await CourseRelation.findByCourse(course.id);
+    res.json({ course: { ...course, professors, offerings, relations } });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT edit a course, admin only
+// fields left out keep their value, professors ([{ id, role }]) replaces every instructor link
+router.put('/:id', ensureAdmin, async (req, res) => {
+  try {
+    const existing = await Course.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Course not found' });
+
+    const { course_code, course_name, department, credits, description, prerequisites, professors } = req.body || {};
+    const course = await Course.update(existing.id, {
+      course_code: course_code || existing.course_code,
+      course_name: course_name || existing.course_name,
+      department: department || existing.department,
+      credits: credits || existing.credits,
+      description: description === undefined ? existing.description : description,
+      prerequisites
+    }, professors || null, { userId: req.user.id });
+    res.json({ course });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE archive a course, admin only
+// the course is hidden from listings but keeps its offerings, reviews and history
+router.delete('/:id', ensureAdmin, async (req, res) => {
+  try {
+    const course = await Course.archive(req.params.id);
+    res.json({ course });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST restore an archived course, admin only
+router.post('/:id/restore', ensureAdmin, async (req, res) => {
+  try {
+    const course = await Course.restore(req.params.id);
+    res.json({ course });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET every recorded version of a course, newest first, admin only
+router.get('/:id/history', ensureAdmin, async (req, res) => {
+  try {
+    const history = await Revision.findByEntity('course', req.params.id);
+    res.json({ history });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET one version of a course with its full snapshot, admin only
+router.get('/:id/history/:version', ensureAdmin, async (req, res) => {
+  try {
+    const revision = await Revision.findVersion('course', req.params.id, req.params.version);
+    if (!revision) return res.status(404).json({ message: 'Version not found' });
+    res.json({ revision });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST restore a course to an earlier version, admin only
+router.post('/:id/history/:version/revert', ensureAdmin, async (req, res) => {
+  try {
+    const course = await Course.revert(req.params.id, req.params.version, req.user.id);
+    res.json({ course });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET cross-listed, equivalent and anti-requisite courses
+router.get('/:id/relations', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const relations = await CourseRelation.findByCourse(course.id);
+    res.json({ relations });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST link another course ({ course: code or id, type: cross_listed|equivalent|anti_requisite, notes }), admin only
+router.post('/:id/relations', ensureAdmin, async (req, res) => {
+  try {
+    const { course, type, notes } = req.body || {};
+    if (!course) return res.status(400).json({ message: 'course is required' });
+
+    const relations = await CourseRelation.add(req.params.id, course, type, notes || null);
+    res.status(201).json({ relations });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE unlink another course, admin only
+router.delete('/:id/relations/:relatedId', ensureAdmin, async (req, res) => {
+  try {
+    const relations = await CourseRelation.remove(req.params.id, req.params.relatedId);
+    res.json({ relations });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET offerings of a course (?semester=Fall&year=2024)
+router.get('/:id/offerings', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const offerings = await Offering.findByCourse(course.id, req.query);
+    res.json({ offerings });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST add an offering of a course, admin only
+// ({ semester, year, section, schedule, capacity, professors: [professor ids] })
+router.post('/:id/offerings', ensureAdmin, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const { semester, year, section, schedule, capacity, professors = [] } = req.body || {};
+    if (!Array.isArray(professors)) return res.status(400).json({ message: 'professors must be a list of professor ids' });
+    for (const professorId of professors) {
+      if (!await Professor.findById(professorId)) {
+        return res.status(404).json({ message: `Professor ${professorId} not found` });
+      }
+    }
+
+    const offering = await Offering.create(course.id, { semester, year, section, schedule, capacity }, professors, { userId: req.user.id });
+    res.status(201).json({ offering });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET syllabi, outlines and other materials (?offeringId=4 or ?semester=Fall&year=2024)
+router.get('/:id/materials', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const materials = await Material.findByCourse(course.id, req.query);
+    res.json({ materials });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST upload a material, admins and instructors teaching the course
+// multipart form: file, title, kind (syllabus|outline|other) and optionally
+// offeringId or semester and year when it only applies to one term
+router.post('/:id/materials', ensureInstructor, uploadFile, async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+    if (!(await Material.canUpload(course.id, req.user))) {
+      return res.status(403).json({ message: 'Only instructors teaching this course or admins can upload materials' });
+    }
+
+    const material = await Material.create(course.id, req.body || {}, req.file, req.user.id);
+    res.status(201).json({ material });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET grade distribution overall and per term
+// Counts describing fewer than GRADE_PRIVACY_THRESHOLD students, or that would give one away, are null
+router.get('/:id/grades', async (req, res) => {
+  try {
+    const grades = await GradeDistribution.forCourse(req.params.id);
+    res.json({ grades });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET courses students who took this course also took (?limit=20)
+router.get('/:id/related', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
+
+    const { limit } = parsePagination(req.query);
+    const related = await Recommendation.findRelated(course.id, limit);
+    res.json({ related });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
-// GET reviews for a course
-router.get('/:id/reviews', (req, res) => {
-  const { id } = req.params;
-  const { professorId } = req.query;
+// GET full prerequisite tree for a course
+router.get('/:id/prerequisites', async (req, res) => {
+  try {
+    const tree = await Prerequisite.getTree(req.params.id);
+    if (!tree) return res.status(404).json({ message: 'Course not found' });
+    res.json({ prerequisites: tree });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
 
-  let query = `
-    SELECT r.*, u.name as user_name, p.name as professor_name
-    FROM reviews r
-    JOIN users u ON r.user_id = u.id
-    LEFT JOIN professors p ON r.professor_id = p.id
-    WHERE r.course_id = ?
-  `;
-  const params = [id];
+// GET courses that list this course as a requirement
+router.get('/:id/unlocks', async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) return res.status(404).json({ message: 'Course not found' });
 
-  if (professorId) {
-    query += ` AND r.professor_id = ?`;
-    params.push(professorId);
+    const unlocks = await Prerequisite.getUnlocks(course.id);
+    res.json({ unlocks });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
+});
+
+// GET reviews for a course with helpful vote totals
+// ?sort=recent|helpful|rating_high|rating_low&professorId=2&offeringId=4
+// includeEquivalents=true adds the reviews of cross-listed and equivalent courses
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { professorId, offeringId, includeEquivalents, sort } = req.query;
 
-  query += ` ORDER BY r.created_at DESC`;
+    let courseIds = [id];
+    if (includeEquivalents === 'true') {
+      courseIds = [id, ...await CourseRelation.findSameCourseIds(id)];
+    }
 
-  db.all(query, params, (err, rows) => {
-    if (err) return res.status(500).json({ message: err.message });
-    res.json({ reviews: rows });
-  });
+    const reviews = await Review.findByCourses(courseIds, { professorId, offeringId }, {
+      sort,
+      userId: req.user ? req.user.id : null
+    });
+    res.json({ reviews });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
 // POST review for a course
-router.post('/:id/reviews', (req, res) => {
+// the review is linked to the offering it was written for, either given
+// directly (offeringId) or looked up from semesterTaken/yearTaken
+// invalid fields are answered with 422 and { errors: { field: message } }
+router.post('/:id/reviews', async (req, res) => {
   if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
 
-  const { id } = req.params;
-  const { professorId, rating, difficulty, comment, wouldRecommend, semesterTaken, yearTaken } = req.body;
-
-  db.run(`
-    INSERT INTO reviews 
-    (user_id, course_id, professor_id, rating, difficulty, comment, would_recommend, semester_taken, year_taken)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [req.user.id, id, professorId, rating, difficulty, comment, wouldRecommend, semesterTaken, yearTaken],
-  function(err) {
-    if (err) return res.status(500).json({ message: err.message });
-    res.json({ message: 'Review submitted!', id: this.lastID });
-  });
+  try {
+    const review = await Review.create(req.params.id, req.body || {}, req.user);
+    const message = review.screening_flags ? 'Review submitted, a moderator will check it' : 'Review submitted!';
+    res.json({ message, id: review.id, review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message, errors: err.details });
+  }
+});
+
+// PUT edit your own review ({ rating, difficulty, comment, wouldRecommend, hoursPerWeek }),
+// the previous version is kept in the review's history
+router.put('/:id/reviews/:reviewId', ensureAuthenticated, async (req, res) => {
+  try {
+    const review = await Review.update(req.params.id, req.params.reviewId, req.body || {}, req.user);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message, errors: err.details });
+  }
+});
+
+// DELETE your own review (admins can delete any)
+router.delete('/:id/reviews/:reviewId', ensureAuthenticated, async (req, res) => {
+  try {
+    await Review.delete(req.params.id, req.params.reviewId, req.user);
+    res.json({ message: 'Review deleted' });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT vote a review helpful or not ({ helpful: true|false }), not on your own reviews
+router.put('/:id/reviews/:reviewId/vote', ensureAuthenticated, async (req, res) => {
+  try {
+    const review = await Review.vote(req.params.id, req.params.reviewId, (req.body || {}).helpful, req.user);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE take back your vote on a review
+router.delete('/:id/reviews/:reviewId/vote', ensureAuthenticated, async (req, res) => {
+  try {
+    const review = await Review.removeVote(req.params.id, req.params.reviewId, req.user);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST report a review to the moderators
+// ({ reason: spam|abusive|off_topic|personal_info|other, details })
+router.post('/:id/reviews/:reviewId/reports', ensureAuthenticated, async (req, res) => {
+  try {
+    const report = await ReviewModeration.report(req.params.id, req.params.reviewId, req.body || {}, req.user);
+    res.status(201).json({ report });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET edit history of your own review (admins can see any)
+router.get('/:id/reviews/:reviewId/history', ensureAuthenticated, async (req, res) => {
+  try {
+    const history = await Review.findHistory(req.params.id, req.params.reviewId, req.user);
+    res.json({ history });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
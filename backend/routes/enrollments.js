@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const Enrollment = require('../models/Enrollment');
+const CourseRelation = require('../models/CourseRelation');
+const { ensureAuthenticated, ensureAdmin } = require('../middleware/auth');
+
+router.use(ensureAuthenticated);
+
+// admins can act on anyone's enrollment, students only on their own
+const ownerId = (req) => (req.user.role === 'admin' ? null : req.user.id);
+
+// GET my enrollments (?status=enrolled|auditing|completed|dropped)
+router.get('/', async (req, res) => {
+  try {
+    const enrollments = await Enrollment.findByUser(req.user.id, req.query);
+    res.json({ enrollments });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST enroll in an offering ({ offeringId, audit })
+// warnings lists courses already taken that are cross-listed, equivalent or anti-requisites
+router.post('/', async (req, res) => {
+  try {
+    const enrollment = await Enrollment.enroll(req.user.id, req.body || {});
+    const warnings = await CourseRelation.findTakenConflicts(req.user.id, enrollment.course_id);
+    res.status(201).json({ enrollment, warnings });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET single enrollment
+router.get('/:id', async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findById(req.params.id);
+    const owner = ownerId(req);
+    if (!enrollment || (owner !== null && enrollment.user_id !== owner)) {
+      return res.status(404).json({ message: 'Enrollment not found' });
+    }
+    res.json({ enrollment });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT drop an enrollment
+router.put('/:id/drop', async (req, res) => {
+  try {
+    const enrollment = await Enrollment.drop(req.params.id, ownerId(req));
+    res.json({ enrollment });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT switch an enrollment to auditing
+router.put('/:id/audit', async (req, res) => {
+  try {
+    const enrollment = await Enrollment.audit(req.params.id, ownerId(req));
+    res.json({ enrollment });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT mark an enrollment completed ({ grade } optional), admin only
+router.put('/:id/complete', ensureAdmin, async (req, res) => {
+  try {
+    const enrollment = await Enrollment.complete(req.params.id, (req.body || {}).grade);
+    res.json({ enrollment });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT set the grade of a completed enrollment ({ grade }), admin only
+router.put('/:id/grade', ensureAdmin, async (req, res) => {
+  try {
+    const enrollment = await Enrollment.setGrade(req.params.id, (req.body || {}).grade);
+    res.json({ enrollment });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const CatalogExport = require('../models/CatalogExport');
+const { ensureAdmin } = require('../middleware/auth');
+const { EXPORT_FORMATS, writeExport } = require('../utils/export');
+const { parseCourseFilters } = require('../utils/courseFilters');
+
+router.use(ensureAdmin);
+
+// GET stream courses, professors or anonymized reviews as a download
+// ?format=csv|json|ndjson plus the course filters of GET /api/courses
+router.get('/:dataset', async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const columns = CatalogExport.columns(dataset);
+    const rows = CatalogExport.iterate(dataset, parseCourseFilters(req.query));
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${dataset}-${date}.${EXPORT_FORMATS[format].extension}"`);
+
+    await writeExport(res, rows, { format, columns });
+    res.end();
+  } catch (err) {
+    // Once rows have been sent the only way to signal failure is to cut the download short
+    if (res.headersSent) return res.destroy(err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
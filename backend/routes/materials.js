@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const Material = require('../models/Material');
+const { filePath } = require('../utils/fileStorage');
+const { ensureAuthenticated, ensureInstructor } = require('../middleware/auth');
+const { uploadFile } = require('../middleware/upload');
+
+// send a stored file as a download with the content type checked at upload
+const sendVersion = (res, version) => {
+  res.attachment(version.file_name);
+  res.set({
+    'Content-Type': version.content_type,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600'
+  });
+  res.sendFile(filePath(version.sha256), (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ message: 'File is missing from storage' });
+    }
+  });
+};
+
+// GET a material with every version
+router.get('/:id', async (req, res) => {
+  try {
+    const material = await Material.findById(req.params.id);
+    if (!material) return res.status(404).json({ message: 'Material not found' });
+
+    const versions = await Material.findVersions(material.id);
+    res.json({ material: { ...material, versions } });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET download the current version of a material
+router.get('/:id/download', ensureAuthenticated, async (req, res) => {
+  try {
+    const version = await Material.findVersion(req.params.id);
+    if (!version) return res.status(404).json({ message: 'Material not found' });
+    sendVersion(res, version);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET download an earlier version of a material
+router.get('/:id/versions/:version/download', ensureAuthenticated, async (req, res) => {
+  try {
+    const version = await Material.findVersion(req.params.id, req.params.version);
+    if (!version) return res.status(404).json({ message: 'Version not found' });
+    sendVersion(res, version);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST upload a new version (multipart form with a "file" field), admins or the instructor who uploaded it
+router.post('/:id/versions', ensureInstructor, uploadFile, async (req, res) => {
+  try {
+    const existing = await Material.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Material not found' });
+    if (req.user.role !== 'admin' && existing.created_by !== req.user.id) {
+      return res.status(403).json({ message: 'Only the uploader or an admin can upload a new version of this material' });
+    }
+
+    const material = await Material.addVersion(existing.id, req.file, req.user.id);
+    res.status(201).json({ material });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE a material and every version, admins or the instructor who uploaded it
+router.delete('/:id', ensureInstructor, async (req, res) => {
+  try {
+    const material = await Material.findById(req.params.id);
+    if (!material) return res.status(404).json({ message: 'Material not found' });
+    if (req.user.role !== 'admin' && material.created_by !== req.user.id) {
+      return res.status(403).json({ message: 'Only the uploader or an admin can delete this material' });
+    }
+
+    await Material.delete(material.id);
+    res.json({ message: 'Material deleted' });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Calendar = require('../models/Calendar');
+const Recommendation = require('../models/Recommendation');
+const Review = require('../models/Review');
+const { ensureAuthenticated } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+
+// routes about the logged-in user
+router.use(ensureAuthenticated);
+
+// subscription URLs for a calendar token (https for downloads, webcal for calendar apps)
+const calendarUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+// GET my calendar subscription URL (created on first request)
+router.get('/calendar', async (req, res) => {
+  try {
+    const token = await User.getCalendarToken(req.user.id);
+    res.json(calendarUrls(req, token));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST replace my subscription URL, e.g. after sharing it by mistake
+router.post('/calendar/reset', async (req, res) => {
+  try {
+    const token = await User.resetCalendarToken(req.user.id);
+    res.json(calendarUrls(req, token));
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET my weekly schedule as a one-off .ics download
+router.get('/calendar.ics', async (req, res) => {
+  try {
+    const feed = await Calendar.buildFeed(req.user);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="schedule.ics"');
+    res.send(feed);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET courses recommended from what I have taken (?limit=20)
+// leaves out courses I completed, am taking or reviewed
+router.get('/recommendations', async (req, res) => {
+  try {
+    const { limit } = parsePagination(req.query);
+    const recommendations = await Recommendation.findForUser(req.user.id, limit);
+    res.json({ recommendations });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET every review I wrote, hidden ones come with hidden_reason and the moderator's hidden_note
+router.get('/reviews', async (req, res) => {
+  try {
+    const reviews = await Review.findByUser(req.user.id);
+    res.json({ reviews });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
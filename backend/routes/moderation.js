@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const ReviewModeration = require('../models/ReviewModeration');
+const { ensureAdmin } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+
+// review moderation queue, admins only
+router.use(ensureAdmin);
+
+// GET reported reviews, most reported first (?status=open|hidden&limit=20&offset=0)
+router.get('/reviews', async (req, res) => {
+  try {
+    const { limit, offset } = parsePagination(req.query);
+    const reviews = await ReviewModeration.findQueue({ status: req.query.status }, { limit, offset });
+    res.json({ reviews });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET a review with its reports and moderation log
+router.get('/reviews/:id', async (req, res) => {
+  try {
+    const review = await ReviewModeration.findReview(req.params.id);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET moderation log of a review, also after it was deleted
+router.get('/reviews/:id/log', async (req, res) => {
+  try {
+    const log = await ReviewModeration.findLog(req.params.id);
+    res.json({ log });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST hide a review ({ reason, note }), the author sees the reason and note
+router.post('/reviews/:id/hide', async (req, res) => {
+  try {
+    const review = await ReviewModeration.hide(req.params.id, req.body || {}, req.user);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST make a hidden review visible again ({ note })
+router.post('/reviews/:id/restore', async (req, res) => {
+  try {
+    const review = await ReviewModeration.restore(req.params.id, req.body || {}, req.user);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST close the open reports and keep the review ({ note })
+router.post('/reviews/:id/dismiss', async (req, res) => {
+  try {
+    const review = await ReviewModeration.dismiss(req.params.id, req.body || {}, req.user);
+    res.json({ review });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE a review for good ({ reason, note }), the decision stays in the log
+router.delete('/reviews/:id', async (req, res) => {
+  try {
+    await ReviewModeration.delete(req.params.id, req.body || {}, req.user);
+    res.json({ message: 'Review deleted' });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { ensureAuthenticated } = require('../middleware/auth');
+
+router.use(ensureAuthenticated);
+
+// GET my notifications (?unread=true)
+router.get('/', async (req, res) => {
+  try {
+    const notifications = await Notification.findByUser(req.user.id, req.query);
+    const unread = await Notification.countUnread(req.user.id);
+    res.json({ notifications, unread });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT mark all notifications read
+router.put('/read', async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.user.id);
+    res.json({ updated });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT mark one notification read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const updated = await Notification.markRead(req.params.id, req.user.id);
+    if (!updated) return res.status(404).json({ message: 'Notification not found' });
+    res.json({ message: 'Notification marked as read' });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
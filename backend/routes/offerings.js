@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const Offering = require('../models/Offering');
+const Waitlist = require('../models/Waitlist');
+const Professor = require('../models/Professor');
+const { ensureAdmin } = require('../middleware/auth');
+
+// GET single offering with instructors and meeting times
+router.get('/:id', async (req, res) => {
+  try {
+    const offering = await Offering.getOfferingWithDetails(req.params.id);
+    if (!offering) return res.status(404).json({ message: 'Offering not found' });
+    res.json({ offering });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET the waitlist of an offering in queue order, admin only
+router.get('/:id/waitlist', ensureAdmin, async (req, res) => {
+  try {
+    const waitlist = await Waitlist.findByOffering(req.params.id);
+    res.json({ waitlist });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT edit the section, schedule or capacity of an offering, admin only (fields left out keep their value)
+router.put('/:id', ensureAdmin, async (req, res) => {
+  try {
+    const { section, schedule, capacity } = req.body || {};
+    const offering = await Offering.update(req.params.id, { section, schedule, capacity });
+    res.json({ offering });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST assign an instructor for this term ({ professorId, role }), admin only
+router.post('/:id/instructors', ensureAdmin, async (req, res) => {
+  try {
+    const { professorId, role } = req.body || {};
+    if (!professorId) return res.status(400).json({ message: 'professorId is required' });
+
+    const professor = await Professor.findById(professorId);
+    if (!professor) return res.status(404).json({ message: 'Professor not found' });
+
+    const instructors = await Offering.addInstructor(req.params.id, professor.id, role || 'Instructor', { userId: req.user.id });
+    res.status(201).json({ instructors });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE remove an instructor from this term, admin only
+router.delete('/:id/instructors/:professorId', ensureAdmin, async (req, res) => {
+  try {
+    const offering = await Offering.findById(req.params.id);
+    if (!offering) return res.status(404).json({ message: 'Offering not found' });
+
+    const instructors = await Offering.removeInstructor(offering.id, req.params.professorId);
+    res.json({ instructors });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
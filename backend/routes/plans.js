@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const DegreePlan = require('../models/DegreePlan');
+const { ensureAuthenticated } = require('../middleware/auth');
+
+// every planner route works on the logged-in student's own plans
+router.use(ensureAuthenticated);
+
+// GET my plans
+router.get('/', async (req, res) => {
+  try {
+    const plans = await DegreePlan.findByUser(req.user.id);
+    res.json({ plans });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST new plan ({ name, terms: [{ semester, year, courseIds }] })
+router.post('/', async (req, res) => {
+  try {
+    const plan = await DegreePlan.create(req.user.id, req.body || {});
+    res.status(201).json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET single plan with its terms and courses
+router.get('/:id', async (req, res) => {
+  try {
+    const plan = await DegreePlan.findById(req.params.id, req.user.id);
+    if (!plan) return res.status(404).json({ message: 'Plan not found' });
+    res.json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT rename plan
+router.put('/:id', async (req, res) => {
+  try {
+    const plan = await DegreePlan.update(req.params.id, req.user.id, req.body || {});
+    res.json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE plan
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await DegreePlan.delete(req.params.id, req.user.id);
+    if (!deleted) return res.status(404).json({ message: 'Plan not found' });
+    res.json({ message: 'Plan deleted' });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// PUT move/reorder courses ({ terms: [{ id, courseIds }] })
+router.put('/:id/order', async (req, res) => {
+  try {
+    const plan = await DegreePlan.reorder(req.params.id, req.user.id, (req.body || {}).terms);
+    res.json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET unmet requirements for every planned course
+router.get('/:id/validate', async (req, res) => {
+  try {
+    const validation = await DegreePlan.validate(req.params.id, req.user.id);
+    if (!validation) return res.status(404).json({ message: 'Plan not found' });
+    res.json(validation);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET estimated workload of each planned term
+router.get('/:id/workload', async (req, res) => {
+  try {
+    const workload = await DegreePlan.getWorkload(req.params.id, req.user.id);
+    if (!workload) return res.status(404).json({ message: 'Plan not found' });
+    res.json(workload);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST copy of a plan ({ name } optional)
+router.post('/:id/clone', async (req, res) => {
+  try {
+    const plan = await DegreePlan.clone(req.params.id, req.user.id, (req.body || {}).name);
+    res.status(201).json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST new term ({ semester, year })
+router.post('/:id/terms', async (req, res) => {
+  try {
+    const plan = await DegreePlan.addTerm(req.params.id, req.user.id, req.body || {});
+    res.status(201).json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE term and its courses
+router.delete('/:id/terms/:termId', async (req, res) => {
+  try {
+    const plan = await DegreePlan.removeTerm(req.params.id, req.user.id, req.params.termId);
+    res.json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST course into a term ({ courseId })
+router.post('/:id/terms/:termId/courses', async (req, res) => {
+  try {
+    const { courseId } = req.body || {};
+    if (!courseId) return res.status(400).json({ message: 'courseId is required' });
+
+    const plan = await DegreePlan.addCourse(req.params.id, req.user.id, req.params.termId, courseId);
+    res.status(201).json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE course from a term
+router.delete('/:id/terms/:termId/courses/:courseId', async (req, res) => {
+  try {
+    const plan = await DegreePlan.removeCourse(
+      req.params.id, req.user.id, req.params.termId, req.params.courseId
+    );
+    res.json({ plan });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,82 +1,156 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database/db');
+const Professor = require('../models/Professor');
+const Revision = require('../models/Revision');
+const GradeDistribution = require('../models/GradeDistribution');
+const Review = require('../models/Review');
+const { parsePagination } = require('../utils/pagination');
+const { ensureAdmin } = require('../middleware/auth');
 
-// GET all professors
-router.get('/', (req, res) => {
-  const { search, department } = req.query;
+// GET all professors (search is ranked by relevance)
+// archived professors are left out unless an admin asks for includeArchived=true
+// ?sort=name|department|rating|difficulty|reviews|courses|relevance&order=asc|desc&limit=20&offset=0
+router.get('/', async (req, res) => {
+  try {
+    const { search, department, sort, order } = req.query;
+    const includeArchived = req.query.includeArchived === 'true';
 
-  let query = `SELECT * FROM professors WHERE 1=1`;
-  const params = [];
+    if (includeArchived && (!req.user || req.user.role !== 'admin')) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const { limit, offset } = parsePagination(req.query);
+    const filters = { search, department, includeArchived };
 
-  if (search) {
-    query += ` AND name LIKE ?`;
-    params.push(`%${search}%`);
+    const professors = await Professor.findAll(filters, { sort, order, limit, offset });
+    const total = await Professor.count(filters);
+    res.json({ professors, total, limit, offset });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
-  if (department) {
-    query += ` AND department = ?`;
-    params.push(department);
+});
+
+// GET single professor with the courses they teach (archived courses are left out)
+router.get('/:id', async (req, res) => {
+  try {
+    const professor = await Professor.findById(req.params.id);
+    if (!professor) return res.status(404).json({ message: 'Professor not found' });
+
+    const courses = await Professor.getCourses(professor.id);
+    res.json({ professor: { ...professor, courses } });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
   }
+});
+
+// PUT edit a professor, admin only (fields left out keep their value)
+router.put('/:id', ensureAdmin, async (req, res) => {
+  try {
+    const existing = await Professor.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Professor not found' });
 
-  db.all(query, params, (err, rows) => {
-    if (err) return res.status(500).json({ message: err.message });
-    res.json({ professors: rows });
-  });
+    const body = req.body || {};
+    const data = {};
+    ['name', 'department', 'email', 'office'].forEach(field => {
+      data[field] = body[field] === undefined ? existing[field] : body[field];
+    });
+    if (!data.name) return res.status(400).json({ message: 'Name is required' });
+
+    const professor = await Professor.update(existing.id, data, { userId: req.user.id });
+    res.json({ professor });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
-// GET single professor
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
+// DELETE archive a professor, admin only (their reviews and history are kept)
+router.delete('/:id', ensureAdmin, async (req, res) => {
+  try {
+    const professor = await Professor.archive(req.params.id);
+    res.json({ professor });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
 
-  db.get(`SELECT * FROM professors WHERE id = ?`, [id], (err, professor) => {
-    if (err) return res.status(500).json({ message: err.message });
-    if (!professor) return res.status(404).json({ message: 'Professor not found' });
+// POST restore an archived professor, admin only
+router.post('/:id/restore', ensureAdmin, async (req, res) => {
+  try {
+    const professor = await Professor.restore(req.params.id);
+    res.json({ professor });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
 
-    // get courses this professor teaches
-    db.all(`
-      SELECT c.*, cp.role
-      FROM courses c
-      JOIN course_professors cp ON c.id = cp.course_id
-      WHERE cp.professor_id = ?
-    `, [id], (err, courses) => {
-      if (err) return res.status(500).json({ message: err.message });
-      res.json({ professor: { ...professor, courses } });
-    });
-  });
+// GET every recorded version of a professor, newest first, admin only
+router.get('/:id/history', ensureAdmin, async (req, res) => {
+  try {
+    const history = await Revision.findByEntity('professor', req.params.id);
+    res.json({ history });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET one version of a professor with the full snapshot, admin only
+router.get('/:id/history/:version', ensureAdmin, async (req, res) => {
+  try {
+    const revision = await Revision.findVersion('professor', req.params.id, req.params.version);
+    if (!revision) return res.status(404).json({ message: 'Version not found' });
+    res.json({ revision });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
-// GET reviews for a professor
-router.get('/:id/reviews', (req, res) => {
-  const { id } = req.params;
-
-  db.all(`
-    SELECT r.*, u.name as user_name, c.course_code, c.course_name
-    FROM reviews r
-    JOIN users u ON r.user_id = u.id
-    LEFT JOIN courses c ON r.course_id = c.id
-    WHERE r.professor_id = ?
-    ORDER BY r.created_at DESC
-  `, [id], (err, rows) => {
-    if (err) return res.status(500).json({ message: err.message });
-    res.json({ reviews: rows });
-  });
+// POST restore a professor to an earlier version, admin only
+router.post('/:id/history/:version/revert', ensureAdmin, async (req, res) => {
+  try {
+    const professor = await Professor.revert(req.params.id, req.params.version, req.user.id);
+    res.json({ professor });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET grade distribution of the course terms a professor taught every section of, overall and per term
+// Counts describing fewer than GRADE_PRIVACY_THRESHOLD students, or that would give one away, are null
+router.get('/:id/grades', async (req, res) => {
+  try {
+    const grades = await GradeDistribution.forProfessor(req.params.id);
+    res.json({ grades });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET reviews for a professor with helpful vote totals (?sort=recent|helpful|rating_high|rating_low)
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const reviews = await Review.findByProfessor(req.params.id, {
+      sort: req.query.sort,
+      userId: req.user ? req.user.id : null
+    });
+    res.json({ reviews });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
 // POST new professor (students can add)
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   if (!req.user) return res.status(401).json({ message: 'Not authenticated' });
 
-  const { name, department } = req.body;
-  if (!name) return res.status(400).json({ message: 'Name is required' });
+  try {
+    const { name, department } = req.body || {};
+    if (!name) return res.status(400).json({ message: 'Name is required' });
 
-  db.run(
-    `INSERT OR IGNORE INTO professors (name, department) VALUES (?, ?)`,
-    [name, department || 'Unknown'],
-    function(err) {
-      if (err) return res.status(500).json({ message: err.message });
-      res.json({ message: 'Professor added!', id: this.lastID });
-    }
-  );
+    const professor = await Professor.create({ name, department: department || 'Unknown' }, { userId: req.user.id });
+    res.json({ message: 'Professor added!', id: professor.id, professor });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
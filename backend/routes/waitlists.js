@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const Waitlist = require('../models/Waitlist');
+const { ensureAuthenticated } = require('../middleware/auth');
+
+router.use(ensureAuthenticated);
+
+// GET my waitlist entries with positions
+router.get('/', async (req, res) => {
+  try {
+    const waitlists = await Waitlist.findByUser(req.user.id);
+    res.json({ waitlists });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// POST join the waitlist of a full offering ({ offeringId })
+router.post('/', async (req, res) => {
+  try {
+    const { offeringId } = req.body || {};
+    if (!offeringId) return res.status(400).json({ message: 'offeringId is required' });
+
+    const entry = await Waitlist.join(req.user.id, offeringId);
+    res.status(201).json({ entry });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// GET my position on an offering's waitlist
+router.get('/:offeringId', async (req, res) => {
+  try {
+    const entry = await Waitlist.findEntry(req.user.id, req.params.offeringId);
+    if (!entry) return res.status(404).json({ message: 'You are not on this waitlist' });
+    res.json({ entry });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// DELETE leave an offering's waitlist
+router.delete('/:offeringId', async (req, res) => {
+  try {
+    const left = await Waitlist.leave(req.user.id, req.params.offeringId);
+    if (!left) return res.status(404).json({ message: 'You are not on this waitlist' });
+    res.json({ message: 'Left waitlist' });
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// backend/tests/csv.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, formatCsvRow } = require('../utils/csv');
+
+test('text a spreadsheet would run as a formula is prefixed', () => {
+    const cells = ['=HYPERLINK("http://x","y")', '+1', '-2+3', '@SUM(A1)', '\tx', '\rx'];
+    const [row] = parseCsv(`${formatCsvRow(cells.map((cell, index) => `c${index}`))}${formatCsvRow(cells)}`);
+
+    assert.deepStrictEqual(Object.values(row), cells.map(cell => `'${cell}`));
+});
+
+test('numbers and ordinary text are written as they are', () => {
+    assert.strictEqual(formatCsvRow([-3, 2.5, 'COMP 1010', 'a, b', null]), '-3,2.5,COMP 1010,"a, b",\r\n');
+});
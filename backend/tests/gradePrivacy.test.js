@@ -0,0 +1,128 @@
+// backend/tests/gradePrivacy.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { GRADES, GRADE_POINTS } = require('../utils/grades');
+const { MIN_GROUP_SIZE, summarizeGrades, summarizeBreakdown, summarizeNestedBreakdown } = require('../utils/gradePrivacy');
+
+// Rows for a group from { grade: count }
+const rowsOf = (counts) => Object.entries(counts).flatMap(([grade, count]) => Array(count).fill({ grade }));
+
+const countOf = (summary, grade) => summary.grades.find(entry => entry.grade === grade).count;
+
+/**
+ * Every way to fill the null counts of a summary that matches what it publishes
+ * (the total and the visible counts, and the average when there is one)
+ */
+const possibleCounts = (summary) => {
+    const hidden = summary.grades.filter(({ count }) => count === null).map(({ grade }) => grade);
+    const solutions = [];
+
+    const fill = (index, left, counts) => {
+        if (index === hidden.length - 1) {
+            solutions.push({ ...counts, [hidden[index]]: left });
+            return;
+        }
+        for (let count = 0; count <= left; count++) {
+            fill(index + 1, left - count, { ...counts, [hidden[index]]: count });
+        }
+    };
+    fill(0, summary.hidden_count, {});
+
+    if (summary.average_grade_points === null) return solutions;
+    return solutions.filter(counts => {
+        const rows = rowsOf(Object.fromEntries(summary.grades.map(({ grade, count }) => [grade, count === null ? counts[grade] : count])));
+        const points = rows.reduce((sum, row) => sum + GRADE_POINTS[row.grade], 0);
+        return Number((points / summary.total).toFixed(2)) === summary.average_grade_points;
+    });
+};
+
+test('hidden counts cannot be solved from the average and the zero counts', () => {
+    const summary = summarizeGrades(rowsOf({ A: 1, B: 5, F: 4 }));
+
+    assert.strictEqual(summary.total, 10);
+    assert.strictEqual(countOf(summary, 'B'), 5);
+    assert.strictEqual(countOf(summary, 'A'), null);
+    assert.strictEqual(countOf(summary, 'F'), null);
+    assert.strictEqual(summary.average_grade_points, null);
+    assert.strictEqual(countOf(summary, 'C'), null, 'a zero count next to hidden ones is hidden too');
+
+    const solutions = possibleCounts(summary);
+    ['A', 'F'].forEach(grade => {
+        assert.ok(new Set(solutions.map(counts => counts[grade])).size > 1, `${grade} can be worked out`);
+    });
+});
+
+test('groups with nothing hidden report every count and the average', () => {
+    const summary = summarizeGrades(rowsOf({ A: 5, B: 5 }));
+
+    assert.strictEqual(summary.suppressed, false);
+    assert.strictEqual(summary.average_grade_points, 3.5);
+    assert.strictEqual(countOf(summary, 'F'), 0);
+});
+
+test('a small term cannot be worked out from the overall counts', () => {
+    const winter = rowsOf({ A: 5, B: 5 });
+    const fall = rowsOf({ A: 2, B: 5 });
+    const { summary, parts } = summarizeBreakdown([...winter, ...fall], [winter, fall]);
+
+    assert.strictEqual(countOf(parts[0], 'A'), 5);
+    assert.strictEqual(countOf(parts[1], 'A'), null);
+    assert.strictEqual(countOf(summary, 'A'), null, 'overall A minus Winter A gives Fall A');
+});
+
+test('no hidden term count can be worked out by subtracting the visible terms', () => {
+    const groups = [
+        rowsOf({ A: 10, B: 8 }),
+        rowsOf({ A: 6, B: 5, D: 1, F: 4 }),
+        rowsOf({ A: 3 }),
+        rowsOf({ A: 2 })
+    ];
+    const { summary, parts } = summarizeBreakdown(groups.flat(), groups);
+    assert.ok(summary.grades.some(({ count }) => count !== null), 'some overall counts are reported');
+
+    GRADES.forEach(grade => {
+        const overall = countOf(summary, grade);
+        if (overall === null) return;
+
+        // The overall count only shows when no reported term hides that grade
+        const reported = parts.filter(part => part.total !== null);
+        reported.forEach(part => assert.notStrictEqual(countOf(part, grade), null, `${grade} is hidden in a term`));
+
+        // What is left over belongs to the unreported terms taken together, a group too big to hide
+        const left = overall - reported.reduce((sum, part) => sum + countOf(part, grade), 0);
+        assert.ok(left === 0 || left >= MIN_GROUP_SIZE, `${left} ${grade} grades can be worked out`);
+    });
+});
+
+test('a term is reported the same whatever the other terms are', () => {
+    const term = rowsOf({ A: 6, B: 2, C: 4 });
+    const alone = summarizeBreakdown(term, [term]).parts[0];
+    const withSmallTerm = summarizeBreakdown([...term, ...rowsOf({ A: 1 })], [term, rowsOf({ A: 1 })]).parts[0];
+
+    assert.deepStrictEqual(withSmallTerm, alone);
+});
+
+test('a professor\'s term does not give away a small course term reported on the course page', () => {
+    const bigCourse = rowsOf({ A: 5, B: 5 });
+    const smallCourse = rowsOf({ A: 2, B: 1 });
+    const { summary, parts } = summarizeNestedBreakdown([[bigCourse, smallCourse]]);
+
+    assert.strictEqual(summarizeGrades(bigCourse).suppressed, false, 'the big course term is fully reported');
+    ['A', 'B'].forEach(grade => {
+        assert.strictEqual(countOf(parts[0], grade), null, `${grade} minus the big course term gives the small one`);
+        assert.strictEqual(countOf(summary, grade), null);
+    });
+});
+
+test('a professor\'s overall counts hide what their terms and course terms hide', () => {
+    const groups = [
+        [rowsOf({ A: 6, B: 6 })],
+        [rowsOf({ A: 5, B: 6 }), rowsOf({ A: 1, C: 2 })]
+    ];
+    const { summary, parts } = summarizeNestedBreakdown(groups);
+
+    assert.strictEqual(countOf(parts[0], 'A'), 6);
+    GRADES.filter(grade => parts.some(part => countOf(part, grade) === null)).forEach(grade => {
+        assert.strictEqual(countOf(summary, grade), null, `${grade} is hidden in a term`);
+    });
+});
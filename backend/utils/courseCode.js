@@ -0,0 +1,29 @@
+// backend/utils/courseCode.js
+
+// Matches codes like "COMP 2140", "comp2140" and "COMP-2140"
+const COURSE_CODE_PATTERN = /([A-Za-z]{2,4})\s*-?\s*(\d{4})/;
+
+/**
+ * Normalize a course code to the catalog format ("COMP 2140")
+ * Returns the trimmed, upper-cased input when it does not look like a course code
+ */
+const normalizeCourseCode = (code) => {
+    const value = String(code || '').trim();
+    const match = value.match(new RegExp(`^${COURSE_CODE_PATTERN.source}$`));
+    return match ? `${match[1].toUpperCase()} ${match[2]}` : value.toUpperCase();
+};
+
+/**
+ * Find the first course code mentioned in a piece of text
+ * Returns the normalized code or null
+ */
+const extractCourseCode = (text) => {
+    const match = String(text || '').match(COURSE_CODE_PATTERN);
+    return match ? `${match[1].toUpperCase()} ${match[2]}` : null;
+};
+
+module.exports = {
+    COURSE_CODE_PATTERN,
+    normalizeCourseCode,
+    extractCourseCode
+};
@@ -0,0 +1,23 @@
+// backend/utils/courseFilters.js
+
+/**
+ * Read the course browser filters (see Course.buildFilterQuery) from query
+ * string values, converting numbers and booleans
+ */
+const parseCourseFilters = (query = {}) => {
+    const { search, department, semester, year, credits, minRating, hasSeats, includeArchived } = query;
+    return {
+        search,
+        department,
+        semester,
+        year,
+        credits: credits ? Number(credits) : undefined,
+        minRating: minRating ? Number(minRating) : undefined,
+        hasSeats: hasSeats === 'true' ? true : hasSeats === 'false' ? false : undefined,
+        includeArchived: includeArchived === 'true'
+    };
+};
+
+module.exports = {
+    parseCourseFilters
+};
@@ -0,0 +1,81 @@
+// backend/utils/csv.js
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * The first row is the header, every other row becomes an object keyed by it.
+ * Blank lines are skipped and missing trailing cells are empty strings
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return [];
+    }
+
+    const header = nonEmpty[0].map(name => name.trim());
+    return nonEmpty.slice(1).map(cells => Object.fromEntries(
+        header.map((name, index) => [name, cells[index] === undefined ? '' : cells[index]])
+    ));
+};
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV line, quoting values that contain commas, quotes or newlines
+ * null and undefined become empty cells. Text that a spreadsheet would run as
+ * a formula (a review starting with "=HYPERLINK(...)") is prefixed with ', numbers are kept
+ */
+const formatCsvRow = (values) => values.map(value => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+module.exports = {
+    parseCsv,
+    formatCsvRow
+};
@@ -0,0 +1,74 @@
+// backend/utils/export.js
+const { formatCsvRow } = require('./csv');
+
+// Supported export formats with their HTTP content type and file extension
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Write a chunk, waiting for 'drain' when the stream's buffer is full
+ * Rejects if the stream closes first (e.g. the client disconnected)
+ */
+const write = (stream, chunk) => {
+    if (stream.destroyed) {
+        return Promise.reject(new Error('Export stream was closed'));
+    }
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            stream.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            stream.off('drain', onDrain);
+            reject(new Error('Export stream was closed'));
+        };
+        stream.once('drain', onDrain);
+        stream.once('close', onClose);
+    });
+};
+
+/**
+ * Stream rows to a writable stream as CSV, a JSON array or NDJSON
+ * Rows are written as they arrive, so an async iterator over a query keeps
+ * memory flat however large the export is. Only the given columns are written
+ * @returns {number} Rows written
+ */
+const writeExport = async (stream, rows, { format, columns }) => {
+    const pick = (row) => Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+    let count = 0;
+
+    if (format === 'csv') {
+        await write(stream, formatCsvRow(columns));
+    } else if (format === 'json') {
+        await write(stream, '[');
+    }
+
+    for await (const row of rows) {
+        if (format === 'csv') {
+            await write(stream, formatCsvRow(columns.map(column => row[column])));
+        } else if (format === 'json') {
+            await write(stream, `${count === 0 ? '\n' : ',\n'}${JSON.stringify(pick(row))}`);
+        } else {
+            await write(stream, `${JSON.stringify(pick(row))}\n`);
+        }
+        count++;
+    }
+
+    if (format === 'json') {
+        await write(stream, count === 0 ? ']\n' : '\n]\n');
+    }
+
+    return count;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    writeExport
+};
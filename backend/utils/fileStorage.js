@@ -0,0 +1,53 @@
+// backend/utils/fileStorage.js
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Uploaded files live here, outside the database. Set MATERIALS_DIR to move them
+const MATERIALS_DIR = path.resolve(process.env.MATERIALS_DIR || path.join(__dirname, '..', 'uploads', 'materials'));
+
+/**
+ * Path of a stored file, files are named by their SHA-256 hash and spread
+ * over subdirectories by the first two characters
+ */
+const filePath = (sha256) => path.join(MATERIALS_DIR, sha256.slice(0, 2), sha256);
+
+/**
+ * Store file content by its hash, identical uploads share one file
+ * The content is written to a temporary file first and renamed into place,
+ * so a file at its final path is always complete
+ * @returns {Object} { sha256, size }
+ */
+const storeFile = async (buffer) => {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const target = filePath(sha256);
+
+    try {
+        await fs.access(target);
+    } catch {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+        await fs.writeFile(temporary, buffer);
+        await fs.rename(temporary, target);
+    }
+
+    return { sha256, size: buffer.length };
+};
+
+/**
+ * Delete a stored file, a file that is already gone is ignored
+ */
+const removeFile = async (sha256) => {
+    try {
+        await fs.unlink(filePath(sha256));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+module.exports = {
+    MATERIALS_DIR,
+    filePath,
+    storeFile,
+    removeFile
+};
@@ -0,0 +1,55 @@
+// backend/utils/fileTypes.js
+const path = require('path');
+
+// Largest accepted upload, in bytes
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const startsWith = (bytes) => (buffer) => buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+// Plain text has no NUL bytes and decodes as UTF-8
+const isText = (buffer) => !buffer.includes(0) && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+
+// File types accepted for course materials, keyed by extension
+// The file content must match the extension, whatever type the client claims
+const FILE_TYPES = {
+    pdf: { contentType: 'application/pdf', matches: startsWith([0x25, 0x50, 0x44, 0x46, 0x2d]) },
+    docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        matches: startsWith([0x50, 0x4b, 0x03, 0x04])
+    },
+    doc: { contentType: 'application/msword', matches: startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+    txt: { contentType: 'text/plain; charset=utf-8', matches: isText },
+    md: { contentType: 'text/markdown; charset=utf-8', matches: isText }
+};
+
+/**
+ * Find the type of an uploaded file from its name and check its content
+ * Returns { extension, contentType } or null when the type is not accepted
+ * or the content does not match the extension
+ */
+const detectFileType = (fileName, buffer) => {
+    const extension = path.extname(String(fileName || '')).slice(1).toLowerCase();
+    const type = FILE_TYPES[extension];
+    if (!type || !type.matches(buffer)) {
+        return null;
+    }
+    return { extension, contentType: type.contentType };
+};
+
+/**
+ * Make a client-supplied file name safe to store and send back in headers
+ * Keeps the base name only, without control characters, at most 200 characters
+ */
+const sanitizeFileName = (fileName) => {
+    const name = path.basename(String(fileName || '').replace(/\\/g, '/'))
+        .replace(/[\u0000-\u001f\u007f"]/g, '')
+        .trim();
+    return name.slice(-200) || 'file';
+};
+
+module.exports = {
+    MAX_FILE_SIZE,
+    FILE_TYPES,
+    detectFileType,
+    sanitizeFileName
+};
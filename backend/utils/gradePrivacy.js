@@ -0,0 +1,117 @@
+// backend/utils/gradePrivacy.js
+const { GRADES, GRADE_POINTS } = require('./grades');
+
+// Smallest number of students a reported count may describe
+const MIN_GROUP_SIZE = Number(process.env.GRADE_PRIVACY_THRESHOLD) || 5;
+
+/**
+ * Grades shown as null in a summary
+ */
+const nullGrades = (summary) => summary.grades.filter(({ count }) => count === null).map(({ grade }) => grade);
+
+/**
+ * Count the grades of a group of rows ({ grade }), applying the privacy threshold
+ * A group with fewer than MIN_GROUP_SIZE students reports nothing. Otherwise
+ * every grade held by 1 to MIN_GROUP_SIZE - 1 students is hidden, then the
+ * smallest remaining counts until the hidden ones add up to MIN_GROUP_SIZE.
+ * Once anything is hidden the average and the zero counts are left out too,
+ * they would give away the hidden counts
+ * @param {Array} forced - Grades to hide whatever their count
+ * @returns {Object} { total, average_grade_points, suppressed, hidden_count, grades: [{ grade, count }] }
+ */
+const summarizeGrades = (rows, forced = []) => {
+    const total = rows.length;
+    if (total < MIN_GROUP_SIZE) {
+        return {
+            total: null,
+            average_grade_points: null,
+            suppressed: total > 0,
+            hidden_count: null,
+            grades: GRADES.map(grade => ({ grade, count: null }))
+        };
+    }
+
+    const counts = GRADES.map(grade => ({ grade, count: rows.filter(row => row.grade === grade).length }));
+
+    const hidden = new Set([
+        ...forced,
+        ...counts.filter(({ count }) => count > 0 && count < MIN_GROUP_SIZE).map(({ grade }) => grade)
+    ]);
+    const hiddenCount = () => counts.filter(({ grade }) => hidden.has(grade)).reduce((sum, { count }) => sum + count, 0);
+
+    // Hide the smallest remaining counts until the hidden ones cannot be derived
+    while (hidden.size > 0 && hiddenCount() < MIN_GROUP_SIZE) {
+        const next = counts
+            .filter(({ grade, count }) => !hidden.has(grade) && count > 0)
+            .sort((a, b) => a.count - b.count)[0];
+        hidden.add(next.grade);
+    }
+
+    if (hidden.size > 0) {
+        counts.filter(({ count }) => count === 0).forEach(({ grade }) => hidden.add(grade));
+    }
+
+    const points = rows.reduce((sum, row) => sum + GRADE_POINTS[row.grade], 0);
+    return {
+        total,
+        average_grade_points: hidden.size > 0 ? null : Number((points / total).toFixed(2)),
+        suppressed: hidden.size > 0,
+        hidden_count: hiddenCount(),
+        grades: counts.map(({ grade, count }) => ({ grade, count: hidden.has(grade) ? null : count }))
+    };
+};
+
+/**
+ * Grades a group split into subgroups has to hide so that no hidden count
+ * can be worked out by subtracting the subgroups from the group: every grade
+ * a reported subgroup hides, and the grades hidden for the subgroups that
+ * report nothing taken together
+ * @param {Array} parts - Summary of each subgroup, in the order of groups
+ */
+const hiddenBySubgroups = (groups, parts) => {
+    const forced = new Set(parts.filter(part => part.total !== null).flatMap(nullGrades));
+    const unreported = groups.filter((group, index) => parts[index].total === null).flat();
+    if (unreported.length > 0) {
+        nullGrades(summarizeGrades(unreported)).forEach(grade => forced.add(grade));
+    }
+    return [...forced];
+};
+
+/**
+ * Summarize a group and its breakdown into subgroups (terms, ...) that split its rows
+ * A subgroup is summarized from its own rows only, so the same students get
+ * the same counts wherever they are reported
+ * @returns {Object} { summary, parts } with the summary of each subgroup in order
+ */
+const summarizeBreakdown = (rows, groups) => {
+    const parts = groups.map(group => summarizeGrades(group));
+    return { summary: summarizeGrades(rows, hiddenBySubgroups(groups, parts)), parts };
+};
+
+/**
+ * Summarize a group broken down in two levels, each subgroup being itself
+ * split into smaller groups that are reported elsewhere (a professor's terms
+ * made of course terms, reported on the course pages)
+ * Subgroups and the group hide what would let a smaller group be worked out
+ * by subtraction, from either level
+ * @param {Array} groups - Subgroups, each a list of smaller groups of rows
+ * @returns {Object} { summary, parts } with the summary of each subgroup in order
+ */
+const summarizeNestedBreakdown = (groups) => {
+    const subgroups = groups.map(group => group.flat());
+    const parts = groups.map((group, index) => summarizeBreakdown(subgroups[index], group).summary);
+
+    const smallest = groups.flat();
+    const forced = [
+        ...hiddenBySubgroups(subgroups, parts),
+        ...hiddenBySubgroups(smallest, smallest.map(group => summarizeGrades(group)))
+    ];
+    return { summary: summarizeGrades(subgroups.flat(), forced), parts };
+};
+
+module.exports = {
+    MIN_GROUP_SIZE,
+    summarizeGrades,
+    summarizeBreakdown,
+    summarizeNestedBreakdown
+};
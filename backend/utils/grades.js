@@ -0,0 +1,57 @@
+// backend/utils/grades.js
+
+// University of Manitoba letter grades and their grade points
+const GRADE_POINTS = {
+    'A+': 4.5,
+    'A': 4.0,
+    'B+': 3.5,
+    'B': 3.0,
+    'C+': 2.5,
+    'C': 2.0,
+    'D': 1.0,
+    'F': 0
+};
+
+const GRADES = Object.keys(GRADE_POINTS);
+
+/**
+ * Normalize a letter grade ("b+" -> "B+"), returns null for empty input
+ */
+const normalizeGrade = (grade) => {
+    if (grade === undefined || grade === null || String(grade).trim() === '') {
+        return null;
+    }
+    return String(grade).trim().toUpperCase();
+};
+
+/**
+ * Check whether a value is a known letter grade
+ */
+const isValidGrade = (grade) => {
+    const normalized = normalizeGrade(grade);
+    return normalized !== null && normalized in GRADE_POINTS;
+};
+
+/**
+ * Check whether a grade meets a minimum grade requirement
+ * A missing minimum only requires a passing grade (anything above F)
+ */
+const meetsMinimumGrade = (grade, minimumGrade) => {
+    const normalized = normalizeGrade(grade);
+    if (!isValidGrade(normalized)) {
+        return false;
+    }
+    const minimum = normalizeGrade(minimumGrade);
+    if (!isValidGrade(minimum)) {
+        return GRADE_POINTS[normalized] > GRADE_POINTS.F;
+    }
+    return GRADE_POINTS[normalized] >= GRADE_POINTS[minimum];
+};
+
+module.exports = {
+    GRADE_POINTS,
+    GRADES,
+    normalizeGrade,
+    isValidGrade,
+    meetsMinimumGrade
+};
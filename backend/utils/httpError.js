@@ -0,0 +1,19 @@
+// backend/utils/httpError.js
+
+/**
+ * Create an Error that carries an HTTP status code
+ * Models throw these so routes can answer with the right status instead of a 500
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @param {Object} [details] - Optional extra data (e.g. field-level errors)
+ */
+const createHttpError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+};
+
+module.exports = { createHttpError };
@@ -0,0 +1,117 @@
+// backend/utils/ical.js
+// Minimal RFC 5545 (iCalendar) writer for schedule feeds
+
+// Schedule day codes (see utils/schedule.js) to iCalendar weekdays, and their JS getDay() numbers
+const ICAL_DAYS = { M: 'MO', T: 'TU', W: 'WE', R: 'TH', F: 'FR', S: 'SA', U: 'SU' };
+const WEEKDAY_NUMBERS = { U: 0, M: 1, T: 2, W: 3, R: 4, F: 5, S: 6 };
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets, continuation lines start with a space
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * "2025-09-03" and "10:00" -> floating local date-time "20250903T100000"
+ */
+const formatLocalDateTime = (date, time = '00:00') => `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+/**
+ * Current time as a UTC date-time ("20250903T142501Z") for DTSTAMP
+ */
+const formatUtcNow = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * First date on or after a "YYYY-MM-DD" date that falls on one of the day codes
+ * Returns null when none does before the end date
+ */
+const firstMeetingDate = (start, end, days) => {
+    const weekdays = days.map(day => WEEKDAY_NUMBERS[day]);
+    const date = new Date(`${start}T00:00:00Z`);
+    const last = new Date(`${end}T00:00:00Z`);
+
+    while (date <= last) {
+        if (weekdays.includes(date.getUTCDay())) {
+            return date.toISOString().slice(0, 10);
+        }
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return null;
+};
+
+/**
+ * Build a VCALENDAR document
+ * Times are floating local times, so classes show at the same clock time
+ * wherever the calendar app is
+ * @param {Object} calendar - { name, events: [{ uid, summary, description, location, date, start_time, end_time, days, until }] }
+ *   days and until (a "YYYY-MM-DD" date) make the event repeat weekly
+ */
+const formatCalendar = ({ name, events }) => {
+    const stamp = formatUtcNow();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Degree Dash//Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatLocalDateTime(event.date, event.start_time)}`,
+            `DTEND:${formatLocalDateTime(event.date, event.end_time)}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.days && event.until) {
+            const byDay = event.days.map(day => ICAL_DAYS[day]).join(',');
+            lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${byDay};UNTIL=${formatLocalDateTime(event.until, '23:59')}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    escapeText,
+    firstMeetingDate,
+    formatCalendar
+};
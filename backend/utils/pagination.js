@@ -0,0 +1,53 @@
+// backend/utils/pagination.js
+const { createHttpError } = require('./httpError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Read limit/offset from a query string, rejecting anything that is not a
+ * non-negative integer. limit is capped at MAX_LIMIT
+ */
+const parsePagination = (query = {}) => {
+    const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+    const offset = query.offset === undefined || query.offset === '' ? 0 : Number(query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw createHttpError(400, 'limit must be a positive integer');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw createHttpError(400, 'offset must be a non-negative integer');
+    }
+
+    return { limit: Math.min(limit, MAX_LIMIT), offset };
+};
+
+/**
+ * Build an ORDER BY expression from a whitelist of sort keys
+ * @param {Object} sorts - { key: { column, order } }, order is the default direction
+ * @param {string} sort - Requested key, falls back to fallback when empty
+ * @param {string} order - 'asc' or 'desc', falls back to the key's default
+ * @param {string} fallback - Key used when no sort is requested
+ */
+const buildOrderBy = (sorts, sort, order, fallback) => {
+    const key = sort || fallback;
+    const definition = sorts[key];
+    if (!definition) {
+        throw createHttpError(400, `sort must be one of ${Object.keys(sorts).join(', ')}`);
+    }
+
+    const direction = String(order || definition.order).toLowerCase();
+    if (direction !== 'asc' && direction !== 'desc') {
+        throw createHttpError(400, 'order must be asc or desc');
+    }
+
+    // Courses and professors without reviews have NULL aggregates, keep them at the end
+    return `${definition.column} ${direction.toUpperCase()} NULLS LAST`;
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parsePagination,
+    buildOrderBy
+};
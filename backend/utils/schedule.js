@@ -0,0 +1,94 @@
+// backend/utils/schedule.js
+
+// Single-letter day codes, R is Thursday and U is Sunday
+const DAYS = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+// Two-letter spellings accepted in schedule strings ("TuTh", "MoWeFr")
+const DAY_ALIASES = [
+    ['Mo', 'M'], ['Tu', 'T'], ['We', 'W'], ['Th', 'R'],
+    ['Fr', 'F'], ['Sa', 'S'], ['Su', 'U']
+];
+
+// "MWF 10:00-11:15 EITC E2 130" -> days, start, end, optional location
+const MEETING_PATTERN = /^([A-Za-z]+)\s+(\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?)\s*-\s*(\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?)\s*(.*)$/i;
+
+// Values that mean the course has no fixed meeting time
+const UNSCHEDULED_PATTERN = /^\s*(tba|tbd|online|n\/a|none)?\s*$/i;
+
+/**
+ * Convert "1:05pm" or "13:05" to 24-hour "HH:MM"
+ */
+const toTwentyFourHour = (time) => {
+    const match = time.trim().match(/^(\d{1,2}):(\d{2})\s*([ap])?/i);
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const meridiem = match[3] && match[3].toLowerCase();
+
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+
+    if (hours > 23 || minutes > 59) {
+        throw new Error(`Invalid time: ${time.trim()}`);
+    }
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Expand a day string ("MWF", "TR", "TuTh") into day codes
+ */
+const parseDays = (text) => {
+    let normalized = text;
+    DAY_ALIASES.forEach(([alias, day]) => {
+        normalized = normalized.split(alias).join(day);
+    });
+    normalized = normalized.toUpperCase();
+
+    const days = [...normalized];
+    if (days.length === 0 || days.some(day => !DAYS.includes(day))) {
+        throw new Error(`Invalid days: ${text}`);
+    }
+    return [...new Set(days)].sort((a, b) => DAYS.indexOf(a) - DAYS.indexOf(b));
+};
+
+/**
+ * Parse a schedule string into meetings
+ * Several meetings can be separated by ";" or new lines:
+ *   "MWF 10:00-11:15; R 14:30-16:20 EITC E2 320"
+ * Returns [] for empty/TBA schedules and throws on anything it cannot read
+ * @returns {Array} [{ days: ['M', 'W', 'F'], start_time: '10:00', end_time: '11:15', location }]
+ */
+const parseSchedule = (text) => {
+    if (!text || UNSCHEDULED_PATTERN.test(text)) {
+        return [];
+    }
+
+    return String(text)
+        .split(/;|\n/)
+        .map(segment => segment.trim())
+        .filter(segment => segment.length > 0)
+        .map(segment => {
+            const match = segment.match(MEETING_PATTERN);
+            if (!match) {
+                throw new Error(`Could not read schedule "${segment}" (expected e.g. "MWF 10:00-11:15")`);
+            }
+
+            const startTime = toTwentyFourHour(match[2]);
+            const endTime = toTwentyFourHour(match[3]);
+            if (startTime >= endTime) {
+                throw new Error(`Meeting must end after it starts: "${segment}"`);
+            }
+
+            return {
+                days: parseDays(match[1]),
+                start_time: startTime,
+                end_time: endTime,
+                location: match[4].trim() || null
+            };
+        });
+};
+
+module.exports = {
+    DAYS,
+    parseSchedule,
+    parseDays
+};
@@ -0,0 +1,30 @@
+// backend/utils/search.js
+const { COURSE_CODE_PATTERN } = require('./courseCode');
+
+// Markers wrapped around matched terms in highlights and snippets
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+/**
+ * Turn free text into an FTS5 MATCH expression
+ * Course codes are rewritten to the compact indexed form ("COMP 2140", "comp-2140" -> comp2140),
+ * every term is a prefix match and all terms are required
+ * Returns null when the text has nothing searchable
+ */
+const buildMatchQuery = (text) => {
+    const value = String(text || '').replace(
+        new RegExp(COURSE_CODE_PATTERN.source, 'g'),
+        (match, subject, number) => `${subject}${number}`
+    );
+    const terms = value.match(/[\p{L}\p{N}]+/gu) || [];
+    if (terms.length === 0) {
+        return null;
+    }
+    return terms.map(term => `"${term.toLowerCase()}"*`).join(' ');
+};
+
+module.exports = {
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    buildMatchQuery
+};
@@ -0,0 +1,44 @@
+// backend/utils/terms.js
+
+// Academic terms in calendar order within a year
+const SEMESTERS = ['Winter', 'Summer', 'Fall'];
+
+// First and last day of classes (MM-DD) used when a term's dates are needed,
+// e.g. to repeat calendar events over the length of a term
+const TERM_DATES = {
+    Winter: { start: '01-06', end: '04-11' },
+    Summer: { start: '05-05', end: '08-15' },
+    Fall: { start: '09-03', end: '12-09' }
+};
+
+/**
+ * Check whether a value is a known semester name
+ */
+const isValidSemester = (semester) => SEMESTERS.includes(semester);
+
+/**
+ * Sortable number for a term, e.g. Fall 2024 -> 20242
+ */
+const termIndex = (semester, year) => Number(year) * 10 + SEMESTERS.indexOf(semester);
+
+/**
+ * Compare two { semester, year } objects chronologically (for Array.sort)
+ */
+const compareTerms = (a, b) => termIndex(a.semester, a.year) - termIndex(b.semester, b.year);
+
+/**
+ * First and last day of classes of a term as "YYYY-MM-DD" strings
+ */
+const termDates = (semester, year) => ({
+    start: `${year}-${TERM_DATES[semester].start}`,
+    end: `${year}-${TERM_DATES[semester].end}`
+});
+
+module.exports = {
+    SEMESTERS,
+    TERM_DATES,
+    isValidSemester,
+    termIndex,
+    compareTerms,
+    termDates
+};
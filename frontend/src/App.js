@@ -1,5 +1,6 @@
 import {BrowserRouter, Routes, Route, useLocation} from 'react-router-dom';
 import {AuthProvider} from './context/AuthContext';
+import {CompareProvider} from './context/CompareContext';
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/ProtectedRoute';
 import Home from './pages/Home';
@@ -12,6 +13,7 @@ import About from './pages/About';
 import Contact from './pages/Contact';
 import Privacy from './pages/Privacy';
 import Terms from './pages/Terms';
+import Compare from './pages/Compare';
 
 
 function AppContent() {
@@ -31,6 +33,7 @@ function AppContent() {
                 <Route path="/professors/:id" element={<Professor/>}/>
                 <Route path="/courses" element={<AllCourses/>}/>
                 <Route path="/professors" element={<AllProfessors/>}/>
+                <Route path="/compare" element={<Compare/>}/>
                 <Route path="/about" element={<About/>}/>
                 <Route path="/contact" element={<Contact/>}/>
                 <Route path="/privacy" element={<Privacy/>}/>
@@ -43,9 +46,11 @@ function AppContent() {
 function App() {
     return (
         <AuthProvider>
-            <BrowserRouter>
-                <AppContent/>
-            </BrowserRouter>
+            <CompareProvider>
+                <BrowserRouter>
+                    <AppContent/>
+                </BrowserRouter>
+            </CompareProvider>
         </AuthProvider>
     );
 }
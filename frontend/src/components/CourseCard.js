@@ -1,15 +1,40 @@
 import { Link } from 'react-router-dom';
+import { useCompare, MAX_COMPARE } from '../context/CompareContext';
 import '../styles/CourseCard.css';
 
 const CourseCard = ({ course }) => {
+  const { courseIds, addToCompare, removeFromCompare, isComparing } = useCompare();
+  // the compare list holds ids as strings
+  const courseId = String(course.id);
+  const comparing = isComparing(courseId);
+
+  // the card is a link, so keep the button from navigating
+  const handleCompare = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (comparing) {
+      removeFromCompare(courseId);
+    } else {
+      addToCompare(courseId);
+    }
+  };
+
   return (
-    <Link to={`/courses/${course._id}`} className="course-card">
-      <span className="course-card__code">{course.code}</span>
-      <h3 className="course-card__title">{course.title}</h3>
+    <Link to={`/courses/${course.id}`} className="course-card">
+      <span className="course-card__code">{course.course_code}</span>
+      <h3 className="course-card__title">{course.course_name}</h3>
       <p className="course-card__dept">{course.department}</p>
       <p className="course-card__desc">{course.description}</p>
+      <button
+        type="button"
+        className={comparing ? 'course-card__compare active' : 'course-card__compare'}
+        onClick={handleCompare}
+        disabled={!comparing && courseIds.length >= MAX_COMPARE}
+      >
+        {comparing ? 'Remove from compare' : 'Add to compare'}
+      </button>
     </Link>
   );
 };
 
-export default CourseCard;
\ No newline at end of file
+export default CourseCard;
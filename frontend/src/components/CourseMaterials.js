@@ -0,0 +1,119 @@
+import { useState, useEffect } from "react";
+import { useAuth } from "../context/AuthContext";
+import { getCourseMaterials, uploadCourseMaterial, getMaterialDownloadUrl } from "../services/courseService";
+
+const KIND_LABELS = { syllabus: 'Syllabus', outline: 'Outline', other: 'Other' };
+
+const formatSize = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+  : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+// syllabi and outlines of a course, instructors and admins can upload new ones
+function CourseMaterials({ courseId }) {
+  const { user } = useAuth();
+  const [materials, setMaterials] = useState([]);
+  const [error, setError] = useState(null);
+  const [file, setFile] = useState(null);
+  const [title, setTitle] = useState('');
+  const [kind, setKind] = useState('syllabus');
+  const [semester, setSemester] = useState('');
+  const [year, setYear] = useState('');
+  const [uploading, setUploading] = useState(false);
+
+  const canUpload = user && (user.role === 'instructor' || user.role === 'admin');
+
+  useEffect(() => {
+    let cancelled = false;
+    getCourseMaterials(courseId)
+      .then(data => {
+        if (!cancelled) {
+          setMaterials(data.materials);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load materials');
+      });
+    return () => { cancelled = true; };
+  }, [courseId]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('title', title);
+    formData.append('kind', kind);
+    if (semester && year) {
+      formData.append('semester', semester);
+      formData.append('year', year);
+    }
+
+    setUploading(true);
+    try {
+      const data = await uploadCourseMaterial(courseId, formData);
+      setMaterials(prev => [data.material, ...prev]);
+      setFile(null);
+      setTitle('');
+      setError(null);
+      e.target.reset();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="materials-section">
+      <h2>Materials</h2>
+      {error && <p className="materials-section__error">{error}</p>}
+
+      {materials.length === 0 ? (
+        <p>No syllabus or outline has been shared yet.</p>
+      ) : (
+        <ul className="materials-list">
+          {materials.map(material => (
+            <li key={material.id} className="materials-list__item">
+              <div>
+                <strong>{material.title}</strong>
+                <small>
+                  {KIND_LABELS[material.kind]} · {material.semester ? `${material.semester} ${material.year}` : 'All terms'}
+                  {' '}· {formatSize(material.size)}{material.version > 1 && ` · version ${material.version}`}
+                </small>
+              </div>
+              {user
+                ? <a href={getMaterialDownloadUrl(material.id)}>Download</a>
+                : <small>Log in to download</small>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canUpload && (
+        <form className="materials-upload" onSubmit={handleUpload}>
+          <input type="file" accept=".pdf,.doc,.docx,.txt,.md" onChange={(e) => setFile(e.target.files[0] || null)} required />
+          <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title (defaults to the file name)" />
+          <select value={kind} onChange={(e) => setKind(e.target.value)}>
+            {Object.entries(KIND_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={semester} onChange={(e) => setSemester(e.target.value)}>
+            <option value="">All terms</option>
+            <option value="Winter">Winter</option>
+            <option value="Summer">Summer</option>
+            <option value="Fall">Fall</option>
+          </select>
+          {semester && (
+            <input type="number" value={year} onChange={(e) => setYear(e.target.value)} placeholder="Year" required />
+          )}
+          <button type="submit" className="btn-primary" disabled={!file || uploading}>
+            {uploading ? 'Uploading…' : 'Upload'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default CourseMaterials;
@@ -1,17 +1,22 @@
-const Filter = ({ departments, selectedDept, onDeptChange }) => {
+// departments can be plain names or facets ({ value, count }) from GET /api/courses/facets
+const Filter = ({ departments, selectedDept, onDeptChange, className }) => {
   return (
     <select
+      className={className}
       value={selectedDept}
       onChange={(e) => onDeptChange(e.target.value)}
     >
-      <option value="">All Departments</option>
-      {departments.map((dept) => (
-        <option key={dept} value={dept}>
-          {dept}
-        </option>
-      ))}
+      <option value="all">All Departments</option>
+      {departments.map((dept) => {
+        const value = typeof dept === 'string' ? dept : dept.value;
+        return (
+          <option key={value} value={value}>
+            {typeof dept === 'string' ? value : `${value} (${dept.count})`}
+          </option>
+        );
+      })}
     </select>
   );
 };
 
-export default Filter;
\ No newline at end of file
+export default Filter;
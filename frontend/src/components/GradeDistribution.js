@@ -0,0 +1,81 @@
+import { useState, useEffect } from "react";
+import { getCourseGrades } from "../services/courseService";
+
+// histogram of the grades given in a course, overall or for one term
+function GradeDistribution({ courseId }) {
+  const [distribution, setDistribution] = useState(null);
+  const [term, setTerm] = useState('all');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getCourseGrades(courseId)
+      .then(data => {
+        if (!cancelled) {
+          setDistribution(data.grades);
+          setTerm('all');
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load grades');
+      });
+    return () => { cancelled = true; };
+  }, [courseId]);
+
+  if (error) return <p className="grades-section__error">{error}</p>;
+  if (!distribution) return null;
+
+  const selected = term === 'all'
+    ? distribution
+    : distribution.terms.find(t => `${t.semester} ${t.year}` === term) || distribution;
+  const largest = Math.max(1, ...selected.grades.map(g => g.count || 0));
+
+  return (
+    <div className="grades-section">
+      <div className="grades-section__header">
+        <h2>Grade Distribution</h2>
+        {distribution.terms.length > 0 && (
+          <select value={term} onChange={(e) => setTerm(e.target.value)}>
+            <option value="all">All terms</option>
+            {distribution.terms.map(t => (
+              <option key={`${t.semester} ${t.year}`} value={`${t.semester} ${t.year}`}>
+                {t.semester} {t.year}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {selected.total === null ? (
+        <p>
+          {selected.suppressed
+            ? `Fewer than ${distribution.threshold} graded students, grades are not shown.`
+            : 'No grades have been reported yet.'}
+        </p>
+      ) : (
+        <>
+          <div className="grades-histogram">
+            {selected.grades.map(({ grade, count }) => (
+              <div key={grade} className="grades-histogram__column">
+                <span className="grades-histogram__count">{count === null ? '–' : count}</span>
+                <div
+                  className={count === null ? 'grades-histogram__bar hidden' : 'grades-histogram__bar'}
+                  style={{ height: count === null ? '10%' : `${(count / largest) * 80}%` }}
+                />
+                <span className="grades-histogram__grade">{grade}</span>
+              </div>
+            ))}
+          </div>
+          <small>
+            {selected.total} students
+            {selected.average_grade_points !== null && ` · average ${selected.average_grade_points} grade points`}
+            {selected.suppressed && ` · ${selected.hidden_count} grades hidden to protect privacy`}
+          </small>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default GradeDistribution;
@@ -1,6 +1,7 @@
 import React, {useState} from "react";
 import {useNavigate} from "react-router-dom";
 import {useAuth} from "../context/AuthContext";
+import {useCompare} from "../context/CompareContext";
 import Logo from "../images/Logo.png";
 import ProfilePic from "../images/Logo.png";
 import "../styles/Navbar.css";
@@ -8,6 +9,7 @@ import {Link} from 'react-router-dom';
 
 function Navbar() {
     const {user, logout} = useAuth();
+    const {courseIds} = useCompare();
     const navigate = useNavigate();
     const [dropdownOpen, setDropdownOpen] = useState(false);
 
@@ -30,6 +32,7 @@ function Navbar() {
             <div className="navbar__links">
                 <Link to="/courses">View all Courses</Link>
                 <Link to="/professors">View all Professors</Link>
+                <Link to="/compare">Compare{courseIds.length > 0 && ` (${courseIds.length})`}</Link>
             </div>
 
             {user && (
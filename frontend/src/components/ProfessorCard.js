@@ -13,7 +13,7 @@ const ProfessorCard = ({ professor }) => {
   };
 
   return (
-    <Link to={`/professors/${professor._id}`} className="prof-card">
+    <Link to={`/professors/${professor.id}`} className="prof-card">
       <div className="prof-card__avatar">
         {getInitials(professor.name)}
       </div>
@@ -0,0 +1,43 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+
+const CompareContext = createContext();
+
+// the API compares two to four courses at a time
+export const MAX_COMPARE = 4;
+const STORAGE_KEY = 'compareCourseIds';
+
+export const CompareProvider = ({ children }) => {
+  const [courseIds, setCourseIds] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(courseIds));
+  }, [courseIds]);
+
+  const addToCompare = (id) => {
+    setCourseIds(prev =>
+      prev.includes(id) || prev.length >= MAX_COMPARE ? prev : [...prev, id]
+    );
+  };
+
+  const removeFromCompare = (id) => {
+    setCourseIds(prev => prev.filter(courseId => courseId !== id));
+  };
+
+  const clearCompare = () => setCourseIds([]);
+
+  const isComparing = (id) => courseIds.includes(id);
+
+  return (
+    <CompareContext.Provider value={{ courseIds, addToCompare, removeFromCompare, clearCompare, isComparing }}>
+      {children}
+    </CompareContext.Provider>
+  );
+};
+
+export const useCompare = () => useContext(CompareContext);
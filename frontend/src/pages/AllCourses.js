@@ -1,21 +1,47 @@
-import React, { useState } from "react";
-import { courses } from "../data/dummyData";
+import React, { useState, useEffect } from "react";
+import { getAllCourses, getCourseFacets } from "../services/courseService";
 import CourseCard from "../components/CourseCard";
+import Filter from "../components/Filter";
 import '../styles/Home.css';
 
 function AllCourses() {
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedDept, setSelectedDept] = useState("all");
+  const [courses, setCourses] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [departments, setDepartments] = useState([]);
+  const [error, setError] = useState(null);
 
-  const departments = [...new Set(courses.map(c => c.department))];
+  // department counts respect the search but not the department choice itself
+  useEffect(() => {
+    let cancelled = false;
+    getCourseFacets({ search: searchTerm.trim() || undefined })
+      .then(data => {
+        if (!cancelled) setDepartments(data.facets.department);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [searchTerm]);
 
-  const filtered = courses.filter(course => {
-    const matchesSearch =
-      course.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      course.code.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesDept = selectedDept === "all" || course.department === selectedDept;
-    return matchesSearch && matchesDept;
-  });
+  useEffect(() => {
+    let cancelled = false;
+    getAllCourses({
+      search: searchTerm.trim() || undefined,
+      department: selectedDept === "all" ? undefined : selectedDept,
+      limit: 100,
+    })
+      .then(data => {
+        if (!cancelled) {
+          setCourses(data.courses);
+          setTotal(data.total);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load courses');
+      });
+    return () => { cancelled = true; };
+  }, [searchTerm, selectedDept]);
 
   return (
     <div className="home-page">
@@ -29,26 +55,24 @@ function AllCourses() {
           onChange={(e) => setSearchTerm(e.target.value)}
           className="search-input"
         />
-        <select
+        <Filter
           className="dept-filter"
-          value={selectedDept}
-          onChange={(e) => setSelectedDept(e.target.value)}
-        >
-          <option value="all">All Departments</option>
-          {departments.map(dept => (
-            <option key={dept} value={dept}>{dept}</option>
-          ))}
-        </select>
+          departments={departments}
+          selectedDept={selectedDept}
+          onDeptChange={setSelectedDept}
+        />
       </div>
 
-      <p className="results-count">{filtered.length} courses found</p>
+      {error && <p className="results-error">{error}</p>}
+
+      <p className="results-count">{total} courses found</p>
 
-      {filtered.length === 0 ? (
+      {courses.length === 0 ? (
         <p>No courses found</p>
       ) : (
         <div className="courses-container">
-          {filtered.map(course => (
-            <CourseCard key={course._id} course={course} />
+          {courses.map(course => (
+            <CourseCard key={course.id} course={course} />
           ))}
         </div>
       )}
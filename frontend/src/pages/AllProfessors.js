@@ -1,19 +1,46 @@
-import React, { useState } from "react";
-import { professors } from "../data/dummyData";
+import React, { useState, useEffect } from "react";
+import { getAllProfessors } from "../services/courseService";
 import ProfessorCard from "../components/ProfessorCard";
 import '../styles/Home.css';
 
 function AllProfessors() {
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedDept, setSelectedDept] = useState("all");
+  const [professors, setProfessors] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [departments, setDepartments] = useState([]);
+  const [error, setError] = useState(null);
 
-  const departments = [...new Set(professors.map(p => p.department))];
+  // the department choices come from every professor, not just the ones found
+  useEffect(() => {
+    let cancelled = false;
+    getAllProfessors({ limit: 100 })
+      .then(data => {
+        if (!cancelled) setDepartments([...new Set(data.professors.map(p => p.department).filter(Boolean))].sort());
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
 
-  const filtered = professors.filter(prof => {
-    const matchesSearch = prof.name.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesDept = selectedDept === "all" || prof.department === selectedDept;
-    return matchesSearch && matchesDept;
-  });
+  useEffect(() => {
+    let cancelled = false;
+    getAllProfessors({
+      search: searchTerm.trim() || undefined,
+      department: selectedDept === "all" ? undefined : selectedDept,
+      limit: 100,
+    })
+      .then(data => {
+        if (!cancelled) {
+          setProfessors(data.professors);
+          setTotal(data.total);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load professors');
+      });
+    return () => { cancelled = true; };
+  }, [searchTerm, selectedDept]);
 
   return (
     <div className="home-page">
@@ -39,14 +66,16 @@ function AllProfessors() {
         </select>
       </div>
 
-      <p className="results-count">{filtered.length} professors found</p>
+      {error && <p className="results-error">{error}</p>}
 
-      {filtered.length === 0 ? (
+      <p className="results-count">{total} professors found</p>
+
+      {professors.length === 0 ? (
         <p>No professors found</p>
       ) : (
         <div className="professors-container">
-          {filtered.map(prof => (
-            <ProfessorCard key={prof._id} professor={prof} />
+          {professors.map(prof => (
+            <ProfessorCard key={prof.id} professor={prof} />
           ))}
         </div>
       )}
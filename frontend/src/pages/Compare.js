@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useCompare } from "../context/CompareContext";
+import { compareCourses } from "../services/courseService";
+import '../styles/Compare.css';
+
+const formatNumber = (value, digits = 1) => (value === null || value === undefined ? '—' : Number(value).toFixed(digits));
+
+const formatPrerequisites = (groups) => {
+  if (!groups || groups.length === 0) return 'None';
+  return groups
+    .map(group => {
+      const options = group.courses.map(c => c.course_code).join(' or ');
+      return group.type === 'corequisite' ? `Corequisite: ${options}` : options;
+    })
+    .join('; ');
+};
+
+// one bar per score, scaled to the most common score for that course
+const Distribution = ({ counts }) => {
+  const max = Math.max(...Object.values(counts), 1);
+  return (
+    <div className="distribution">
+      {[5, 4, 3, 2, 1].map(score => (
+        <div key={score} className="distribution__row">
+          <span>{score}</span>
+          <div className="distribution__track">
+            <div className="distribution__bar" style={{ width: `${(counts[score] / max) * 100}%` }} />
+          </div>
+          <span>{counts[score]}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ROWS = [
+  { label: 'Department', render: c => c.department },
+  { label: 'Credits', render: c => c.credits },
+  { label: 'Instructors', render: c => c.professors.map(p => p.name).join(', ') || 'TBA' },
+  { label: 'Prerequisites', render: c => formatPrerequisites(c.prerequisites) },
+  {
+    label: 'Schedule',
+    render: c => c.offerings.length === 0 ? 'Not offered' : (
+      <ul className="compare-list">
+        {c.offerings.map(o => (
+          <li key={o.id}>{o.semester} {o.year} {o.section}: {o.schedule || 'TBA'}</li>
+        ))}
+      </ul>
+    )
+  },
+  { label: 'Seats available', render: c => c.seats_available },
+  { label: 'Reviews', render: c => c.review_count },
+  { label: 'Average rating', render: c => formatNumber(c.avg_rating) },
+  { label: 'Rating distribution', render: c => <Distribution counts={c.rating_distribution} /> },
+  { label: 'Average difficulty', render: c => formatNumber(c.avg_difficulty) },
+  { label: 'Difficulty distribution', render: c => <Distribution counts={c.difficulty_distribution} /> },
+  { label: 'Would recommend', render: c => c.recommend_rate === null ? '—' : `${Math.round(c.recommend_rate * 100)}%` }
+];
+
+function Compare() {
+  const { courseIds, removeFromCompare, clearCompare } = useCompare();
+  const [courses, setCourses] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (courseIds.length < 2) {
+      setCourses([]);
+      return;
+    }
+
+    let cancelled = false;
+    compareCourses(courseIds)
+      .then(data => {
+        if (!cancelled) {
+          setCourses(data.courses);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load courses');
+      });
+    return () => { cancelled = true; };
+  }, [courseIds]);
+
+  if (courseIds.length < 2) {
+    return (
+      <div className="compare-page">
+        <h1 className="page-title">Compare Courses</h1>
+        <p>Pick at least two courses with "Add to compare" on the <Link to="/courses">course list</Link>.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="compare-page">
+      <div className="compare-page__header">
+        <h1 className="page-title">Compare Courses</h1>
+        <button className="compare-page__clear" onClick={clearCompare}>Clear all</button>
+      </div>
+
+      {error && <p className="compare-page__error">{error}</p>}
+
+      <div className="compare-table" style={{ gridTemplateColumns: `180px repeat(${courses.length}, 1fr)` }}>
+        <div className="compare-table__label" />
+        {courses.map(course => (
+          <div key={course.id} className="compare-table__heading">
+            <Link to={`/courses/${course.id}`}>{course.course_code}</Link>
+            <p>{course.course_name}</p>
+            <button onClick={() => removeFromCompare(String(course.id))}>Remove</button>
+          </div>
+        ))}
+
+        {ROWS.map(row => (
+          <React.Fragment key={row.label}>
+            <div className="compare-table__label">{row.label}</div>
+            {courses.map(course => (
+              <div key={course.id} className="compare-table__cell">{row.render(course)}</div>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default Compare;
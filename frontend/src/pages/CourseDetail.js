@@ -1,56 +1,157 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useParams } from "react-router-dom";
-import { courses, professors, reviews } from "../data/dummyData";
+import { useAuth } from "../context/AuthContext";
+import {
+  getCourseById,
+  getCourseReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteReview,
+  removeReviewVote,
+} from "../services/courseService";
+import CourseMaterials from "../components/CourseMaterials";
+import GradeDistribution from "../components/GradeDistribution";
 import '../styles/CourseDetail.css';
 
+// review orders offered by the sort selector, keys are the API's ?sort= values
+const REVIEW_SORTS = {
+  helpful: 'Most helpful',
+  recent: 'Most recent',
+  rating_high: 'Highest rated',
+  rating_low: 'Lowest rated',
+};
+
 function CourseDetail() {
   const { id } = useParams();
+  const { user } = useAuth();
+  const [course, setCourse] = useState(null);
+  const [notFound, setNotFound] = useState(false);
   const [selectedProfessor, setSelectedProfessor] = useState('all');
   const [reviewText, setReviewText] = useState("");
   const [rating, setRating] = useState(0);
   const [hoverRating, setHoverRating] = useState(0);
   const [popupOpen, setPopupOpen] = useState(false);
-  const [localReviews, setLocalReviews] = useState(reviews);
+  const [courseReviews, setCourseReviews] = useState([]);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [sort, setSort] = useState('helpful');
 
-  // find course
-  const course = courses.find(c => c._id === id);
-  if (!course) return <p>Course not found</p>;
+  useEffect(() => {
+    let cancelled = false;
+    setCourse(null);
+    setNotFound(false);
+    setSelectedProfessor('all');
+    getCourseById(id)
+      .then(data => {
+        if (!cancelled) setCourse(data.course);
+      })
+      .catch(() => {
+        if (!cancelled) setNotFound(true);
+      });
+    return () => { cancelled = true; };
+  }, [id]);
 
-  // get professors for this course
-  const courseProfessors = professors.filter(p =>
-    course.professors.includes(p._id)
-  );
+  useEffect(() => {
+    let cancelled = false;
+    const params = selectedProfessor === 'all' ? { sort } : { sort, professorId: selectedProfessor };
+    getCourseReviews(id, params)
+      .then(data => {
+        if (!cancelled) {
+          setCourseReviews(data.reviews);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load reviews');
+      });
+    return () => { cancelled = true; };
+  }, [id, selectedProfessor, sort]);
 
-  // filter reviews by course and selected professor
-  const filteredReviews = localReviews.filter(r => {
-    const matchesCourse = r.courseId === id;
-    const matchesProf = selectedProfessor === 'all' || r.professorId === selectedProfessor;
-    return matchesCourse && matchesProf;
-  });
+  if (notFound) return <p>Course not found</p>;
+  if (!course) return null;
 
-  const handleReviewSubmit = (e) => {
-    e.preventDefault();
-    const newReview = {
-      _id: Date.now().toString(),
-      courseId: id,
-      professorId: selectedProfessor === 'all' ? courseProfessors[0]._id : selectedProfessor,
-      text: reviewText,
-      rating,
-      user: 'You',
-    };
-    setLocalReviews(prev => [...prev, newReview]);
+  // professors linked to this course, main instructors first
+  const courseProfessors = course.professors;
+
+  // one vote per review, voting the same way again takes the vote back
+  const handleVote = async (review, helpful) => {
+    try {
+      const data = review.my_vote === (helpful ? 1 : -1)
+        ? await removeReviewVote(review.course_id, review.id)
+        : await voteReview(review.course_id, review.id, helpful);
+      setCourseReviews(prev => prev.map(r => (r.id === review.id ? data.review : r)));
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not save your vote');
+    }
+  };
+
+  const closePopup = () => {
     setReviewText('');
     setRating(0);
+    setEditingId(null);
+    setFormError(null);
     setPopupOpen(false);
   };
 
+  // only the author of a review can edit or delete it
+  const isMine = (review) => Boolean(user) && review.user_id === user.id;
+
+  const handleEdit = (review) => {
+    setEditingId(review.id);
+    setReviewText(review.comment);
+    setRating(review.rating);
+    setPopupOpen(true);
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm('Delete this review?')) return;
+    try {
+      await deleteReview(review.course_id, review.id);
+      setCourseReviews(prev => prev.filter(r => r.id !== review.id));
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not delete the review');
+    }
+  };
+
+  const handleReviewSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingId) {
+        const review = courseReviews.find(r => r.id === editingId);
+        const data = await updateReview(review.course_id, editingId, { rating, comment: reviewText });
+        setCourseReviews(prev => prev.map(r => (r.id === editingId ? data.review : r)));
+      } else {
+        const data = await createReview(course.id, {
+          professorId: selectedProfessor === 'all' ? courseProfessors[0]?.id : selectedProfessor,
+          rating,
+          comment: reviewText,
+        });
+        setCourseReviews(prev => [data.review, ...prev]);
+      }
+      closePopup();
+    } catch (err) {
+      const fieldErrors = Object.values(err.response?.data?.errors || {}).join(' ');
+      setFormError(fieldErrors || err.response?.data?.message || 'Could not save your review');
+    }
+  };
+
   return (
     <div className="course-detail">
       {/* Course Info */}
-      <h1>{course.code} - {course.title}</h1>
+      <h1>{course.course_code} - {course.course_name}</h1>
       <p>{course.department}</p>
       <p>{course.description}</p>
 
+      {/* Grade statistics */}
+      <GradeDistribution courseId={course.id} />
+
+      {/* Syllabi and outlines */}
+      <CourseMaterials courseId={course.id} />
+
       {/* Professor Filter */}
       <div className="professor-filter">
         <h2>Filter by Professor</h2>
@@ -63,9 +164,9 @@ function CourseDetail() {
           </button>
           {courseProfessors.map(prof => (
             <button
-              key={prof._id}
-              className={selectedProfessor === prof._id ? 'filter-btn active' : 'filter-btn'}
-              onClick={() => setSelectedProfessor(prof._id)}
+              key={prof.id}
+              className={selectedProfessor === prof.id ? 'filter-btn active' : 'filter-btn'}
+              onClick={() => setSelectedProfessor(prof.id)}
             >
               {prof.name}
             </button>
@@ -76,22 +177,56 @@ function CourseDetail() {
       {/* Reviews */}
       <div className="reviews-section">
         <div className="reviews-section__header">
-          <h2>Reviews {selectedProfessor !== 'all' && `for ${professors.find(p => p._id === selectedProfessor)?.name}`}</h2>
-          <button className="btn-primary" onClick={() => setPopupOpen(true)}>
-            Write a Review
-          </button>
+          <h2>Reviews {selectedProfessor !== 'all' && `for ${courseProfessors.find(p => p.id === selectedProfessor)?.name}`}</h2>
+          <div className="reviews-section__controls">
+            <select value={sort} onChange={(e) => setSort(e.target.value)} className="reviews-sort">
+              {Object.entries(REVIEW_SORTS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button className="btn-primary" onClick={() => setPopupOpen(true)}>
+              Write a Review
+            </button>
+          </div>
         </div>
 
-        {filteredReviews.length === 0 ? (
+        {error && <p className="reviews-section__error">{error}</p>}
+
+        {courseReviews.length === 0 ? (
           <p>No reviews yet — be the first!</p>
         ) : (
-          filteredReviews.map(review => (
-            <div key={review._id} className="review-card">
+          courseReviews.map(review => (
+            <div key={review.id} className="review-card">
               <div className="review-card__stars">
                 {'★'.repeat(review.rating)}{'☆'.repeat(5 - review.rating)}
               </div>
-              <p>{review.text}</p>
-              <small>{review.user} · {professors.find(p => p._id === review.professorId)?.name}</small>
+              <p>{review.comment}</p>
+              <small>
+                {review.user_name}{review.professor_name && ` · ${review.professor_name}`}
+                {review.updated_at !== review.created_at && ' · edited'}
+              </small>
+              {isMine(review) ? (
+                <div className="review-card__actions">
+                  <button onClick={() => handleEdit(review)}>Edit</button>
+                  <button onClick={() => handleDelete(review)}>Delete</button>
+                </div>
+              ) : (
+                <div className="review-card__votes">
+                  <span>Helpful?</span>
+                  <button
+                    className={review.my_vote === 1 ? 'active' : ''}
+                    onClick={() => handleVote(review, true)}
+                  >
+                    Yes ({review.helpful_count})
+                  </button>
+                  <button
+                    className={review.my_vote === -1 ? 'active' : ''}
+                    onClick={() => handleVote(review, false)}
+                  >
+                    No ({review.unhelpful_count})
+                  </button>
+                </div>
+              )}
             </div>
           ))
         )}
@@ -99,21 +234,23 @@ function CourseDetail() {
 
       {/* Review Popup */}
       {popupOpen && (
-        <div className="popup" onClick={() => setPopupOpen(false)}>
+        <div className="popup" onClick={closePopup}>
           <div className="popup-content" onClick={(e) => e.stopPropagation()}>
-            <button className="close" onClick={() => setPopupOpen(false)}>✕</button>
-            <h3>Write a Review</h3>
+            <button className="close" onClick={closePopup}>✕</button>
+            <h3>{editingId ? 'Edit Your Review' : 'Write a Review'}</h3>
 
             {/* Professor selector in popup */}
-            <select
-              value={selectedProfessor === 'all' ? courseProfessors[0]._id : selectedProfessor}
-              onChange={(e) => setSelectedProfessor(e.target.value)}
-              className="prof-select"
-            >
-              {courseProfessors.map(prof => (
-                <option key={prof._id} value={prof._id}>{prof.name}</option>
-              ))}
-            </select>
+            {!editingId && courseProfessors.length > 0 && (
+              <select
+                value={selectedProfessor === 'all' ? courseProfessors[0].id : selectedProfessor}
+                onChange={(e) => setSelectedProfessor(Number(e.target.value))}
+                className="prof-select"
+              >
+                {courseProfessors.map(prof => (
+                  <option key={prof.id} value={prof.id}>{prof.name}</option>
+                ))}
+              </select>
+            )}
 
             {/* Star Rating */}
             <div className="star-rating">
@@ -130,6 +267,8 @@ function CourseDetail() {
               ))}
             </div>
 
+            {formError && <p className="popup-content__error">{formError}</p>}
+
             <form onSubmit={handleReviewSubmit}>
               <textarea
                 value={reviewText}
@@ -139,7 +278,7 @@ function CourseDetail() {
                 required
               />
               <button type="submit" disabled={rating === 0}>
-                Submit Review
+                {editingId ? 'Save Changes' : 'Submit Review'}
               </button>
             </form>
           </div>
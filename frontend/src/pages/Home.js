@@ -1,22 +1,35 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { courses, professors } from "../data/dummyData";
+import { getAllCourses, getAllProfessors } from "../services/courseService";
 import CourseCard from "../components/CourseCard";
 import ProfessorCard from "../components/ProfessorCard";
 import '../styles/Home.css';
 
 function Home() {
   const [searchTerm, setSearchTerm] = useState("");
+  const [courses, setCourses] = useState([]);
+  const [professors, setProfessors] = useState([]);
   const navigate = useNavigate();
 
-  const filteredCourses = courses.filter(course =>
-    course.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    course.code.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
-  const filteredProfessors = professors.filter(prof =>
-    prof.name.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  // the search matches course codes and names and professor names and departments
+  useEffect(() => {
+    let cancelled = false;
+    const filters = { search: searchTerm.trim() || undefined, limit: 4 };
+    Promise.all([getAllCourses(filters), getAllProfessors(filters)])
+      .then(([courseData, professorData]) => {
+        if (!cancelled) {
+          setCourses(courseData.courses);
+          setProfessors(professorData.professors);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setCourses([]);
+          setProfessors([]);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [searchTerm]);
 
   return (
     <div className="home-page">
@@ -36,12 +49,12 @@ function Home() {
             See all →
           </button>
         </div>
-        {filteredCourses.length === 0 ? (
+        {courses.length === 0 ? (
           <p>No courses found</p>
         ) : (
           <div className="courses-container">
-            {filteredCourses.slice(0, 4).map(course => (
-              <CourseCard key={course._id} course={course} />
+            {courses.map(course => (
+              <CourseCard key={course.id} course={course} />
             ))}
           </div>
         )}
@@ -55,12 +68,12 @@ function Home() {
             See all →
           </button>
         </div>
-        {filteredProfessors.length === 0 ? (
+        {professors.length === 0 ? (
           <p>No professors found</p>
         ) : (
           <div className="professors-container">
-            {filteredProfessors.slice(0, 4).map(prof => (
-              <ProfessorCard key={prof._id} professor={prof} />
+            {professors.map(prof => (
+              <ProfessorCard key={prof.id} professor={prof} />
             ))}
           </div>
         )}
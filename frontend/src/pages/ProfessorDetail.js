@@ -1,44 +1,113 @@
 import React, { useState, useEffect } from "react";
 import { useParams } from "react-router-dom";
-import { professors, courses, reviews } from "../data/dummyData";
+import { useAuth } from "../context/AuthContext";
+import {
+  getProfessorById,
+  getProfessorReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} from "../services/courseService";
 import '../styles/CourseDetail.css';
 
 function ProfessorDetail() {
   const { id } = useParams();
+  const { user } = useAuth();
 
+  const [professor, setProfessor]           = useState(null);
+  const [notFound, setNotFound]             = useState(false);
   const [reviewText, setReviewText]         = useState("");
   const [rating, setRating]                 = useState(0);
   const [hoverRating, setHoverRating]       = useState(0);
   const [popupOpen, setPopupOpen]           = useState(false);
-  const [localReviews, setLocalReviews]     = useState(reviews);
+  const [professorReviews, setProfessorReviews] = useState([]);
+  const [error, setError]                   = useState(null);
+  const [formError, setFormError]           = useState(null);
   const [selectedCourse, setSelectedCourse] = useState('');
+  const [editingId, setEditingId]           = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setProfessor(null);
+    setNotFound(false);
+    getProfessorById(id)
+      .then(data => {
+        if (!cancelled) setProfessor(data.professor);
+      })
+      .catch(() => {
+        if (!cancelled) setNotFound(true);
+      });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    getProfessorReviews(id)
+      .then(data => {
+        if (!cancelled) {
+          setProfessorReviews(data.reviews);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || 'Could not load reviews');
+      });
+    return () => { cancelled = true; };
+  }, [id]);
+
+  if (notFound) return <p>Professor not found</p>;
+  if (!professor) return null;
+
+  // courses this professor teaches
+  const professorCourses = professor.courses;
+
+  const closePopup = () => {
+    setReviewText('');
+    setRating(0);
+    setSelectedCourse('');
+    setEditingId(null);
+    setFormError(null);
+    setPopupOpen(false);
+  };
 
-  const professor = professors.find(p => p._id === id);
-  if (!professor) return <p>Professor not found</p>;
+  // only the author of a review can edit or delete it
+  const isMine = (review) => Boolean(user) && review.user_id === user.id;
 
-  // find courses this professor has taught
-  const professorCourses = courses.filter(c =>
-    c.professors.includes(id)
-  );
+  const handleEdit = (review) => {
+    setEditingId(review.id);
+    setReviewText(review.comment);
+    setRating(review.rating);
+    setPopupOpen(true);
+  };
 
-  // reviews for this professor
-  const professorReviews = localReviews.filter(r => r.professorId === id);
+  const handleDelete = async (review) => {
+    if (!window.confirm('Delete this review?')) return;
+    try {
+      await deleteReview(review.course_id, review.id);
+      setProfessorReviews(prev => prev.filter(r => r.id !== review.id));
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not delete the review');
+    }
+  };
 
-  const handleReviewSubmit = (e) => {
+  // reviews belong to a course, a new one is posted to the course picked in the form
+  const handleReviewSubmit = async (e) => {
     e.preventDefault();
-    const newReview = {
-      _id: Date.now().toString(),
-      courseId: selectedCourse,
-      professorId: id,
-      text: reviewText,
-      rating,
-      user: 'You',
-    };
-    setLocalReviews(prev => [...prev, newReview]);
-    setReviewText('');
-    setRating(0);
-    setSelectedCourse('');
-    setPopupOpen(false);
+    try {
+      if (editingId) {
+        const review = professorReviews.find(r => r.id === editingId);
+        const data = await updateReview(review.course_id, editingId, { rating, comment: reviewText });
+        setProfessorReviews(prev => prev.map(r => (r.id === editingId ? data.review : r)));
+      } else {
+        const data = await createReview(selectedCourse, { professorId: professor.id, rating, comment: reviewText });
+        setProfessorReviews(prev => [data.review, ...prev]);
+      }
+      closePopup();
+    } catch (err) {
+      const fieldErrors = Object.values(err.response?.data?.errors || {}).join(' ');
+      setFormError(fieldErrors || err.response?.data?.message || 'Could not save your review');
+    }
   };
 
   return (
@@ -64,8 +133,8 @@ function ProfessorDetail() {
             <p>No courses listed</p>
           ) : (
             professorCourses.map(course => (
-              <span key={course._id} className="filter-btn">
-                {course.code} - {course.title}
+              <span key={course.id} className="filter-btn">
+                {course.course_code} - {course.course_name}
               </span>
             ))
           )}
@@ -81,21 +150,29 @@ function ProfessorDetail() {
           </button>
         </div>
 
+        {error && <p className="reviews-section__error">{error}</p>}
+
         {professorReviews.length === 0 ? (
           <div className="no-reviews">
             <p>No reviews yet — be the first!</p>
           </div>
         ) : (
           professorReviews.map(review => (
-            <div key={review._id} className="review-card">
+            <div key={review.id} className="review-card">
               <div className="review-card__stars">
                 {'★'.repeat(review.rating)}{'☆'.repeat(5 - review.rating)}
               </div>
-              <p>{review.text}</p>
+              <p>{review.comment}</p>
               <small>
-                {review.user}
-                {review.courseId && ` · ${courses.find(c => c._id === review.courseId)?.code}`}
+                {review.user_name} · {review.course_code}
+                {review.updated_at !== review.created_at && ' · edited'}
               </small>
+              {isMine(review) && (
+                <div className="review-card__actions">
+                  <button onClick={() => handleEdit(review)}>Edit</button>
+                  <button onClick={() => handleDelete(review)}>Delete</button>
+                </div>
+              )}
             </div>
           ))
         )}
@@ -103,25 +180,29 @@ function ProfessorDetail() {
 
       {/* Review Popup */}
       {popupOpen && (
-        <div className="popup" onClick={() => setPopupOpen(false)}>
+        <div className="popup" onClick={closePopup}>
           <div className="popup-content" onClick={(e) => e.stopPropagation()}>
-            <button className="close" onClick={() => setPopupOpen(false)}>✕</button>
-            <h3>Review {professor.name}</h3>
+            <button className="close" onClick={closePopup}>✕</button>
+            <h3>{editingId ? 'Edit Your Review' : `Review ${professor.name}`}</h3>
 
             {/* Course selector */}
-            <label>Which course? (optional)</label>
-            <select
-              className="prof-select"
-              value={selectedCourse}
-              onChange={(e) => setSelectedCourse(e.target.value)}
-            >
-              <option value="">Select a course...</option>
-              {professorCourses.map(course => (
-                <option key={course._id} value={course._id}>
-                  {course.code} - {course.title}
-                </option>
-              ))}
-            </select>
+            {!editingId && (
+              <>
+                <label>Which course?</label>
+                <select
+                  className="prof-select"
+                  value={selectedCourse}
+                  onChange={(e) => setSelectedCourse(e.target.value)}
+                >
+                  <option value="">Select a course...</option>
+                  {professorCourses.map(course => (
+                    <option key={course.id} value={course.id}>
+                      {course.course_code} - {course.course_name}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
 
             {/* Star Rating */}
             <label>Rating</label>
@@ -139,6 +220,8 @@ function ProfessorDetail() {
               ))}
             </div>
 
+            {formError && <p className="popup-content__error">{formError}</p>}
+
             <form onSubmit={handleReviewSubmit}>
               <textarea
                 value={reviewText}
@@ -147,8 +230,8 @@ function ProfessorDetail() {
                 rows="4"
                 required
               />
-              <button type="submit" disabled={rating === 0}>
-                Submit Review
+              <button type="submit" disabled={rating === 0 || (!editingId && !selectedCourse)}>
+                {editingId ? 'Save Changes' : 'Submit Review'}
               </button>
             </form>
           </div>
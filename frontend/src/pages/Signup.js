@@ -1,12 +1,13 @@
 import React, { useState } from "react";
 import Logo from "../images/Logo.png";
+import { API_ORIGIN } from "../services/api";
 import '../styles/Signup.css';
 
 function Signup() {
   const [overlay, setOverlay] = useState(null); // 'signup', 'login', or null
 
   const handleMicrosoftAuth = () => {
-    window.location.href = 'http://localhost:5050/auth/microsoft';
+    window.location.href = `${API_ORIGIN}/auth/microsoft`;
   };
 
   return (
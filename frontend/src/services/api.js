@@ -1,8 +1,11 @@
 import axios from 'axios';
 
+// the backend serves sign-in under /auth and everything else under /api
+export const API_ORIGIN = 'http://localhost:5050';
+
 const api = axios.create({
-  baseURL: 'http://localhost:5050',
+  baseURL: `${API_ORIGIN}/api`,
   withCredentials: true,
 });
 
-export default api;
\ No newline at end of file
+export default api;
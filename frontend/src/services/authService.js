@@ -1,11 +1,11 @@
-import api from './api';
+import api, { API_ORIGIN } from './api';
 
 export const logout = async () => {
-  const response = await api.post('/auth/logout');
+  const response = await api.post('/auth/logout', null, { baseURL: API_ORIGIN });
   return response.data;
 };
 
 export const checkAuthStatus = async () => {
-  const response = await api.get('/auth/status');
+  const response = await api.get('/auth/status', { baseURL: API_ORIGIN });
   return response.data;
-};
\ No newline at end of file
+};
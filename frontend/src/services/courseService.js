@@ -1,8 +1,9 @@
 import api from './api';
 
-export const getAllCourses = async (search = '', department = '') => {
+// filters like { search, department, limit }, see GET /api/courses
+export const getAllCourses = async (filters = {}) => {
   const response = await api.get('/courses', {
-    params: { search, department }
+    params: filters
   });
   return response.data;
 };
@@ -11,3 +12,93 @@ export const getCourseById = async (id) => {
   const response = await api.get(`/courses/${id}`);
   return response.data;
 };
+
+// facet counts respecting the other active filters, e.g. { search, semester, year }
+export const getCourseFacets = async (filters = {}) => {
+  const response = await api.get('/courses/facets', {
+    params: filters
+  });
+  return response.data;
+};
+
+// two to four courses side by side
+export const compareCourses = async (ids) => {
+  const response = await api.get('/courses/compare', {
+    params: { ids: ids.join(',') }
+  });
+  return response.data;
+};
+
+// syllabi, outlines and other files, newest term first
+export const getCourseMaterials = async (id) => {
+  const response = await api.get(`/courses/${id}/materials`);
+  return response.data;
+};
+
+// formData holds file, title, kind and optionally semester and year
+export const uploadCourseMaterial = async (id, formData) => {
+  const response = await api.post(`/courses/${id}/materials`, formData);
+  return response.data;
+};
+
+// links straight to the file so the browser handles the download
+export const getMaterialDownloadUrl = (materialId) => `${api.defaults.baseURL}/materials/${materialId}/download`;
+
+// grade counts overall and per term, small groups come back as null
+export const getCourseGrades = async (id) => {
+  const response = await api.get(`/courses/${id}/grades`);
+  return response.data;
+};
+
+// reviews of a course, params can hold professorId and sort
+export const getCourseReviews = async (id, params = {}) => {
+  const response = await api.get(`/courses/${id}/reviews`, { params });
+  return response.data;
+};
+
+// filters like { search, department, limit }, see GET /api/professors
+export const getAllProfessors = async (filters = {}) => {
+  const response = await api.get('/professors', {
+    params: filters
+  });
+  return response.data;
+};
+
+// a professor with the courses they teach
+export const getProfessorById = async (id) => {
+  const response = await api.get(`/professors/${id}`);
+  return response.data;
+};
+
+export const getProfessorReviews = async (id) => {
+  const response = await api.get(`/professors/${id}/reviews`);
+  return response.data;
+};
+
+// data holds rating, comment and optionally professorId, semesterTaken and yearTaken
+export const createReview = async (courseId, data) => {
+  const response = await api.post(`/courses/${courseId}/reviews`, data);
+  return response.data;
+};
+
+// only the fields given are changed, e.g. { rating, comment }
+export const updateReview = async (courseId, reviewId, data) => {
+  const response = await api.put(`/courses/${courseId}/reviews/${reviewId}`, data);
+  return response.data;
+};
+
+export const deleteReview = async (courseId, reviewId) => {
+  const response = await api.delete(`/courses/${courseId}/reviews/${reviewId}`);
+  return response.data;
+};
+
+// answers with the review and its new vote totals
+export const voteReview = async (courseId, reviewId, helpful) => {
+  const response = await api.put(`/courses/${courseId}/reviews/${reviewId}/vote`, { helpful });
+  return response.data;
+};
+
+export const removeReviewVote = async (courseId, reviewId) => {
+  const response = await api.delete(`/courses/${courseId}/reviews/${reviewId}/vote`);
+  return response.data;
+};